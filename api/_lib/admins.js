@@ -0,0 +1,52 @@
+import { randomBytes, scryptSync, timingSafeEqual } from "node:crypto";
+
+/**
+ * Named committee admins, each with their own PIN:
+ *
+ *   create table admins (
+ *     id text primary key,
+ *     name text not null,
+ *     pin_hash text not null,
+ *     active boolean not null default true,
+ *     created_at timestamptz not null default now()
+ *   );
+ *
+ * PINs are stored as "scrypt$<salt>$<hash>". To add someone:
+ *
+ *   node -e 'import("./api/_lib/admins.js").then((m) => console.log(m.hashPin("1234")))'
+ *
+ * and insert the printed value as pin_hash. While the table has no active rows,
+ * the shared ADMIN_PIN still works and signs in as "Admin".
+ */
+
+const KEY_LENGTH = 32;
+
+export function hashPin(pin) {
+  const salt = randomBytes(16).toString("base64url");
+  const hash = scryptSync(String(pin), salt, KEY_LENGTH).toString("base64url");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function pinMatches(pin, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64url");
+  const given = scryptSync(String(pin), salt, expected.length);
+  return expected.length === given.length && timingSafeEqual(expected, given);
+}
+
+// Returns { id, name } for the admin this PIN belongs to, or null.
+export async function findAdminByPin(supabase, pin) {
+  if (!pin) return null;
+
+  const { data, error } = await supabase.from("admins").select("id, name, pin_hash").eq("active", true);
+  if (error) throw new Error(`Failed to read admins: ${error.message}`);
+
+  if (!data || data.length === 0) {
+    return pin === process.env.ADMIN_PIN ? { id: "admin", name: "Admin" } : null;
+  }
+
+  const admin = data.find((a) => pinMatches(pin, a.pin_hash));
+  return admin ? { id: String(admin.id), name: String(admin.name || "Admin") } : null;
+}
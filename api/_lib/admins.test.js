@@ -0,0 +1,53 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { findAdminByPin, hashPin } from "./admins.js";
+
+// Answers the active-admins query with `rows`.
+function fakeSupabase(rows, error = null) {
+  const query = {
+    select: () => query,
+    eq: async () => ({ data: error ? null : rows, error }),
+  };
+  return { from: () => query };
+}
+
+describe("findAdminByPin", () => {
+  const previousPin = process.env.ADMIN_PIN;
+  afterEach(() => {
+    if (previousPin === undefined) delete process.env.ADMIN_PIN;
+    else process.env.ADMIN_PIN = previousPin;
+  });
+
+  const admins = [
+    { id: "ann", name: "Ann", pin_hash: hashPin("1111") },
+    { id: "bob", name: "Bob", pin_hash: hashPin("2222") },
+  ];
+
+  it("finds the admin whose PIN it is", async () => {
+    expect(await findAdminByPin(fakeSupabase(admins), "2222")).toEqual({ id: "bob", name: "Bob" });
+  });
+
+  it("refuses a PIN nobody has, and no PIN at all", async () => {
+    expect(await findAdminByPin(fakeSupabase(admins), "3333")).toBeNull();
+    expect(await findAdminByPin(fakeSupabase(admins), "")).toBeNull();
+  });
+
+  it("stores each PIN with its own salt", () => {
+    expect(hashPin("1111")).not.toBe(hashPin("1111"));
+    expect(hashPin("1111")).toMatch(/^scrypt\$[\w-]+\$[\w-]+$/);
+  });
+
+  it("ignores the shared ADMIN_PIN once named admins exist", async () => {
+    process.env.ADMIN_PIN = "9999";
+    expect(await findAdminByPin(fakeSupabase(admins), "9999")).toBeNull();
+  });
+
+  it("signs in with the shared ADMIN_PIN as Admin while there are no named admins", async () => {
+    process.env.ADMIN_PIN = "9999";
+    expect(await findAdminByPin(fakeSupabase([]), "9999")).toEqual({ id: "admin", name: "Admin" });
+    expect(await findAdminByPin(fakeSupabase([]), "1111")).toBeNull();
+  });
+
+  it("reports a failed read", async () => {
+    await expect(findAdminByPin(fakeSupabase(null, { message: "down" }), "1111")).rejects.toThrow("down");
+  });
+});
@@ -0,0 +1,81 @@
+import { uid } from "../../src/ladder.js";
+
+/**
+ * One row per admin mutation, written in the same transaction as the change
+ * itself (see commit() in store.js, seasons.js and divisions.js):
+ *
+ *   create table audit_log (
+ *     id text primary key,
+ *     created_at timestamptz not null default now(),
+ *     admin_id text,
+ *     admin_name text,
+ *     action text not null,
+ *     season_id text,
+ *     division text,
+ *     player_pids text[] not null default '{}',
+ *     summary jsonb not null default '[]',
+ *     changes jsonb not null,
+ *     reverts text,
+ *     reverted_by text
+ *   );
+ *
+ * `changes` is diffDivisionStates() output (full before/after players, matches,
+ * ladder events and challenges), `summary` the describeDivisionChanges() lines. The app reads this table with the anon
+ * key for its Activity view, so it needs a select policy for anon.
+ *
+ * Season-wide changes (creating, archiving, calendar) are logged with a null division.
+ *
+ * The log doubles as the undo stack: an "undo" row names the row it reverted in
+ * `reverts`, and that row gets the undo's id in `reverted_by`.
+ */
+
+// Every player the change touched, directly, as one side of a changed match or challenge, or in a ladder event.
+function involvedPlayers(changes) {
+  const pids = new Set(changes.players.map((p) => p.pid));
+  for (const { before, after } of changes.events) {
+    for (const e of [before, after]) if (e?.pid) pids.add(e.pid);
+  }
+  for (const { before, after } of changes.challenges || []) {
+    for (const c of [before, after]) {
+      if (!c) continue;
+      pids.add(c.challengerPid);
+      pids.add(c.opponentPid);
+    }
+  }
+  for (const { before, after } of changes.matches) {
+    for (const m of [before, after]) {
+      if (!m) continue;
+      if (m.challengerPid) pids.add(m.challengerPid);
+      if (m.opponentPid) pids.add(m.opponentPid);
+    }
+  }
+  return [...pids];
+}
+
+export function auditRow({ session, action, seasonId, division, changes, summary, reverts = null }) {
+  return {
+    id: uid(),
+    created_at: new Date().toISOString(),
+    admin_id: session?.sub || null,
+    admin_name: session?.name || null,
+    action,
+    season_id: seasonId || null,
+    division,
+    player_pids: involvedPlayers(changes),
+    summary,
+    changes,
+    reverts,
+  };
+}
+
+// The entry to undo: the given one, or else the division's newest not-yet-undone undoable action.
+export async function findUndoTarget(supabase, { season, division }, actions, auditId) {
+  let query = supabase.from("audit_log").select("*").eq("season_id", season.id).eq("division", division);
+  query = auditId
+    ? query.eq("id", auditId)
+    : query.in("action", actions).is("reverted_by", null).order("created_at", { ascending: false }).limit(1);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to read the audit log: ${error.message}`);
+  return data?.[0] || null;
+}
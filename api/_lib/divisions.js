@@ -0,0 +1,85 @@
+import { DIVISIONS, asNumber, divisionFromRow, divisionToRow } from "../../src/ladder.js";
+import { ActionError } from "./store.js";
+
+/**
+ * The ladders a season runs, in display order:
+ *
+ *   create table divisions (
+ *     key text primary key,
+ *     label text not null,
+ *     type text not null default 'singles',
+ *     capacity int not null default 60,
+ *     rules jsonb not null default '{}',
+ *     sort_order int not null default 0,
+ *     created_at timestamptz not null default now()
+ *   );
+ *
+ * Player, match and event rows refer to a division by `key`. While the table is
+ * empty the built-in Men's and Women's ladders (DIVISIONS) are used; the first
+ * save stores those too, so adding a ladder never hides the existing ones.
+ *
+ * `type` is "singles" or "doubles" and is fixed once a division exists. Doubles
+ * ladders need two more columns:
+ *
+ *   alter table players add column partner text not null default '';
+ *   alter table matches add column challenger_names text[] not null default '{}',
+ *     add column opponent_names text[] not null default '{}';
+ *
+ * The app reads this table with the anon key, so it needs a select policy for anon.
+ *
+ * Every change to a stored division bumps its revision, and a save must send the
+ * revision it was based on. The rows and the audit entry are written in one
+ * transaction (ladder_upsert is in store.js):
+ *
+ *   alter table divisions add column revision int not null default 0;
+ *
+ *   create or replace function save_division(p_rows jsonb, p_key text, p_base int, p_audit jsonb)
+ *   returns void language plpgsql as $$
+ *   begin
+ *     if p_base is not null then
+ *       update divisions set revision = revision + 1 where key = p_key and revision = p_base;
+ *       if not found then raise exception 'stale revision' using errcode = 'LD409'; end if;
+ *     end if;
+ *     perform ladder_upsert('divisions', 'key', p_rows);
+ *     perform ladder_upsert('audit_log', 'id', jsonb_build_array(p_audit));
+ *   end $$;
+ *
+ *   revoke execute on function save_division(jsonb, text, int, jsonb) from public, anon, authenticated;
+ */
+
+const STALE_MESSAGE = "The divisions were changed by someone else since you loaded them. Reload and try again.";
+
+async function readStored(supabase) {
+  const { data, error } = await supabase.from("divisions").select("*").order("sort_order").order("created_at");
+  if (error) throw new Error(`Failed to read divisions: ${error.message}`);
+  return (data || []).map(divisionFromRow);
+}
+
+export async function listDivisions(supabase) {
+  const stored = await readStored(supabase);
+  return stored.length ? stored : DIVISIONS;
+}
+
+// `revision` is checked only for a division that is already stored; the built-in
+// ones are stored by their first save. `auditFor` builds the audit row from the
+// division as saved.
+export async function saveDivision(supabase, division, revision, auditFor) {
+  const stored = await readStored(supabase);
+  const current = stored.find((d) => d.key === division.key);
+  const base = current ? asNumber(revision, NaN) : null;
+  if (current && (!Number.isInteger(base) || base < 0)) throw new ActionError(400, "Missing revision");
+
+  const rows = stored.length ? [] : DIVISIONS.map((d, i) => divisionToRow({ ...d, sortOrder: i }));
+  const existing = rows.find((r) => r.key === division.key);
+
+  const row = divisionToRow(division);
+  if (existing) Object.assign(existing, row);
+  else rows.push(row);
+
+  const saved = { ...divisionFromRow(row), revision: current ? base + 1 : 0 };
+  const audit = auditFor(saved);
+  const { error } = await supabase.rpc("save_division", { p_rows: rows, p_key: division.key, p_base: base, p_audit: audit });
+  if (error?.code === "LD409") throw new ActionError(409, STALE_MESSAGE);
+  if (error) throw new ActionError(500, `Failed to save division: ${error.message}`);
+  return { division: saved, auditId: audit.id };
+}
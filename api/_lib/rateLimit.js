@@ -0,0 +1,89 @@
+/**
+ * Per-IP lockout for ADMIN_PIN guesses. Serverless instances share nothing in
+ * memory, so attempts are counted in Supabase:
+ *
+ *   create table login_attempts (
+ *     ip text primary key,
+ *     failures integer not null default 0,
+ *     locked_until timestamptz,
+ *     updated_at timestamptz not null default now()
+ *   );
+ *
+ * The first FREE_ATTEMPTS failures only count; each one after that locks the IP
+ * out for twice as long as the last, up to MAX_LOCKOUT_MS.
+ *
+ * A failure is counted in one statement, so parallel guesses can't all read the
+ * same count and each write back count + 1:
+ *
+ *   create or replace function record_login_failure(
+ *     p_ip text, p_reset_ms bigint, p_free int, p_base_ms bigint, p_max_ms bigint
+ *   ) returns login_attempts language plpgsql as $$
+ *   declare r login_attempts;
+ *   begin
+ *     insert into login_attempts as a (ip, failures, updated_at) values (p_ip, 1, now())
+ *     on conflict (ip) do update set
+ *       failures = case when a.updated_at < now() - p_reset_ms * interval '1 millisecond' then 1 else a.failures + 1 end,
+ *       updated_at = now()
+ *     returning * into r;
+ *     update login_attempts set locked_until = case
+ *       when r.failures < p_free then null
+ *       else now() + least(p_max_ms, p_base_ms * 2 ^ (r.failures - p_free)) * interval '1 millisecond'
+ *     end where ip = p_ip returning * into r;
+ *     return r;
+ *   end $$;
+ */
+
+const FREE_ATTEMPTS = 5;
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+// Failures are forgotten after a quiet day, so an old typo doesn't shorten the next admin's allowance.
+const RESET_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// X-Forwarded-For is whatever the client sent with Vercel's hop appended, so its
+// first entry can be anything. These two are set by Vercel and can't be spoofed.
+export function clientIp(req) {
+  const ip = req.headers?.["x-vercel-forwarded-for"] || req.headers?.["x-real-ip"] || req.socket?.remoteAddress;
+  return String(ip || "unknown").trim();
+}
+
+function lockoutMs(failures) {
+  if (failures < FREE_ATTEMPTS) return 0;
+  return Math.min(MAX_LOCKOUT_MS, BASE_LOCKOUT_MS * 2 ** (failures - FREE_ATTEMPTS));
+}
+
+async function readAttempts(supabase, ip) {
+  const { data, error } = await supabase.from("login_attempts").select("*").eq("ip", ip).maybeSingle();
+  if (error) throw new Error(`Failed to read login attempts: ${error.message}`);
+  return data;
+}
+
+// Seconds the IP must still wait before it may try again (0 = allowed).
+export async function lockoutRemaining(supabase, ip, now = Date.now()) {
+  const row = await readAttempts(supabase, ip);
+  const until = row?.locked_until ? new Date(row.locked_until).getTime() : 0;
+  return until > now ? Math.ceil((until - now) / 1000) : 0;
+}
+
+// Returns { retryAfter, attemptsLeft } after recording one more bad PIN.
+export async function recordFailure(supabase, ip) {
+  const { data, error } = await supabase.rpc("record_login_failure", {
+    p_ip: ip,
+    p_reset_ms: RESET_AFTER_MS,
+    p_free: FREE_ATTEMPTS,
+    p_base_ms: BASE_LOCKOUT_MS,
+    p_max_ms: MAX_LOCKOUT_MS,
+  });
+  if (error) throw new Error(`Failed to record login attempt: ${error.message}`);
+
+  const failures = Number(data?.failures || 0);
+  return {
+    retryAfter: Math.ceil(lockoutMs(failures) / 1000),
+    attemptsLeft: Math.max(0, FREE_ATTEMPTS - failures),
+  };
+}
+
+export async function clearFailures(supabase, ip) {
+  const { error } = await supabase.from("login_attempts").delete().eq("ip", ip);
+  if (error) throw new Error(`Failed to reset login attempts: ${error.message}`);
+}
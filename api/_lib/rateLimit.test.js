@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { clientIp, lockoutRemaining, recordFailure } from "./rateLimit.js";
+
+// Answers record_login_failure with `failures` and reads of login_attempts with `row`.
+function fakeSupabase({ failures = 1, row = null, error = null } = {}) {
+  const calls = [];
+  const query = {
+    select: () => query,
+    eq: () => query,
+    maybeSingle: async () => ({ data: row, error }),
+  };
+  return {
+    calls,
+    rpc: async (name, args) => {
+      calls.push({ name, args });
+      return { data: error ? null : { ip: args.p_ip, failures }, error };
+    },
+    from: () => query,
+  };
+}
+
+describe("clientIp", () => {
+  it("uses the address Vercel saw, not the client's X-Forwarded-For", () => {
+    const req = { headers: { "x-forwarded-for": "1.1.1.1, 9.9.9.9", "x-vercel-forwarded-for": "9.9.9.9", "x-real-ip": "8.8.8.8" } };
+    expect(clientIp(req)).toBe("9.9.9.9");
+  });
+
+  it("falls back to X-Real-IP, then the socket", () => {
+    expect(clientIp({ headers: { "x-forwarded-for": "1.1.1.1", "x-real-ip": "8.8.8.8" } })).toBe("8.8.8.8");
+    expect(clientIp({ headers: { "x-forwarded-for": "1.1.1.1" }, socket: { remoteAddress: "7.7.7.7" } })).toBe("7.7.7.7");
+    expect(clientIp({ headers: {} })).toBe("unknown");
+  });
+});
+
+describe("recordFailure", () => {
+  it("counts the failure in one database call", async () => {
+    const supabase = fakeSupabase({ failures: 3 });
+    expect(await recordFailure(supabase, "9.9.9.9")).toEqual({ retryAfter: 0, attemptsLeft: 2 });
+    expect(supabase.calls).toHaveLength(1);
+    expect(supabase.calls[0]).toMatchObject({ name: "record_login_failure", args: { p_ip: "9.9.9.9", p_free: 5 } });
+  });
+
+  it("locks out for twice as long after each failure past the free ones, up to a day", async () => {
+    const retryAfter = async (failures) => (await recordFailure(fakeSupabase({ failures }), "ip")).retryAfter;
+    expect(await retryAfter(5)).toBe(60);
+    expect(await retryAfter(6)).toBe(120);
+    expect(await retryAfter(8)).toBe(480);
+    expect(await retryAfter(40)).toBe(24 * 60 * 60);
+  });
+
+  it("reports a failed write", async () => {
+    await expect(recordFailure(fakeSupabase({ error: { message: "down" } }), "ip")).rejects.toThrow("down");
+  });
+});
+
+describe("lockoutRemaining", () => {
+  const now = Date.parse("2026-06-01T12:00:00Z");
+
+  it("is the seconds left until the lock ends", async () => {
+    const supabase = fakeSupabase({ row: { locked_until: "2026-06-01T12:01:30Z" } });
+    expect(await lockoutRemaining(supabase, "ip", now)).toBe(90);
+  });
+
+  it("is 0 once the lock has passed or when there is none", async () => {
+    expect(await lockoutRemaining(fakeSupabase({ row: { locked_until: "2026-06-01T11:59:00Z" } }), "ip", now)).toBe(0);
+    expect(await lockoutRemaining(fakeSupabase(), "ip", now)).toBe(0);
+  });
+});
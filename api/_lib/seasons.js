@@ -0,0 +1,115 @@
+import { asNumber, seasonFromRow } from "../../src/ladder.js";
+import { ActionError } from "./store.js";
+
+/**
+ * One row per ladder season:
+ *
+ *   create table seasons (
+ *     id text primary key,
+ *     name text not null,
+ *     archived boolean not null default false,
+ *     calendar jsonb,
+ *     created_at timestamptz not null default now()
+ *   );
+ *
+ * Players, matches, ladder events and audit entries are scoped by season. Rows
+ * from before seasons existed become the 2026 season:
+ *
+ *   alter table players add column season_id text not null default '2026';
+ *   alter table players drop constraint players_pkey, add primary key (season_id, pid);
+ *   alter table matches add column season_id text not null default '2026';
+ *   alter table ladder_events add column season_id text not null default '2026';
+ *   alter table audit_log add column season_id text default '2026';
+ *   insert into seasons (id, name, created_at) values ('2026', 'Summer Ladder 2026', '2026-01-01');
+ *
+ * The app reads this table with the anon key, so it needs a select policy for anon.
+ *
+ * Every change to a season bumps its revision, and a write must send the revision
+ * it was based on, as for a division's ladder (see commit() in store.js):
+ *
+ *   alter table seasons add column revision int not null default 0;
+ *
+ * A season is created, with the players and settings it is seeded with, and a
+ * season is changed, each in one transaction together with its audit entry
+ * (ladder_upsert is in store.js):
+ *
+ *   create or replace function create_season(
+ *     p_season jsonb, p_players jsonb, p_settings jsonb, p_archive_source text, p_audit jsonb
+ *   ) returns seasons language plpgsql as $$
+ *   declare created seasons;
+ *   begin
+ *     insert into seasons (id, name, archived, calendar, created_at)
+ *       values (p_season ->> 'id', p_season ->> 'name', false, p_season -> 'calendar', now())
+ *       returning * into created;
+ *     perform ladder_upsert('players', 'season_id, pid', p_players);
+ *     perform ladder_upsert('settings', 'key', p_settings);
+ *     if p_archive_source is not null then
+ *       update seasons set archived = true, revision = revision + 1 where id = p_archive_source;
+ *     end if;
+ *     perform ladder_upsert('audit_log', 'id', jsonb_build_array(p_audit));
+ *     return created;
+ *   end $$;
+ *
+ *   create or replace function update_season(
+ *     p_id text, p_base int, p_calendar jsonb, p_archived boolean, p_audit jsonb
+ *   ) returns seasons language plpgsql as $$
+ *   declare updated seasons;
+ *   begin
+ *     update seasons
+ *       set calendar = coalesce(p_calendar, calendar), archived = coalesce(p_archived, archived), revision = revision + 1
+ *       where id = p_id and revision = p_base
+ *       returning * into updated;
+ *     if not found then raise exception 'stale revision' using errcode = 'LD409'; end if;
+ *     perform ladder_upsert('audit_log', 'id', jsonb_build_array(p_audit));
+ *     return updated;
+ *   end $$;
+ *
+ *   revoke execute on function create_season(jsonb, jsonb, jsonb, text, jsonb) from public, anon, authenticated;
+ *   revoke execute on function update_season(text, int, jsonb, boolean, jsonb) from public, anon, authenticated;
+ */
+
+const STALE_MESSAGE = "The season was changed by someone else since you loaded it. Reload and try again.";
+
+export async function readSeason(supabase, id) {
+  if (!id) return null;
+  const { data, error } = await supabase.from("seasons").select("*").eq("id", id).maybeSingle();
+  if (error) throw new Error(`Failed to read seasons: ${error.message}`);
+  return data ? seasonFromRow(data) : null;
+}
+
+// `players` and `settings` are the rows the season starts with; `archiveSource`
+// the id of a season to archive along the way.
+export async function insertSeason(supabase, season, { players = [], settings = [], archiveSource = null, audit }) {
+  const { data, error } = await supabase.rpc("create_season", {
+    p_season: season,
+    p_players: players,
+    p_settings: settings,
+    p_archive_source: archiveSource,
+    p_audit: audit,
+  });
+  if (error?.code === "23505") throw new ActionError(400, "A season with that name already exists.");
+  if (error) throw new ActionError(500, `Failed to create season, nothing was changed: ${error.message}`);
+  return seasonFromRow(data);
+}
+
+// `changes` holds a new calendar and/or archived flag.
+export async function updateSeason(supabase, id, revision, { calendar = null, archived = null }, audit) {
+  const base = asNumber(revision, NaN);
+  if (!Number.isInteger(base) || base < 0) throw new ActionError(400, "Missing revision");
+  const { data, error } = await supabase.rpc("update_season", {
+    p_id: id,
+    p_base: base,
+    p_calendar: calendar,
+    p_archived: archived,
+    p_audit: audit,
+  });
+  if (error?.code === "LD409") throw new ActionError(409, STALE_MESSAGE);
+  if (error) throw new ActionError(500, `Failed to update season: ${error.message}`);
+  return seasonFromRow(data);
+}
+
+export async function listOpenSeasons(supabase) {
+  const { data, error } = await supabase.from("seasons").select("*").eq("archived", false);
+  if (error) throw new Error(`Failed to read seasons: ${error.message}`);
+  return (data || []).map(seasonFromRow);
+}
@@ -0,0 +1,37 @@
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+/**
+ * Stateless admin sessions: a base64url JSON body plus an HMAC-SHA256 signature,
+ * keyed by ADMIN_SESSION_SECRET. Tokens carry their own expiry, so nothing has to
+ * be stored between serverless invocations.
+ */
+
+export const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+
+function sign(body, secret) {
+  return createHmac("sha256", secret).update(body).digest("base64url");
+}
+
+export function createSession(secret, admin, now = Date.now()) {
+  const claims = { sub: admin.id, name: admin.name, iat: now, exp: now + SESSION_TTL_MS };
+  const body = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return { token: `${body}.${sign(body, secret)}`, expiresAt: claims.exp, adminName: claims.name };
+}
+
+// Returns the token's claims, or null if it is malformed, tampered with or expired.
+export function verifySession(token, secret, now = Date.now()) {
+  const [body, sig] = String(token || "").split(".");
+  if (!body || !sig) return null;
+
+  const expected = Buffer.from(sign(body, secret));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !timingSafeEqual(expected, given)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (!Number.isFinite(claims?.exp) || claims.exp <= now || !claims.name) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
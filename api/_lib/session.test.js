@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { SESSION_TTL_MS, createSession, verifySession } from "./session.js";
+
+const SECRET = "test-secret";
+const now = Date.parse("2026-06-01T12:00:00Z");
+const ann = { id: "ann", name: "Ann" };
+
+describe("sessions", () => {
+  it("a new token verifies and names its admin", () => {
+    const { token, expiresAt, adminName } = createSession(SECRET, ann, now);
+    expect(adminName).toBe("Ann");
+    expect(expiresAt).toBe(now + SESSION_TTL_MS);
+    expect(verifySession(token, SECRET, now + 1000)).toMatchObject({ sub: "ann", name: "Ann", iat: now, exp: expiresAt });
+  });
+
+  it("expires after the session lifetime", () => {
+    const { token } = createSession(SECRET, ann, now);
+    expect(verifySession(token, SECRET, now + SESSION_TTL_MS - 1)).not.toBeNull();
+    expect(verifySession(token, SECRET, now + SESSION_TTL_MS)).toBeNull();
+  });
+
+  it("refuses a token signed with another secret", () => {
+    const { token } = createSession("other-secret", ann, now);
+    expect(verifySession(token, SECRET, now)).toBeNull();
+  });
+
+  it("refuses a token whose claims were changed", () => {
+    const { token } = createSession(SECRET, ann, now);
+    const [, sig] = token.split(".");
+    const forged = Buffer.from(JSON.stringify({ sub: "bob", name: "Bob", iat: now, exp: now + SESSION_TTL_MS })).toString("base64url");
+    expect(verifySession(`${forged}.${sig}`, SECRET, now)).toBeNull();
+  });
+
+  it("refuses malformed tokens", () => {
+    for (const token of [null, "", "abc", "abc.", ".abc", "not-json.sig"]) {
+      expect(verifySession(token, SECRET, now)).toBeNull();
+    }
+  });
+});
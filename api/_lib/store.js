@@ -0,0 +1,182 @@
+import {
+  asNumber,
+  buildDivisionState,
+  challengeToRow,
+  describeDivisionChanges,
+  diffDivisionStates,
+  eventToRow,
+  matchToRow,
+  playerToRow,
+  seasonSettingKey,
+} from "../../src/ladder.js";
+import { auditRow } from "./audit.js";
+
+/**
+ * Reading and writing one division of one season. Shared by the admin API and
+ * the scheduled jobs, which both go through commit() so every change is
+ * revision-checked and audited the same way, in one transaction.
+ */
+
+export class ActionError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const STALE_MESSAGE = "The ladder was changed by someone else since you loaded it. Reload and try again.";
+
+// ----------------------------
+// Load one division of one season from the database
+// ----------------------------
+export async function loadDivision(supabase, { season, division, config }) {
+  const countKey = seasonSettingKey(season.id, `playerCount_${division}`);
+  const revisionKey = seasonSettingKey(season.id, `revision_${division}`);
+  const startKey = seasonSettingKey(season.id, `startOrder_${division}`);
+  const [pRes, mRes, eRes, cRes, sRes] = await Promise.all([
+    supabase.from("players").select("*").eq("season_id", season.id).eq("division", division),
+    supabase.from("matches").select("*").eq("season_id", season.id).eq("division", division).order("created_at", { ascending: false }),
+    supabase.from("ladder_events").select("*").eq("season_id", season.id).eq("division", division).order("created_at", { ascending: false }),
+    supabase.from("challenges").select("*").eq("season_id", season.id).eq("division", division).order("created_at", { ascending: false }),
+    // Unprefixed keys are from before seasons existed.
+    supabase.from("settings").select("*").in("key", [countKey, revisionKey, startKey, `playerCount_${division}`, "season"]),
+  ]);
+
+  if (pRes.error) throw new ActionError(500, `Failed to read players: ${pRes.error.message}`);
+  if (mRes.error) throw new ActionError(500, `Failed to read matches: ${mRes.error.message}`);
+  if (eRes.error) throw new ActionError(500, `Failed to read ladder events: ${eRes.error.message}`);
+  if (cRes.error) throw new ActionError(500, `Failed to read challenges: ${cRes.error.message}`);
+  if (sRes.error) throw new ActionError(500, `Failed to read settings: ${sRes.error.message}`);
+
+  const setting = (key) => (sRes.data || []).find((x) => x.key === key)?.value;
+  return buildDivisionState(division, {
+    players: pRes.data,
+    matches: mRes.data,
+    events: eRes.data,
+    challenges: cRes.data,
+    playerCount: setting(countKey) ?? setting(`playerCount_${division}`),
+    revision: setting(revisionKey),
+    startOrder: setting(startKey),
+    calendar: season.calendar ?? setting("season"),
+    type: config.type,
+    capacity: config.capacity,
+    rules: config.rules,
+  });
+}
+
+// ----------------------------
+// Saving a change
+//
+// Each division of each season has a revision counter in settings
+// (seasonSettingKey(season, "revision_<division>")). A write must send the
+// revision it was based on. One Postgres function bumps it with a
+// compare-and-swap, writes the touched rows and the audit entry, and marks the
+// entry an undo reverts, all in one transaction: a failure leaves nothing
+// half-saved, and two writes made against the same revision can't both succeed.
+//
+//   create or replace function ladder_upsert(tbl regclass, conflict text, rows jsonb)
+//   returns void language plpgsql as $$
+//   declare cols text; updates text;
+//   begin
+//     if coalesce(jsonb_array_length(rows), 0) = 0 then return; end if;
+//     select string_agg(quote_ident(k), ', '), string_agg('excluded.' || quote_ident(k), ', ')
+//       into cols, updates from jsonb_object_keys(rows -> 0) as k;
+//     execute format(
+//       'insert into %s (%s) select %s from jsonb_populate_recordset(null::%s, $1) on conflict (%s) do update set (%s) = row(%s)',
+//       tbl, cols, cols, tbl, conflict, cols, updates
+//     ) using rows;
+//   end $$;
+//
+//   create or replace function commit_division_change(
+//     p_revision_key text, p_base int,
+//     p_matches jsonb, p_deleted_matches jsonb,
+//     p_events jsonb, p_deleted_events jsonb,
+//     p_challenges jsonb, p_deleted_challenges jsonb,
+//     p_players jsonb, p_settings jsonb, p_audit jsonb, p_reverts text
+//   ) returns void language plpgsql as $$
+//   begin
+//     if p_base = 0 then
+//       insert into settings (key, value, updated_at) values (p_revision_key, to_jsonb(1), now()) on conflict (key) do nothing;
+//     else
+//       update settings set value = to_jsonb(p_base + 1), updated_at = now()
+//         where key = p_revision_key and value = to_jsonb(p_base);
+//     end if;
+//     if not found then raise exception 'stale revision' using errcode = 'LD409'; end if;
+//
+//     perform ladder_upsert('matches', 'id', p_matches);
+//     delete from matches where id in (select jsonb_array_elements_text(p_deleted_matches));
+//     perform ladder_upsert('ladder_events', 'id', p_events);
+//     delete from ladder_events where id in (select jsonb_array_elements_text(p_deleted_events));
+//     perform ladder_upsert('challenges', 'id', p_challenges);
+//     delete from challenges where id in (select jsonb_array_elements_text(p_deleted_challenges));
+//     perform ladder_upsert('players', 'season_id, pid', p_players);
+//     perform ladder_upsert('settings', 'key', p_settings);
+//     perform ladder_upsert('audit_log', 'id', jsonb_build_array(p_audit));
+//     if p_reverts is not null then
+//       update audit_log set reverted_by = p_audit ->> 'id' where id = p_reverts;
+//     end if;
+//   end $$;
+//
+//   revoke execute on function ladder_upsert(regclass, text, jsonb) from public, anon, authenticated;
+//   revoke execute on function commit_division_change(text, int, jsonb, jsonb, jsonb, jsonb, jsonb, jsonb, jsonb, jsonb, jsonb, text)
+//     from public, anon, authenticated;
+//
+// `reverts` is the audit entry an undo reverts. `deletedMatchIds` removes match
+// rows the diff doesn't cover (old admin entries moved to ladder_events).
+// ----------------------------
+export async function commit(supabase, session, action, scope, before, after, revisionBase, { reverts = null, deletedMatchIds = [] } = {}) {
+  const { season, division } = scope;
+  const base = asNumber(revisionBase, NaN);
+  if (!Number.isInteger(base) || base < 0) throw new ActionError(400, "Missing revision");
+
+  const changes = diffDivisionStates(before, after);
+  const inSeason = (row) => ({ ...row, season_id: season.id });
+  const saved = (list, toRow) => list.filter((c) => c.after).map((c) => inSeason(toRow(c.after)));
+  const deleted = (list) => list.filter((c) => !c.after).map((c) => c.id);
+
+  const matchRows = saved(changes.matches, matchToRow);
+  const deletedMatches = [...new Set([...deleted(changes.matches), ...deletedMatchIds])];
+  const eventRows = saved(changes.events, eventToRow);
+  const deletedEvents = deleted(changes.events);
+  const challengeRows = saved(changes.challenges, challengeToRow);
+  const deletedChallenges = deleted(changes.challenges);
+  const playerRows = changes.players.map((c) => inSeason(playerToRow(c.after)));
+  const settingRows = changes.playerCount
+    ? [{ key: seasonSettingKey(season.id, `playerCount_${division}`), value: after.playerCount, updated_at: new Date().toISOString() }]
+    : [];
+  const audit = auditRow({
+    session,
+    action,
+    seasonId: season.id,
+    division,
+    changes,
+    summary: describeDivisionChanges(before, after),
+    reverts,
+  });
+
+  const { error } = await supabase.rpc("commit_division_change", {
+    p_revision_key: seasonSettingKey(season.id, `revision_${division}`),
+    p_base: base,
+    p_matches: matchRows,
+    p_deleted_matches: deletedMatches,
+    p_events: eventRows,
+    p_deleted_events: deletedEvents,
+    p_challenges: challengeRows,
+    p_deleted_challenges: deletedChallenges,
+    p_players: playerRows,
+    p_settings: settingRows,
+    p_audit: audit,
+    p_reverts: reverts,
+  });
+  if (error?.code === "LD409") throw new ActionError(409, STALE_MESSAGE);
+  if (error) throw new ActionError(500, `Save failed, nothing was changed: ${error.message}`);
+
+  return {
+    revision: base + 1,
+    auditId: audit.id,
+    playersSaved: playerRows.length,
+    matchesSaved: matchRows.length + deletedMatches.length,
+    eventsSaved: eventRows.length + deletedEvents.length,
+    challengesSaved: challengeRows.length + deletedChallenges.length,
+  };
+}
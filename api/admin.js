@@ -1,4 +1,404 @@
 import { createClient } from "@supabase/supabase-js";
+import {
+  UNDOABLE_ACTIONS,
+  asNumber,
+  describeChallengeRules,
+  clamp,
+  playerToRow,
+  applyAddMatch,
+  applyEditMatch,
+  applyDeleteMatch,
+  applyDropPlayer,
+  applyInactivityDrops,
+  applyWithdrawPlayer,
+  applyReinstatePlayer,
+  applyDeleteEvent,
+  applyIssueChallenge,
+  applyAcceptChallenge,
+  applyCancelChallenge,
+  applyChallengeWalkover,
+  applyRevert,
+  applyRenamePlayer,
+  applySetPlayerCount,
+  applySetPlayerStats,
+  createDivisionState,
+  rebuildDivisionFromHistory,
+  defaultCalendar,
+  formatDateISO,
+  seasonIdFromName,
+  seasonSettingKey,
+  seedDivisionFromStandings,
+  validateCalendar,
+  validateDivision,
+} from "../src/ladder.js";
+import { findAdminByPin } from "./_lib/admins.js";
+import { auditRow, findUndoTarget } from "./_lib/audit.js";
+import { listDivisions, saveDivision as storeDivision } from "./_lib/divisions.js";
+import { insertSeason, readSeason, updateSeason } from "./_lib/seasons.js";
+import { ActionError, commit, loadDivision } from "./_lib/store.js";
+import { clearFailures, clientIp, lockoutRemaining, recordFailure } from "./_lib/rateLimit.js";
+import { createSession, verifySession } from "./_lib/session.js";
+
+// Returns the division's definition (capacity, rules).
+async function requireDivision(supabase, division) {
+  const key = String(division || "");
+  const config = (await listDivisions(supabase)).find((d) => d.key === key);
+  if (!config) throw new ActionError(400, "Unknown division");
+  return config;
+}
+
+// Every ladder write names its season and division; archived seasons refuse writes.
+async function requireScope(supabase, payload) {
+  const config = await requireDivision(supabase, payload.division);
+  const season = await readSeason(supabase, String(payload.season || ""));
+  if (!season) throw new ActionError(400, "Unknown season");
+  if (season.archived) throw new ActionError(403, "This season is archived and read-only.");
+  return { season, division: config.key, config };
+}
+
+function unwrap(result) {
+  if (!result.ok) throw new ActionError(400, result.message || "Invalid request");
+  return result;
+}
+
+// ----------------------------
+// Actions
+// ----------------------------
+async function addMatch(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const before = await loadDivision(supabase, scope);
+  const { divisionState, match } = unwrap(applyAddMatch(before, { ...payload, enteredBy: session.name }));
+  const saved = await commit(supabase, session, "addMatch", scope, before, divisionState, payload.revision);
+  return { ...saved, matchId: match.id };
+}
+
+async function editMatch(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const before = await loadDivision(supabase, scope);
+  const changes = { ...payload, editedBy: session.name };
+  const { divisionState, match } = unwrap(applyEditMatch(before, String(payload.matchId || ""), changes));
+  const saved = await commit(supabase, session, "editMatch", scope, before, divisionState, payload.revision);
+  return { ...saved, matchId: match.id };
+}
+
+async function deleteMatch(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const before = await loadDivision(supabase, scope);
+  const { divisionState, match } = unwrap(applyDeleteMatch(before, String(payload.matchId || "")));
+  const saved = await commit(supabase, session, "deleteMatch", scope, before, divisionState, payload.revision);
+  return { ...saved, matchId: match.id };
+}
+
+async function dropPlayer(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const places = clamp(asNumber(payload.places, scope.config.rules.dropPlaces), 1, scope.config.capacity);
+  const before = await loadDivision(supabase, scope);
+  const { divisionState, event } = unwrap(applyDropPlayer(before, String(payload.pid || ""), places, session.name));
+  const saved = await commit(supabase, session, "dropPlayer", scope, before, divisionState, payload.revision);
+  return { ...saved, eventId: event.id };
+}
+
+// Drops the chosen players (all inactive ones when `pids` is omitted) in one audited change.
+// Inactivity is re-checked here against today's date, so a stale preview can't drop someone who has since played.
+async function dropInactivePlayers(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const before = await loadDivision(supabase, scope);
+  const pids = Array.isArray(payload.pids) ? payload.pids.map(String) : null;
+  const { divisionState, dropped } = unwrap(
+    applyInactivityDrops(before, pids, { todayISO: formatDateISO(new Date()), adminName: session.name })
+  );
+  // Nobody could move: nothing to save, and the revision stays as it is.
+  if (dropped.length === 0) return { revision: before.revision, dropped: [] };
+  const saved = await commit(supabase, session, "dropInactivePlayers", scope, before, divisionState, payload.revision);
+  return { ...saved, dropped: dropped.map((x) => x.pid) };
+}
+
+async function withdrawPlayer(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const before = await loadDivision(supabase, scope);
+  const { divisionState, event } = unwrap(applyWithdrawPlayer(before, String(payload.pid || ""), session.name));
+  const saved = await commit(supabase, session, "withdrawPlayer", scope, before, divisionState, payload.revision);
+  return { ...saved, eventId: event.id };
+}
+
+async function reinstatePlayer(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const before = await loadDivision(supabase, scope);
+  const { divisionState, event } = unwrap(applyReinstatePlayer(before, String(payload.pid || ""), payload.toPos, session.name));
+  const saved = await commit(supabase, session, "reinstatePlayer", scope, before, divisionState, payload.revision);
+  return { ...saved, eventId: event.id };
+}
+
+async function issueChallenge(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const before = await loadDivision(supabase, scope);
+  const input = {
+    id: payload.id ? String(payload.id) : undefined,
+    challengerPid: String(payload.challengerPid || ""),
+    opponentPid: String(payload.opponentPid || ""),
+    date: payload.date,
+    issuedBy: session.name,
+  };
+  const { divisionState, challenge } = unwrap(applyIssueChallenge(before, input));
+  const saved = await commit(supabase, session, "issueChallenge", scope, before, divisionState, payload.revision);
+  return { ...saved, challengeId: challenge.id };
+}
+
+async function acceptChallenge(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const before = await loadDivision(supabase, scope);
+  const { divisionState } = unwrap(applyAcceptChallenge(before, String(payload.challengeId || ""), payload.date));
+  return commit(supabase, session, "acceptChallenge", scope, before, divisionState, payload.revision);
+}
+
+async function cancelChallenge(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const before = await loadDivision(supabase, scope);
+  const { divisionState } = unwrap(applyCancelChallenge(before, String(payload.challengeId || ""), session.name));
+  return commit(supabase, session, "cancelChallenge", scope, before, divisionState, payload.revision);
+}
+
+async function awardWalkover(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const before = await loadDivision(supabase, scope);
+  const input = {
+    matchId: payload.matchId ? String(payload.matchId) : undefined,
+    date: payload.date,
+    enteredBy: session.name,
+    todayISO: formatDateISO(new Date()),
+    force: payload.force === true,
+  };
+  const { divisionState, match } = unwrap(applyChallengeWalkover(before, String(payload.challengeId || ""), input));
+  const saved = await commit(supabase, session, "awardWalkover", scope, before, divisionState, payload.revision);
+  return { ...saved, matchId: match.id };
+}
+
+async function deleteEvent(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const before = await loadDivision(supabase, scope);
+  const { divisionState, event } = unwrap(applyDeleteEvent(before, String(payload.eventId || "")));
+  if (event.legacy) throw new ActionError(400, "Move old admin entries to ladder events before deleting them.");
+  const saved = await commit(supabase, session, "deleteEvent", scope, before, divisionState, payload.revision);
+  return { ...saved, eventId: event.id };
+}
+
+// One-off: copies "ADMIN: ..." pseudo-matches into ladder_events and removes them from matches.
+async function migrateLegacyEvents(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const before = await loadDivision(supabase, scope);
+  const legacyIds = before.events.filter((e) => e.legacy).map((e) => e.id);
+  if (legacyIds.length === 0) throw new ActionError(400, "No old admin entries to migrate.");
+
+  const after = {
+    ...before,
+    events: before.events.map((e) => {
+      const copy = { ...e };
+      delete copy.legacy;
+      return copy;
+    }),
+  };
+  const saved = await commit(supabase, session, "migrateLegacyEvents", scope, before, after, payload.revision, {
+    deletedMatchIds: legacyIds,
+  });
+  return { ...saved, migrated: legacyIds.length };
+}
+
+// Reverts one logged action (payload.auditId), or the division's latest one that hasn't been undone yet.
+async function undo(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const target = await findUndoTarget(supabase, scope, UNDOABLE_ACTIONS, payload.auditId ? String(payload.auditId) : null);
+  if (!target) throw new ActionError(404, payload.auditId ? "Activity entry not found." : "Nothing to undo.");
+  if (!UNDOABLE_ACTIONS.includes(target.action)) throw new ActionError(400, "That kind of change can't be undone.");
+  if (target.reverted_by) throw new ActionError(400, "That change has already been undone.");
+
+  const before = await loadDivision(supabase, scope);
+  const { divisionState } = unwrap(applyRevert(before, target.changes || {}));
+  const saved = await commit(supabase, session, "undo", scope, before, divisionState, payload.revision, { reverts: target.id });
+  return { ...saved, reverted: target.id };
+}
+
+async function rebuildFromHistory(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const before = await loadDivision(supabase, scope);
+  const { divisionState } = unwrap(rebuildDivisionFromHistory(before));
+  return commit(supabase, session, "rebuildFromHistory", scope, before, divisionState, payload.revision);
+}
+
+async function renamePlayer(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const pid = String(payload.pid || "");
+  const before = await loadDivision(supabase, scope);
+  if (!before.players.some((p) => p.pid === pid)) throw new ActionError(404, "Player not found");
+
+  const { divisionState } = unwrap(applyRenamePlayer(before, pid, payload));
+  return commit(supabase, session, "renamePlayer", scope, before, divisionState, payload.revision);
+}
+
+async function setPlayerStats(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const pid = String(payload.pid || "");
+  const before = await loadDivision(supabase, scope);
+  if (!before.players.some((p) => p.pid === pid)) throw new ActionError(404, "Player not found");
+
+  const { divisionState } = unwrap(applySetPlayerStats(before, pid, payload.stats || {}));
+  return commit(supabase, session, "setPlayerStats", scope, before, divisionState, payload.revision);
+}
+
+async function setPlayerCount(supabase, payload, session) {
+  const scope = await requireScope(supabase, payload);
+  const before = await loadDivision(supabase, scope);
+  const { divisionState, playerCount } = applySetPlayerCount(before, payload.playerCount);
+  const saved = await commit(supabase, session, "setPlayerCount", scope, before, divisionState, payload.revision);
+  return { ...saved, playerCount };
+}
+
+// Changing a season's calendar only relabels the period columns; existing
+// counts move to the new periods on "Rebuild from history".
+async function setCalendar(supabase, payload, session) {
+  const season = await readSeason(supabase, String(payload.season || ""));
+  if (!season) throw new ActionError(400, "Unknown season");
+  if (season.archived) throw new ActionError(403, "This season is archived and read-only.");
+  const { calendar } = unwrap(validateCalendar(payload.calendar));
+
+  const audit = auditRow({
+    session,
+    action: "setCalendar",
+    seasonId: season.id,
+    division: null,
+    changes: { players: [], matches: [], events: [], playerCount: null, calendar: { before: season.calendar, after: calendar } },
+    summary: [`${season.name} calendar set to ${calendar.start} – ${calendar.end}, ${calendar.cadence}.`],
+  });
+  const updated = await updateSeason(supabase, season.id, payload.revision, { calendar }, audit);
+  return { auditId: audit.id, season: updated };
+}
+
+// Creates a season, optionally seeded with the final standings of another one,
+// and saves each division's starting order so "Rebuild from history" can replay from it.
+async function createSeason(supabase, payload, session) {
+  const name = String(payload.name || "").trim();
+  if (!name) throw new ActionError(400, "Give the season a name.");
+  const { calendar } = unwrap(validateCalendar(payload.calendar || defaultCalendar()));
+
+  const id = seasonIdFromName(name);
+  if (await readSeason(supabase, id)) throw new ActionError(400, "A season with that name already exists.");
+
+  const source = payload.seedFrom ? await readSeason(supabase, String(payload.seedFrom)) : null;
+  if (payload.seedFrom && !source) throw new ActionError(400, "Season to seed from not found.");
+
+  const now = new Date().toISOString();
+  const players = [];
+  const settings = [];
+  for (const config of await listDivisions(supabase)) {
+    const division = config.key;
+    const start = source
+      ? seedDivisionFromStandings(await loadDivision(supabase, { season: source, division, config }), config)
+      : createDivisionState(division, config);
+    settings.push({ key: seasonSettingKey(id, `startOrder_${division}`), value: start.startOrder, updated_at: now });
+    if (!source) continue;
+    players.push(...start.players.map((p) => ({ ...playerToRow(p), season_id: id })));
+    settings.push({ key: seasonSettingKey(id, `playerCount_${division}`), value: start.playerCount, updated_at: now });
+  }
+
+  const archiveSource = source && payload.archiveSource && !source.archived ? source.id : null;
+  const summary = [`Created ${name}.`];
+  if (source) summary.push(`Seeded from the final standings of ${source.name}.`);
+  if (archiveSource) summary.push(`Archived ${source.name}.`);
+
+  const audit = auditRow({
+    session,
+    action: "createSeason",
+    seasonId: id,
+    division: null,
+    changes: { players: [], matches: [], events: [], playerCount: null, season: { before: null, after: { id, name, archived: false, calendar } } },
+    summary,
+  });
+  const season = await insertSeason(supabase, { id, name, calendar }, { players, settings, archiveSource, audit });
+  return { auditId: audit.id, season };
+}
+
+async function archiveSeason(supabase, payload, session) {
+  const season = await readSeason(supabase, String(payload.season || ""));
+  if (!season) throw new ActionError(400, "Unknown season");
+  const archived = payload.archived !== false;
+
+  const audit = auditRow({
+    session,
+    action: archived ? "archiveSeason" : "reopenSeason",
+    seasonId: season.id,
+    division: null,
+    changes: { players: [], matches: [], events: [], playerCount: null, season: { before: season, after: { ...season, archived } } },
+    summary: [`${archived ? "Archived" : "Reopened"} ${season.name}.`],
+  });
+  const updated = await updateSeason(supabase, season.id, payload.revision, { archived }, audit);
+  return { auditId: audit.id, season: updated };
+}
+
+// Creates a division (no key) or updates one's label, capacity and rules; its type is fixed.
+// Capacity can't drop below a named player's position in any season.
+async function saveDivision(supabase, payload, session) {
+  const { division } = unwrap(validateDivision(payload));
+  const divisions = await listDivisions(supabase);
+  const before = divisions.find((d) => d.key === division.key) || null;
+  if (payload.key && !before) throw new ActionError(400, "Unknown division");
+  if (!payload.key && before) throw new ActionError(400, "A division with that name already exists.");
+  if (before && before.type !== division.type) throw new ActionError(400, "A division's type can't be changed once it exists.");
+  if (!before) division.sortOrder = Math.max(-1, ...divisions.map((d, i) => d.sortOrder ?? i)) + 1;
+
+  if (before && division.capacity < before.capacity) {
+    const { data, error } = await supabase
+      .from("players")
+      .select("position")
+      .eq("division", division.key)
+      .neq("name", "")
+      .gt("position", division.capacity)
+      .limit(1);
+    if (error) throw new ActionError(500, `Failed to read players: ${error.message}`);
+    if (data?.length) {
+      throw new ActionError(400, `Capacity can't go below ${data[0].position}: a player is listed at that position.`);
+    }
+  }
+
+  const { division: saved, auditId } = await storeDivision(supabase, division, payload.revision, (after) =>
+    auditRow({
+      session,
+      action: "saveDivision",
+      seasonId: null,
+      division: after.key,
+      changes: { players: [], matches: [], events: [], playerCount: null, division: { before, after } },
+      summary: [
+        before
+          ? `${after.label}: capacity ${after.capacity}, drop ${after.rules.dropPlaces} places. ${describeChallengeRules(after.rules)}`
+          : `Added the ${after.label} ${after.type} division (capacity ${after.capacity}).`,
+      ],
+    })
+  );
+  return { auditId, division: saved };
+}
+
+const ACTIONS = {
+  addMatch,
+  editMatch,
+  deleteMatch,
+  dropPlayer,
+  dropInactivePlayers,
+  withdrawPlayer,
+  reinstatePlayer,
+  deleteEvent,
+  issueChallenge,
+  acceptChallenge,
+  cancelChallenge,
+  awardWalkover,
+  migrateLegacyEvents,
+  undo,
+  rebuildFromHistory,
+  renamePlayer,
+  setPlayerStats,
+  setPlayerCount,
+  setCalendar,
+  createSeason,
+  archiveSeason,
+  saveDivision,
+};
 
 export default async function handler(req, res) {
   if (req.method !== "POST") {
@@ -6,10 +406,11 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { pin, action, payload } = req.body || {};
+    const { pin, token, action, payload } = req.body || {};
+    const secret = process.env.ADMIN_SESSION_SECRET;
 
-    if (!pin || pin !== process.env.ADMIN_PIN) {
-      return res.status(401).json({ error: "Bad PIN" });
+    if (!secret) {
+      return res.status(500).json({ error: "Missing ADMIN_SESSION_SECRET" });
     }
 
     if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
@@ -21,180 +422,46 @@ export default async function handler(req, res) {
       process.env.SUPABASE_SERVICE_ROLE_KEY
     );
 
-    if (action !== "saveState") {
-      return res.status(400).json({ error: "Unknown action" });
-    }
-
-    const { players, matches, playerCounts } = payload || {};
-
-    if (!Array.isArray(players) || !Array.isArray(matches) || !playerCounts) {
-      return res.status(400).json({ error: "Invalid payload" });
-    }
-
-    // ----------------------------
-    // Deduplicate incoming players
-    // ----------------------------
-    const playerMap = new Map();
-    for (const p of players) {
-      const pid = String(p?.pid || "").trim();
-      if (!pid) continue;
-
-      playerMap.set(pid, {
-        pid,
-        division: String(p.division || "mens"),
-        position: Number(p.position || 0),
-        name: String(p.name || ""),
-        matches_played: Number(p.matchesPlayed || 0),
-        matches_won: Number(p.matchesWon || 0),
-        sets_won: Number(p.setsWon || 0),
-        sets_lost: Number(p.setsLost || 0),
-        games_won: Number(p.gamesWon || 0),
-        games_lost: Number(p.gamesLost || 0),
-        apr: Number(p.apr || 0),
-        may: Number(p.may || 0),
-        jun: Number(p.jun || 0),
-        jul: Number(p.jul || 0),
-        aug: Number(p.aug || 0),
-        updated_at: new Date().toISOString(),
-      });
-    }
-    const pRows = Array.from(playerMap.values());
-    const incomingPlayerIds = pRows.map((p) => p.pid);
-
-    // ----------------------------
-    // Deduplicate incoming matches
-    // ----------------------------
-    const matchMap = new Map();
-    for (const m of matches) {
-      const id = String(m?.id || "").trim();
-      if (!id) continue;
-
-      matchMap.set(id, {
-        id,
-        division: String(m.division || "mens"),
-        date: String(m.date || ""),
-        position_played_for: Number(m.positionPlayedFor || 1),
-        challenger_pid: String(m.challengerPid || ""),
-        opponent_pid: String(m.opponentPid || ""),
-        winner_id: String(m.winnerId || "p2"),
-        score: String(m.score || ""),
-        surface: String(m.surface || ""),
-        challenger_start_pos: Number(m.challengerStartPos || 0),
-        opponent_start_pos: Number(m.opponentStartPos || 0),
-        ladder_move_applied: Boolean(m.ladderMoveApplied),
-      });
-    }
-    const mRows = Array.from(matchMap.values());
-    const incomingMatchIds = mRows.map((m) => m.id);
-
-    // ----------------------------
-    // Upsert players
-    // ----------------------------
-    if (pRows.length > 0) {
-      const { error: pErr } = await supabase
-        .from("players")
-        .upsert(pRows, { onConflict: "pid" });
-
-      if (pErr) {
-        return res.status(500).json({ error: `Players save failed: ${pErr.message}` });
+    // The PIN is only ever checked here; every other action needs the session token it returns.
+    if (action === "login") {
+      const ip = clientIp(req);
+      const waiting = await lockoutRemaining(supabase, ip);
+      if (waiting > 0) {
+        res.setHeader("Retry-After", String(waiting));
+        return res.status(429).json({ error: "Too many wrong PINs. Try again later.", retryAfter: waiting });
       }
-    }
-
-    // ----------------------------
-    // Delete players not in payload
-    // ----------------------------
-    const { data: existingPlayers, error: existingPlayersErr } = await supabase
-      .from("players")
-      .select("pid");
-
-    if (existingPlayersErr) {
-      return res.status(500).json({ error: `Failed to read existing players: ${existingPlayersErr.message}` });
-    }
-
-    const existingPlayerIds = (existingPlayers || []).map((p) => String(p.pid));
-    const playerIdsToDelete = existingPlayerIds.filter((pid) => !incomingPlayerIds.includes(pid));
 
-    if (playerIdsToDelete.length > 0) {
-      const { error: delPlayersErr } = await supabase
-        .from("players")
-        .delete()
-        .in("pid", playerIdsToDelete);
-
-      if (delPlayersErr) {
-        return res.status(500).json({ error: `Players delete failed: ${delPlayersErr.message}` });
+      const admin = await findAdminByPin(supabase, pin);
+      if (!admin) {
+        const { retryAfter, attemptsLeft } = await recordFailure(supabase, ip);
+        if (retryAfter > 0) res.setHeader("Retry-After", String(retryAfter));
+        return res.status(retryAfter > 0 ? 429 : 401).json({ error: "Bad PIN", retryAfter, attemptsLeft });
       }
-    }
 
-    // ----------------------------
-    // Upsert matches
-    // ----------------------------
-    if (mRows.length > 0) {
-      const { error: mErr } = await supabase
-        .from("matches")
-        .upsert(mRows, { onConflict: "id" });
-
-      if (mErr) {
-        return res.status(500).json({ error: `Matches save failed: ${mErr.message}` });
-      }
+      await clearFailures(supabase, ip);
+      return res.json({ ok: true, ...createSession(secret, admin) });
     }
 
-    // ----------------------------
-    // Delete matches not in payload
-    // ----------------------------
-    const { data: existingMatches, error: existingMatchesErr } = await supabase
-      .from("matches")
-      .select("id");
-
-    if (existingMatchesErr) {
-      return res.status(500).json({ error: `Failed to read existing matches: ${existingMatchesErr.message}` });
+    const session = verifySession(token, secret);
+    if (!session) {
+      return res.status(401).json({ error: "Admin session expired. Unlock again." });
     }
 
-    const existingMatchIds = (existingMatches || []).map((m) => String(m.id));
-    const matchIdsToDelete = existingMatchIds.filter((id) => !incomingMatchIds.includes(id));
-
-    if (matchIdsToDelete.length > 0) {
-      const { error: delMatchesErr } = await supabase
-        .from("matches")
-        .delete()
-        .in("id", matchIdsToDelete);
-
-      if (delMatchesErr) {
-        return res.status(500).json({ error: `Matches delete failed: ${delMatchesErr.message}` });
-      }
+    if (action === "session") {
+      return res.json({ ok: true, expiresAt: session.exp, adminName: session.name });
     }
 
-    // ----------------------------
-    // Save both player counts
-    // ----------------------------
-    const settingsRows = [
-      {
-        key: "playerCount_mens",
-        value: Number(playerCounts.mens || 40),
-        updated_at: new Date().toISOString(),
-      },
-      {
-        key: "playerCount_womens",
-        value: Number(playerCounts.womens || 40),
-        updated_at: new Date().toISOString(),
-      },
-    ];
-
-    const { error: sErr } = await supabase
-      .from("settings")
-      .upsert(settingsRows, { onConflict: "key" });
-
-    if (sErr) {
-      return res.status(500).json({ error: `Settings save failed: ${sErr.message}` });
+    const run = Object.hasOwn(ACTIONS, action) ? ACTIONS[action] : null;
+    if (!run) {
+      return res.status(400).json({ error: "Unknown action" });
     }
 
-    return res.json({
-      ok: true,
-      playersSaved: pRows.length,
-      matchesSaved: mRows.length,
-      playersDeleted: playerIdsToDelete.length,
-      matchesDeleted: matchIdsToDelete.length,
-    });
+    const result = await run(supabase, payload || {}, session);
+    return res.json({ ok: true, ...result });
   } catch (e) {
+    if (e instanceof ActionError) {
+      return res.status(e.status).json({ error: e.message });
+    }
     return res.status(500).json({ error: e?.message || "Server error" });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,99 @@
+import { createClient } from "@supabase/supabase-js";
+import { applyChallengeWalkover, applyInactivityDrops, formatDateISO, overdueChallenges } from "../src/ladder.js";
+import { listDivisions } from "./_lib/divisions.js";
+import { listOpenSeasons } from "./_lib/seasons.js";
+import { ActionError, commit, loadDivision } from "./_lib/store.js";
+
+/**
+ * Scheduled jobs, run daily by Vercel Cron (see vercel.json). Vercel sends
+ * `Authorization: Bearer <CRON_SECRET>`; any other caller is refused.
+ *
+ * Changes are committed and audited like admin actions, as the "System" admin.
+ */
+
+const SYSTEM_SESSION = { sub: "system", name: "System" };
+
+// In divisions with rules.autoWalkover, every overdue challenge goes to the
+// challenger. One with a withdrawn side is refused and left for an admin to cancel.
+async function awardOverdueWalkovers(supabase, scope, today) {
+  const before = await loadDivision(supabase, scope);
+  let after = before;
+  let awarded = 0;
+
+  for (const challenge of overdueChallenges(before, today)) {
+    const result = applyChallengeWalkover(after, challenge.id, { date: today, enteredBy: SYSTEM_SESSION.name, todayISO: today });
+    if (!result.ok) continue;
+    after = result.divisionState;
+    awarded += 1;
+  }
+
+  if (awarded > 0) await commit(supabase, SYSTEM_SESSION, "awardWalkover", scope, before, after, before.revision);
+  return awarded;
+}
+
+// In divisions with rules.autoInactivity, every inactive player drops rules.dropPlaces.
+async function dropInactivePlayers(supabase, scope, today) {
+  const before = await loadDivision(supabase, scope);
+  const result = applyInactivityDrops(before, null, { todayISO: today, adminName: SYSTEM_SESSION.name });
+  if (!result.ok || result.dropped.length === 0) return 0;
+  await commit(supabase, SYSTEM_SESSION, "dropInactivePlayers", scope, before, result.divisionState, before.revision);
+  return result.dropped.length;
+}
+
+// Each job runs only in the divisions whose rules opt in to it.
+const JOBS = [
+  { name: "walkovers", enabled: (rules) => rules.autoWalkover, run: awardOverdueWalkovers },
+  { name: "inactivity", enabled: (rules) => rules.autoInactivity, run: dropInactivePlayers },
+];
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "GET or POST only" });
+  }
+
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(500).json({ error: "Missing CRON_SECRET" });
+  }
+  if (req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    return res.status(500).json({ error: "Missing Supabase server environment variables" });
+  }
+
+  try {
+    const supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+
+    const today = formatDateISO(new Date());
+    const divisions = await listDivisions(supabase);
+    const seasons = await listOpenSeasons(supabase);
+    const changes = [];
+    const failures = [];
+
+    // One division failing (e.g. an admin saved at the same moment) doesn't stop the others; the next run retries it.
+    for (const job of JOBS) {
+      for (const season of seasons) {
+        for (const config of divisions.filter((d) => job.enabled(d.rules))) {
+          try {
+            const count = await job.run(supabase, { season, division: config.key, config }, today);
+            if (count > 0) changes.push({ job: job.name, season: season.id, division: config.key, count });
+          } catch (e) {
+            failures.push({ job: job.name, season: season.id, division: config.key, error: e?.message || "Failed" });
+          }
+        }
+      }
+    }
+
+    return res.status(failures.length ? 500 : 200).json({ ok: failures.length === 0, changes, failures });
+  } catch (e) {
+    if (e instanceof ActionError) {
+      return res.status(e.status).json({ error: e.message });
+    }
+    return res.status(500).json({ error: e?.message || "Server error" });
+  }
+}
@@ -1,230 +1,151 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useEffectEvent, useMemo, useRef, useState } from "react";
 import { createClient } from "@supabase/supabase-js";
+import {
+  DEFAULT_DIVISION_RULES,
+  DEFAULT_PLAYER_COUNT,
+  DIVISIONS,
+  DIVISION_TYPES,
+  MATCH_FORMATS,
+  MATCH_OUTCOMES,
+  MAX_CAPACITY,
+  MOVE_MODES,
+  STAT_FIELDS,
+  SURFACES,
+  REALTIME_TABLES,
+  UNDOABLE_ACTIONS,
+  playerRecords,
+  applyAcceptChallenge,
+  applyAddMatch,
+  applyQueuedChanges,
+  applyCancelChallenge,
+  applyChallengeWalkover,
+  applyDeleteEvent,
+  applyDeleteMatch,
+  applyEditMatch,
+  applyIssueChallenge,
+  applyReinstatePlayer,
+  applyWithdrawPlayer,
+  asNumber,
+  buildDivisionState,
+  clamp,
+  createDivisionState,
+  defaultState,
+  divisionFromRow,
+  entryName,
+  describeChallengeRules,
+  describeDivisionChanges,
+  eventKindLabel,
+  formatDateISO,
+  findInactivePlayers,
+  describeMatchFormat,
+  formatMatchScore,
+  tieBreakRecords,
+  headToHead,
+  positionOn,
+  positionSummary,
+  positionTimelines,
+  matchFormat,
+  matchOutcome,
+  diffDivisionStates,
+  individualDoublesStats,
+  isDoubles,
+  isOpenChallenge,
+  challengeStatusLabel,
+  isWithdrawnPlayer,
+  matchSideName,
+  patchRows,
+  rebuildDivisionFromHistory,
+  CALENDAR_CADENCES,
+  samePeriodCounts,
+  calendarPeriods,
+  defaultCalendar,
+  defaultSeasonId,
+  seasonFromRow,
+  uid,
+  seasonSettingKey,
+  validateCalendar,
+  validateDivision,
+} from "./ladder.js";
 
 /**
- * Heron Tennis Summer Ladder 2026 — plain React + Supabase (shared realtime).
+ * Heron Tennis Ladder — plain React + Supabase (shared realtime).
  *
- * Multi-ladder edition:
- * - Men's + Women's ladders in one app
- * - Top toggle switches between ladders
- * - Each ladder has fully separate players, matches, and playerCount
- * - Shared cloud sync via Supabase
- * - Admin writes go through /api/admin with PIN
+ * - Divisions (singles or doubles ladders) are stored in the divisions table;
+ *   the built-in Men's and Women's ladders apply until one is saved
+ * - Top toggle switches between divisions
+ * - Each division has fully separate players, matches, and playerCount
+ * - Seasons: every season is its own set of ladders; past ones are archived read-only
+ * - Shared cloud sync via Supabase; realtime changes are patched in, not refetched
+ * - Admin unlock exchanges the PIN for a short-lived session token from /api/admin
+ * - Admin writes go through /api/admin, one granular action per change
+ * - Works offline: the last ladder loaded is cached, and admin changes made without
+ *   signal wait in an outbox on the device and are sent in order once it is back
+ * - Ladder/score rules live in ./ladder.js and are re-run on the server
  * - Mobile-friendly browser layout while keeping desktop layout intact
  */
 
-const DEFAULT_PLAYER_COUNT = 40;
-const CAPACITY = 60;
-const SURFACES = ["Clay", "Indoor", "Outdoor Hard Court"];
-const DIVISIONS = [
-  { key: "mens", label: "Men's" },
-  { key: "womens", label: "Women's" },
-];
-
 const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL;
 const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY;
 const supabase = SUPABASE_URL && SUPABASE_ANON_KEY ? createClient(SUPABASE_URL, SUPABASE_ANON_KEY) : null;
 
-function uid() {
-  return Math.random().toString(36).slice(2, 9) + "_" + Date.now().toString(36);
-}
-
-function asNumber(x, fallback) {
-  const n = Number(x);
-  return Number.isFinite(n) ? n : fallback;
-}
-
-function clamp(n, min, max) {
-  return Math.min(max, Math.max(min, n));
-}
-
-function clampMin0(n) {
-  return Math.max(0, asNumber(n, 0));
-}
-
-function formatDateISO(d) {
-  const dt = d instanceof Date ? d : new Date(d);
-  if (Number.isNaN(dt.getTime())) return "";
-  const yyyy = dt.getFullYear();
-  const mm = String(dt.getMonth() + 1).padStart(2, "0");
-  const dd = String(dt.getDate()).padStart(2, "0");
-  return `${yyyy}-${mm}-${dd}`;
-}
-
-function monthKeyFromDateISO(dateISO) {
-  const d = new Date(dateISO);
-  if (Number.isNaN(d.getTime())) return null;
-  const m = d.getMonth();
-  if (m === 3) return "apr";
-  if (m === 4) return "may";
-  if (m === 5) return "jun";
-  if (m === 6) return "jul";
-  if (m === 7) return "aug";
-  return null;
-}
-
-function createEmptyPlayer(position, division) {
-  return {
-    pid: `${division}_p${position}`,
-    division,
-    position,
-    name: "",
-    matchesPlayed: 0,
-    matchesWon: 0,
-    setsWon: 0,
-    setsLost: 0,
-    gamesWon: 0,
-    gamesLost: 0,
-    apr: 0,
-    may: 0,
-    jun: 0,
-    jul: 0,
-    aug: 0,
-  };
-}
+const COLS = [
+  { key: "position", label: "Pos" },
+  { key: "name", label: "Name" },
+  { key: "matchesPlayed", label: "Matches Played" },
+  { key: "matchesWon", label: "Matches Won" },
+  { key: "setsWon", label: "Sets Won" },
+  { key: "setsLost", label: "Sets Lost" },
+  { key: "setDiff", label: "Set Diff" },
+  { key: "gamesWon", label: "Games Won" },
+  { key: "gamesLost", label: "Games Lost" },
+  { key: "gameDiff", label: "Game Diff" },
+  { key: "tieBreaksWon", label: "Tie-breaks Won" },
+  { key: "tieBreaksLost", label: "Tie-breaks Lost" },
+  { key: "streak", label: "Streak" },
+  { key: "longestWinStreak", label: "Longest Win Streak" },
+  ...SURFACES.map((surface) => ({ key: `winPct:${surface}`, label: `${surface} Win %` })),
+  { key: "challengerWinPct", label: "As Challenger" },
+  { key: "defenderWinPct", label: "As Defender" },
+  { key: "decidingSetDiff", label: "Deciding Sets" },
+  { key: "matchTieBreakDiff", label: "Match Tie-breaks" },
+  { key: "gamesPerMatch", label: "Games / Match" },
+];
 
-function createDivisionState(division) {
-  return {
-    playerCount: DEFAULT_PLAYER_COUNT,
-    players: Array.from({ length: CAPACITY }, (_, i) => createEmptyPlayer(i + 1, division)),
-    matches: [],
-  };
+// Sort value for a { played, won } record; below 0% when there is nothing to rate.
+function winPct(r) {
+  return r?.played ? Math.round((r.won / r.played) * 100) : -1;
 }
 
-function defaultState() {
-  return {
-    mens: createDivisionState("mens"),
-    womens: createDivisionState("womens"),
-  };
+function winPctLabel(r) {
+  return r?.played ? `${winPct(r)}%` : "—";
 }
 
-function parseScore(scoreStr) {
-  const raw = String(scoreStr || "").trim();
-  if (!raw) return { valid: false, sets: [], isMTB: false, message: "Please enter a score (e.g. 6-4 6-3)." };
-
-  // Accept human-friendly formats like:
-  // 6-4 6-3
-  // 6-4, 6-3
-  // 6-4,3-6,10-8
-  // 6:4 3:6 10:8
-  const matches = raw.match(/\d+\s*[-:]\s*\d+/g) || [];
-  if (matches.length < 2) {
-    return { valid: false, sets: [], isMTB: false, message: "Enter at least 2 sets (e.g. 6-4 6-3)." };
-  }
-
-  const sets = [];
-  let isMTB = false;
-
-  for (const part of matches) {
-    const bits = part.split(/[-:]/);
-    if (bits.length !== 2) return { valid: false, sets: [], isMTB: false, message: `Couldn't read set: "${part}"` };
-
-    const p1 = asNumber(bits[0].trim(), NaN);
-    const p2 = asNumber(bits[1].trim(), NaN);
-    if (!Number.isFinite(p1) || !Number.isFinite(p2)) {
-      return { valid: false, sets: [], isMTB: false, message: `Couldn't read set: "${part}"` };
-    }
-
-    if (p1 >= 10 || p2 >= 10) isMTB = true;
-    sets.push({ p1, p2 });
-  }
-
-  return { valid: true, sets, isMTB };
+function recordLabel(r) {
+  if (!r) return "—";
+  const lost = r.lost ?? r.played - r.won;
+  return r.won + lost > 0 ? `${r.won}–${lost}` : "—";
 }
 
-function isMatchTieBreakSet(set) {
-  return Number(set?.p1 || 0) >= 10 || Number(set?.p2 || 0) >= 10;
+// Both sides' games per scored match, to one decimal place.
+function gamesPerMatch(r) {
+  return r?.scoredMatches ? Math.round((r.games / r.scoredMatches) * 10) / 10 : 0;
 }
 
-function formatScore(score) {
-  if (String(score || "").startsWith("ADMIN:")) return String(score || "");
-  const parsed = parseScore(score);
-  return parsed.isMTB ? `${score} (MTB)` : score;
+function streakLabel(streak) {
+  if (!streak) return "—";
+  return streak > 0 ? `W${streak}` : `L${-streak}`;
 }
 
-function validateSets(sets) {
-  if (!Array.isArray(sets) || sets.length < 2) {
-    return { ok: false, message: "Enter at least 2 sets (e.g. 6-4 6-3)." };
-  }
-
-  let p1Sets = 0;
-  let p2Sets = 0;
-
-  for (const s of sets) {
-    const a = asNumber(s.p1, -1);
-    const b = asNumber(s.p2, -1);
-    if (a < 0 || b < 0) return { ok: false, message: "Scores must be non-negative numbers." };
-    if (a === b) return { ok: false, message: "A set can't be tied." };
-
-    const hi = Math.max(a, b);
-    const lo = Math.min(a, b);
-    const diff = hi - lo;
-
-    if (hi >= 10) {
-      if (diff < 2) return { ok: false, message: "Match tie-break must be won by 2 points." };
-    } else {
-      const ok6 = hi === 6 && lo <= 4;
-      const ok75 = hi === 7 && lo === 5;
-      const ok76 = hi === 7 && lo === 6;
-      if (!(ok6 || ok75 || ok76)) {
-        return { ok: false, message: "Impossible set score. Use 6-x, 7-5, 7-6, or match tie-break 10+." };
-      }
-    }
+// Per-period match count columns follow the season calendar, keyed "period:<start date>".
+const PERIOD_PREFIX = "period:";
 
-    if (a > b) p1Sets += 1;
-    else p2Sets += 1;
-  }
-
-  if (p1Sets === p2Sets) {
-    return { ok: false, message: "Match can't end tied on sets. Add a deciding set / match tie-break." };
-  }
-
-  return { ok: true, message: "" };
+function periodColumns(calendar) {
+  return calendarPeriods(calendar).map((period) => ({ key: `${PERIOD_PREFIX}${period.key}`, label: `${period.label} Matches`, periodKey: period.key }));
 }
 
-function computeFromSets(sets) {
-  let p1Sets = 0,
-    p2Sets = 0,
-    p1Games = 0,
-    p2Games = 0;
-
-  for (const s of sets) {
-    if (s.p1 > s.p2) p1Sets += 1;
-    else if (s.p2 > s.p1) p2Sets += 1;
-
-    // Match tie-breaks (10-x or higher) count as 1 game to the winner,
-    // not 10+ games in the game totals.
-    if (isMatchTieBreakSet(s)) {
-      if (s.p1 > s.p2) p1Games += 1;
-      else if (s.p2 > s.p1) p2Games += 1;
-    } else {
-      p1Games += s.p1;
-      p2Games += s.p2;
-    }
-  }
-
-  return { p1Sets, p2Sets, p1Games, p2Games };
-}
-
-const COLS = [
-  { key: "position", label: "Pos" },
-  { key: "name", label: "Name" },
-  { key: "matchesPlayed", label: "Matches Played" },
-  { key: "matchesWon", label: "Matches Won" },
-  { key: "setsWon", label: "Sets Won" },
-  { key: "setsLost", label: "Sets Lost" },
-  { key: "setDiff", label: "Set Diff" },
-  { key: "gamesWon", label: "Games Won" },
-  { key: "gamesLost", label: "Games Lost" },
-  { key: "gameDiff", label: "Game Diff" },
-  { key: "apr", label: "Apr Matches" },
-  { key: "may", label: "May Matches" },
-  { key: "jun", label: "Jun Matches" },
-  { key: "jul", label: "Jul Matches" },
-];
-
 function valueForColumn(p, colKey) {
-  if (colKey === "name") return String(p.name || "").toLowerCase();
+  if (colKey === "name") return entryName(p).toLowerCase();
+  if (colKey.startsWith(PERIOD_PREFIX)) return p.periodCounts?.[colKey.slice(PERIOD_PREFIX.length)] || 0;
   return p[colKey];
 }
 
@@ -244,43 +165,6 @@ function compareByColumn(a, b, colKey, dir) {
   return (a.position - b.position) * mul;
 }
 
-function applyLadderMove(players, challengerPid, opponentPos) {
-  const challenger = players.find((p) => p.pid === challengerPid);
-  if (!challenger) return { players, applied: false };
-
-  const challengerStartPos = challenger.position;
-  if (challengerStartPos <= opponentPos) return { players, applied: false };
-
-  const moved = players.map((p) => ({ ...p }));
-
-  for (const p of moved) {
-    if (p.pid === challengerPid) continue;
-    if (p.position >= opponentPos && p.position < challengerStartPos) p.position += 1;
-  }
-
-  const ch = moved.find((p) => p.pid === challengerPid);
-  if (ch) ch.position = opponentPos;
-
-  return { players: moved, applied: true };
-}
-
-function reverseLadderMove(players, challengerPid, challengerStartPos, opponentStartPos) {
-  const ch = players.find((p) => p.pid === challengerPid);
-  if (!ch) return players;
-
-  const next = players.map((p) => ({ ...p }));
-
-  for (const p of next) {
-    if (p.pid === challengerPid) continue;
-    if (p.position > opponentStartPos && p.position <= challengerStartPos) p.position -= 1;
-  }
-
-  const c = next.find((p) => p.pid === challengerPid);
-  if (c) c.position = challengerStartPos;
-
-  return next;
-}
-
 function ladderRowStyle(position) {
   if (position === 1) return { background: "rgba(255, 215, 0, 0.25)" };
   if (position === 2) return { background: "rgba(192, 192, 192, 0.25)" };
@@ -316,8 +200,8 @@ function LeaderCard({ medal, p }) {
   return (
     <div className="leaderCard">
       <div className="leaderMedal">{medal}</div>
-      <div className="leaderName" title={p.name}>
-        {p.name}
+      <div className="leaderName" title={entryName(p)}>
+        {entryName(p)}
       </div>
       <div className="leaderSub" style={{ marginTop: 4 }}>
         Pos #{p.position}
@@ -350,136 +234,866 @@ function MobileSummary({ divisionLabel, playerCount, totalMatches, top3 }) {
       <div className="summaryPill wide">
         <div className="summaryLabel">Top 3</div>
         <div className="summaryValue small">
-          {top3.length === 0 ? "—" : top3.map((p, i) => `${i + 1}. ${p.name || "—"}`).join(" • ")}
+          {top3.length === 0 ? "—" : top3.map((p, i) => `${i + 1}. ${entryName(p) || "—"}`).join(" • ")}
         </div>
       </div>
     </div>
   );
 }
 
-async function fetchCloudState() {
+async function fetchSeasons() {
   if (!supabase) throw new Error("Supabase client not configured. Check VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY.");
 
-  const [pRes, mRes, sRes] = await Promise.all([
-    supabase.from("players").select("*").order("division", { ascending: true }).order("position", { ascending: true }),
-    supabase.from("matches").select("*").order("created_at", { ascending: false }),
-    supabase.from("settings").select("*").in("key", ["playerCount_mens", "playerCount_womens"]),
+  const { data, error } = await supabase.from("seasons").select("*").order("created_at", { ascending: true });
+  if (error) throw new Error(error.message);
+  return (data || []).map(seasonFromRow);
+}
+
+// Until an admin saves one, the divisions table is empty and the built-in ladders apply.
+async function fetchDivisions() {
+  if (!supabase) throw new Error("Supabase client not configured. Check VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY.");
+
+  const { data, error } = await supabase.from("divisions").select("*").order("sort_order").order("created_at");
+  if (error) throw new Error(error.message);
+  return data?.length ? data.map(divisionFromRow) : DIVISIONS;
+}
+
+// Unprefixed settings keys are from before seasons existed.
+function settingKeysFor(season, divisions) {
+  const keys = ["season"];
+  for (const { key } of divisions) {
+    keys.push(
+      seasonSettingKey(season.id, `playerCount_${key}`),
+      seasonSettingKey(season.id, `revision_${key}`),
+      seasonSettingKey(season.id, `startOrder_${key}`),
+      `playerCount_${key}`
+    );
+  }
+  return keys;
+}
+
+// The season's raw rows, kept so realtime changes can be patched in without refetching.
+async function fetchCloudRows(season, divisions) {
+  if (!supabase) throw new Error("Supabase client not configured. Check VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY.");
+
+  const [pRes, mRes, eRes, cRes, sRes] = await Promise.all([
+    supabase.from("players").select("*").eq("season_id", season.id).order("division", { ascending: true }).order("position", { ascending: true }),
+    supabase.from("matches").select("*").eq("season_id", season.id).order("created_at", { ascending: false }),
+    supabase.from("ladder_events").select("*").eq("season_id", season.id).order("created_at", { ascending: false }),
+    supabase.from("challenges").select("*").eq("season_id", season.id).order("created_at", { ascending: false }),
+    supabase.from("settings").select("*").in("key", settingKeysFor(season, divisions)),
   ]);
 
   if (pRes.error) throw new Error(pRes.error.message);
   if (mRes.error) throw new Error(mRes.error.message);
+  if (eRes.error) throw new Error(eRes.error.message);
+  if (cRes.error) throw new Error(cRes.error.message);
   if (sRes.error) throw new Error(sRes.error.message);
 
-  const state = defaultState();
+  return { players: pRes.data || [], matches: mRes.data || [], events: eRes.data || [], challenges: cRes.data || [], settings: sRes.data || [] };
+}
 
-  for (const division of ["mens", "womens"]) {
-    const playersForDivision = (pRes.data || []).filter((r) => String(r.division || "mens") === division);
-    const byPos = new Map(playersForDivision.map((row) => [Number(row.position), row]));
-    const players = [];
+function stateFromRows(rows, season, divisions) {
+  const state = defaultState(divisions);
+
+  for (const { key: division, type, capacity, rules } of divisions) {
+    const setting = (key) => rows.settings.find((x) => x.key === key)?.value;
+    state[division] = buildDivisionState(division, {
+      players: rows.players,
+      matches: rows.matches,
+      events: rows.events,
+      challenges: rows.challenges,
+      playerCount: setting(seasonSettingKey(season.id, `playerCount_${division}`)) ?? setting(`playerCount_${division}`),
+      revision: setting(seasonSettingKey(season.id, `revision_${division}`)),
+      startOrder: setting(seasonSettingKey(season.id, `startOrder_${division}`)),
+      calendar: season.calendar ?? setting("season"),
+      type,
+      capacity,
+      rules,
+    });
+  }
 
-    for (let pos = 1; pos <= CAPACITY; pos++) {
-      const row = byPos.get(pos);
-      if (!row) {
-        players.push(createEmptyPlayer(pos, division));
-        continue;
-      }
-      players.push({
-        ...createEmptyPlayer(pos, division),
-        pid: String(row.pid ?? `${division}_p${pos}`),
-        division,
-        position: pos,
-        name: String(row.name || ""),
-        matchesPlayed: asNumber(row.matches_played, 0),
-        matchesWon: asNumber(row.matches_won, 0),
-        setsWon: asNumber(row.sets_won, 0),
-        setsLost: asNumber(row.sets_lost, 0),
-        gamesWon: asNumber(row.games_won, 0),
-        gamesLost: asNumber(row.games_lost, 0),
-        apr: asNumber(row.apr, 0),
-        may: asNumber(row.may, 0),
-        jun: asNumber(row.jun, 0),
-        jul: asNumber(row.jul, 0),
-        aug: asNumber(row.aug, 0),
-      });
+  return state;
+}
+
+// One save writes many rows (a leapfrog rewrites every player in between), so
+// changes are collected for this long and applied together.
+const REALTIME_DEBOUNCE_MS = 300;
+
+const ACTIVITY_LIMIT = 200;
+
+const ACTION_LABELS = {
+  addMatch: "Added match",
+  editMatch: "Edited match",
+  deleteMatch: "Deleted match",
+  dropPlayer: "Dropped player",
+  dropInactivePlayers: "Dropped inactive players",
+  withdrawPlayer: "Withdrew player",
+  reinstatePlayer: "Reinstated player",
+  renamePlayer: "Renamed player",
+  setPlayerStats: "Edited stats",
+  setPlayerCount: "Changed player count",
+  deleteEvent: "Deleted ladder event",
+  migrateLegacyEvents: "Migrated old admin entries",
+  undo: "Undid a change",
+  rebuildFromHistory: "Rebuilt stats from history",
+  setCalendar: "Changed season calendar",
+  createSeason: "Created season",
+  archiveSeason: "Archived season",
+  reopenSeason: "Reopened season",
+  saveDivision: "Changed division settings",
+  issueChallenge: "Issued challenge",
+  acceptChallenge: "Accepted challenge",
+  cancelChallenge: "Cancelled challenge",
+  awardWalkover: "Awarded walkover",
+};
+
+async function fetchActivity({ seasonId, division, pid, from, to }) {
+  if (!supabase) throw new Error("Supabase client not configured. Check VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY.");
+
+  // Season-wide changes cover every division and are logged without one;
+  // division settings apply to every season and are logged without a season.
+  let query = supabase
+    .from("audit_log")
+    .select("*")
+    .or(`season_id.eq.${seasonId},season_id.is.null`)
+    .or(`division.eq.${division},division.is.null`)
+    .order("created_at", { ascending: false }).limit(ACTIVITY_LIMIT);
+  if (pid) query = query.contains("player_pids", [pid]);
+  if (from) query = query.gte("created_at", new Date(`${from}T00:00:00`).toISOString());
+  if (to) {
+    const end = new Date(`${to}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    query = query.lt("created_at", end.toISOString());
+  }
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+const SESSION_STORAGE_KEY = "heronAdminSession";
+
+function loadStoredSession() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || "null");
+    if (!stored?.token || !(stored.expiresAt > Date.now())) return null;
+    return stored;
+  } catch {
+    return null;
+  }
+}
+
+function storeSession(session) {
+  try {
+    if (session) localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    else localStorage.removeItem(SESSION_STORAGE_KEY);
+  } catch {
+    // Private browsing can block storage; the session then lasts until reload.
+  }
+}
+
+// The last seasons, divisions and season rows loaded, so the app still opens without signal.
+const CACHE_STORAGE_KEY = "heronLadderCache";
+
+function loadCache() {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_STORAGE_KEY) || "null") || {};
+  } catch {
+    return {};
+  }
+}
+
+function storeCache(changes) {
+  try {
+    localStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify({ ...loadCache(), ...changes }));
+  } catch {
+    // Storage can be full or blocked; the app then needs a connection to open.
+  }
+}
+
+// Only the season last looked at is kept, which bounds the cache to one season's rows.
+function cacheLadder(season, rows) {
+  storeCache({ ladder: { seasonId: season.id, rows, savedAt: new Date().toISOString() } });
+}
+
+// Admin changes made without a connection, oldest first. Each keeps the payload
+// runAdmin would have sent, including the revision it was based on.
+const OUTBOX_STORAGE_KEY = "heronOutbox";
+
+function loadOutbox() {
+  try {
+    const list = JSON.parse(localStorage.getItem(OUTBOX_STORAGE_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function storeOutbox(list) {
+  try {
+    if (list.length) localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(list));
+    else localStorage.removeItem(OUTBOX_STORAGE_KEY);
+  } catch {
+    // Private browsing can block storage; the queue then lasts until reload.
+  }
+}
+
+// Actions the app already shows from its own ladder.js run, so they can wait in
+// the outbox. Undo, rebuilds and inactivity drops need the server's answer.
+const OUTBOX_ACTIONS = new Set([
+  "addMatch",
+  "editMatch",
+  "deleteMatch",
+  "deleteEvent",
+  "withdrawPlayer",
+  "reinstatePlayer",
+  "renamePlayer",
+  "setPlayerStats",
+  "setPlayerCount",
+  "issueChallenge",
+  "acceptChallenge",
+  "cancelChallenge",
+  "awardWalkover",
+]);
+
+// How often a waiting outbox is retried; the browser's online event is not reliable on its own.
+const OUTBOX_RETRY_MS = 30 * 1000;
+
+// Who a queued change is about, named while the ladder that made it is still at hand.
+function outboxDetail(payload, divisionState) {
+  const players = divisionState?.players || [];
+  const name = (pid) => entryName(players.find((p) => p.pid === pid)) || "(Unknown)";
+  if (payload.challengerPid && payload.opponentPid) {
+    return `${name(payload.challengerPid)} v ${name(payload.opponentPid)}${payload.score ? `, ${payload.score}` : ""}`;
+  }
+  const match = payload.matchId && divisionState?.matches.find((m) => m.id === payload.matchId);
+  if (match) return `${matchSideName(match, "p1", players)} v ${matchSideName(match, "p2", players)}`;
+  const challenge = payload.challengeId && divisionState?.challenges.find((c) => c.id === payload.challengeId);
+  if (challenge) return `${name(challenge.challengerPid)} v ${name(challenge.opponentPid)}`;
+  if (payload.pid) return name(payload.pid);
+  return "";
+}
+
+function outboxLine(entry, divisions) {
+  const label = divisions.find((d) => d.key === entry.payload.division)?.label || entry.payload.division;
+  const time = new Date(entry.queuedAt).toLocaleString();
+  return `${ACTION_LABELS[entry.action] || entry.action} (${label})${entry.detail ? `: ${entry.detail}` : ""} • queued ${time}`;
+}
+
+// The revision a division is at now, for replaying queued changes on top of someone else's.
+async function fetchRevision(seasonId, division) {
+  if (!supabase) throw new Error("Supabase client not configured. Check VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY.");
+
+  const { data, error } = await supabase.from("settings").select("value").eq("key", seasonSettingKey(seasonId, `revision_${division}`)).maybeSingle();
+  if (error) throw new Error(error.message);
+  return asNumber(data?.value, 0);
+}
+
+// A request that never reached the server is marked `offline` so runAdmin can queue it instead.
+async function postAdmin(body) {
+  let res;
+  try {
+    res = await fetch("/api/admin", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  } catch {
+    const err = new Error("No connection.");
+    err.offline = true;
+    throw err;
+  }
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data?.error || "Failed to save.");
+    err.status = res.status;
+    err.retryAfter = asNumber(data?.retryAfter, 0);
+    err.attemptsLeft = data?.attemptsLeft;
+    throw err;
+  }
+  return data;
+}
+
+function attributionLabel(m) {
+  if (m.editedBy && m.enteredBy && m.editedBy !== m.enteredBy) return `${m.enteredBy}, edited by ${m.editedBy}`;
+  if (m.editedBy) return `${m.editedBy} (edited)`;
+  return m.enteredBy || "";
+}
+
+function statLabel(field) {
+  return COLS.find((c) => c.key === field)?.label || field;
+}
+
+// Field-by-field before → after lines for one audited player change.
+function playerChangeLines({ before, after }, calendar) {
+  if (!before || !after) return [];
+  const lines = [];
+  if (before.position !== after.position) lines.push(`Pos #${before.position} → #${after.position}`);
+  if (before.name !== after.name) lines.push(`Name "${before.name}" → "${after.name}"`);
+  if ((before.partner || "") !== (after.partner || "")) lines.push(`Partner "${before.partner || ""}" → "${after.partner || ""}"`);
+  if (Boolean(before.withdrawn) !== Boolean(after.withdrawn)) lines.push(after.withdrawn ? "Withdrawn" : "Reinstated");
+  for (const field of STAT_FIELDS) {
+    if ((before[field] || 0) !== (after[field] || 0)) lines.push(`${statLabel(field)} ${before[field] || 0} → ${after[field] || 0}`);
+  }
+  if (before.periodCounts && after.periodCounts && !samePeriodCounts(before.periodCounts, after.periodCounts)) {
+    const labels = new Map(calendarPeriods(calendar).map((period) => [period.key, period.label]));
+    for (const key of [...new Set([...Object.keys(before.periodCounts), ...Object.keys(after.periodCounts)])].sort()) {
+      const was = before.periodCounts[key] || 0;
+      const now = after.periodCounts[key] || 0;
+      if (was !== now) lines.push(`${labels.get(key) || key} matches ${was} → ${now}`);
     }
+  }
+  return lines;
+}
+
+function ActivityPanel({ seasonId, division, divisionLabel, players, calendar, revision, canUndo, onUndo }) {
+  const [pid, setPid] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [result, setResult] = useState({ query: "", rows: [], error: "" });
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Results remember which filters they were fetched for, so "loading" is simply a mismatch.
+  const query = JSON.stringify({ seasonId, division, pid, from, to, revision });
+  const loading = result.query !== query;
+  const rows = result.rows;
+  const loadError = loading ? "" : result.error;
 
-    const settingsRow = (sRes.data || []).find((x) => x.key === `playerCount_${division}`);
-    state[division] = {
-      playerCount: clamp(asNumber(settingsRow?.value ?? DEFAULT_PLAYER_COUNT, DEFAULT_PLAYER_COUNT), 2, CAPACITY),
-      players,
-      matches: (mRes.data || [])
-        .filter((m) => String(m.division || "mens") === division)
-        .map((row) => ({
-          id: String(row.id),
-          division,
-          date: String(row.date || ""),
-          positionPlayedFor: asNumber(row.position_played_for, 1),
-          challengerPid: String(row.challenger_pid || ""),
-          opponentPid: String(row.opponent_pid || ""),
-          winnerId: row.winner_id === "p1" || row.winner_id === "p2" ? row.winner_id : "p2",
-          score: String(row.score || ""),
-          surface: String(row.surface || ""),
-          challengerStartPos: asNumber(row.challenger_start_pos, 0),
-          opponentStartPos: asNumber(row.opponent_start_pos, 0),
-          ladderMoveApplied: Boolean(row.ladder_move_applied),
-        })),
+  useEffect(() => {
+    let alive = true;
+    fetchActivity({ seasonId, division, pid, from, to })
+      .then((data) => {
+        if (alive) setResult({ query, rows: data, error: "" });
+      })
+      .catch((e) => {
+        if (alive) setResult({ query, rows: [], error: String(e?.message || e || "Failed to load activity.") });
+      });
+    return () => {
+      alive = false;
     };
+  }, [query, seasonId, division, pid, from, to]);
+
+  const named = players.filter((p) => String(p.name || "").trim()).sort((a, b) => a.position - b.position);
+  const nameOf = (id) => entryName(players.find((p) => p.pid === id)) || "(Unknown)";
+
+  return (
+    <div>
+      <div className="formGrid activityFilters">
+        <div>
+          <div className="label">Player</div>
+          <select className="textInput tallOnMobile" value={pid} onChange={(e) => setPid(e.target.value)}>
+            <option value="">All players</option>
+            {named.map((p) => <option key={p.pid} value={p.pid}>#{p.position} — {entryName(p)}</option>)}
+          </select>
+        </div>
+        <div>
+          <div className="label">From</div>
+          <input className="textInput tallOnMobile" type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </div>
+        <div>
+          <div className="label">To</div>
+          <input className="textInput tallOnMobile" type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+        </div>
+      </div>
+
+      {loadError ? <div className="error">{loadError}</div> : null}
+      {loading ? <div className="hint">Loading…</div> : null}
+      {!loading && !loadError && rows.length === 0 ? <div className="hint">No admin activity in the {divisionLabel} ladder for these filters.</div> : null}
+
+      <div className="playerMatchList" style={{ marginTop: 10 }}>
+        {rows.map((row) => {
+          const open = expandedId === row.id;
+          const playerChanges = (row.changes?.players || []).filter((c) => playerChangeLines(c, calendar).length > 0);
+          return (
+            <div key={row.id} className="playerMatchRow">
+              <div className="playerMatchTop">
+                <div className="mono">{new Date(row.created_at).toLocaleString()}</div>
+                <div className="hint" style={{ marginTop: 0 }}>{row.admin_name || "Admin"}</div>
+              </div>
+              <div className="playerMatchTop" style={{ marginTop: 8 }}>
+                <div className="playerMatchTitle">{ACTION_LABELS[row.action] || row.action}</div>
+                {row.reverted_by ? <div className="hint" style={{ marginTop: 0 }}>Undone</div> : null}
+                {canUndo && !row.reverted_by && UNDOABLE_ACTIONS.includes(row.action) ? (
+                  <button className="btnGhost" onClick={() => onUndo(row)}>Undo</button>
+                ) : null}
+              </div>
+              {(row.summary || []).length > 0 ? (
+                <ul className="changeList">
+                  {row.summary.map((line, i) => <li key={i}>{line}</li>)}
+                </ul>
+              ) : null}
+              {playerChanges.length > 0 ? (
+                <button className="btnGhost" style={{ marginTop: 8 }} onClick={() => setExpandedId(open ? null : row.id)}>
+                  {open ? "Hide details" : "Show before / after"}
+                </button>
+              ) : null}
+              {open ? (
+                <ul className="changeList">
+                  {playerChanges.map((c) => <li key={c.pid}><strong>{entryName(c.after) || nameOf(c.pid)}</strong>: {playerChangeLines(c, calendar).join(" • ")}</li>)}
+                </ul>
+              ) : null}
+            </div>
+          );
+        })}
+      </div>
+      {rows.length === ACTIVITY_LIMIT ? <div className="hint">Showing the latest {ACTIVITY_LIMIT} entries — narrow the filters to see older ones.</div> : null}
+    </div>
+  );
+}
+
+function CalendarEditor({ calendar, locked, onSave }) {
+  const [draft, setDraft] = useState(() => ({ ...calendar, names: calendar.names.join(", ") }));
+  const [message, setMessage] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const candidate = { ...draft, names: draft.names.split(",").map((n) => n.trim()) };
+  const preview = calendarPeriods(candidate);
+
+  async function save() {
+    const checked = validateCalendar(candidate);
+    if (!checked.ok) return setMessage(checked.message);
+    setSaving(true);
+    setMessage("");
+    try {
+      await onSave(checked.calendar);
+    } catch (e) {
+      setMessage(String(e?.message || e || "Failed to save calendar."));
+      setSaving(false);
+    }
   }
 
-  return state;
+  return (
+    <div>
+      <div className="formGrid">
+        <div>
+          <div className="label">Start</div>
+          <input className="textInput tallOnMobile" type="date" value={draft.start} disabled={locked} onChange={(e) => setDraft((d) => ({ ...d, start: e.target.value }))} />
+        </div>
+        <div>
+          <div className="label">End</div>
+          <input className="textInput tallOnMobile" type="date" value={draft.end} disabled={locked} onChange={(e) => setDraft((d) => ({ ...d, end: e.target.value }))} />
+        </div>
+        <div>
+          <div className="label">Periods</div>
+          <select className="textInput tallOnMobile" value={draft.cadence} disabled={locked} onChange={(e) => setDraft((d) => ({ ...d, cadence: e.target.value }))}>
+            {CALENDAR_CADENCES.map((c) => <option key={c.key} value={c.key}>{c.label}</option>)}
+          </select>
+        </div>
+      </div>
+      <div style={{ marginTop: 10 }}>
+        <div className="label">Period names (optional, comma separated, in order)</div>
+        <input className="textInput tallOnMobile" value={draft.names} disabled={locked} placeholder="e.g. Spring, Early summer" onChange={(e) => setDraft((d) => ({ ...d, names: e.target.value }))} />
+      </div>
+      <div className="hint">{preview.length === 0 ? "No periods." : preview.map((p) => `${p.label} (${p.start} – ${p.end})`).join(" • ")}</div>
+      {message ? <div className="error">{message}</div> : null}
+      {!locked ? <button className="btn fullWidthOnMobile" style={{ marginTop: 10 }} disabled={saving} onClick={save}>Save calendar</button> : null}
+      <div className="hint">Applies to every ladder. After changing it, use "Rebuild from history" to recount matches per period.</div>
+    </div>
+  );
+}
+
+function ChallengeTag({ open, players }) {
+  if (!open) return null;
+  const other = players.find((p) => p.pid === open.otherPid);
+  const { challenge } = open;
+  const role = challenge.challengerPid === open.otherPid ? "Challenged by" : "Challenging";
+  return (
+    <div className="challengeTag" title={`${role} ${entryName(other)}, play by ${challenge.deadline}`}>
+      {role} #{other?.position} • by {challenge.deadline}
+    </div>
+  );
 }
 
-async function saveCloudState(pin, fullState) {
-  const payload = {
-    playerCounts: {
-      mens: fullState.mens.playerCount,
-      womens: fullState.womens.playerCount,
-    },
-    players: [...fullState.mens.players, ...fullState.womens.players],
-    matches: [...fullState.mens.matches, ...fullState.womens.matches],
+// Open challenges in the division, with the admin controls for each, and a form to issue a new one.
+function ChallengesPanel({ challenges, players, candidates, today, locked, onIssue, onAccept, onEnterResult, onWalkover, onCancel }) {
+  const [challengerPid, setChallengerPid] = useState("");
+  const [opponentPid, setOpponentPid] = useState("");
+  const byPid = new Map(players.map((p) => [p.pid, p]));
+  const label = (pid) => {
+    const p = byPid.get(pid);
+    return p ? `#${p.position} ${entryName(p)}` : "(Unknown)";
   };
+  const open = challenges.filter(isOpenChallenge).sort((a, b) => String(a.deadline).localeCompare(String(b.deadline)));
+  const challengerPos = byPid.get(challengerPid)?.position || 0;
 
-  const res = await fetch("/api/admin", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ pin, action: "saveState", payload }),
-  });
-  const data = await res.json().catch(() => ({}));
-  if (!res.ok) throw new Error(data?.error || "Failed to save.");
-  return data;
+  async function issue() {
+    if (await onIssue({ challengerPid, opponentPid })) {
+      setChallengerPid("");
+      setOpponentPid("");
+    }
+  }
+
+  return (
+    <div>
+      {open.length === 0 ? <div className="hint">No open challenges.</div> : (
+        <div className="playerMatchList">
+          {open.map((c) => (
+            <div key={c.id} className="playerMatchRow">
+              <div className="playerMatchTop">
+                <div className="playerMatchTitle">{label(c.challengerPid)} challenges {label(c.opponentPid)}</div>
+                <div className={c.deadline < today ? "pillLoss" : "pillEvent"}>{challengeStatusLabel(c.status).toUpperCase()}</div>
+              </div>
+              <div className="hint">
+                Issued {c.issuedDate}{c.issuedBy ? ` by ${c.issuedBy}` : ""} • Play by {c.deadline}{c.deadline < today ? " (overdue)" : ""}
+                {c.acceptedDate ? ` • Accepted ${c.acceptedDate}` : ""}
+              </div>
+              {!locked ? (
+                <div className="row" style={{ gap: 8, marginTop: 8, flexWrap: "wrap" }}>
+                  {c.status === "open" ? <button className="btnGhost" onClick={() => onAccept(c)}>Accept</button> : null}
+                  <button className="btn" onClick={() => onEnterResult(c)}>Enter result</button>
+                  <button className="btnGhost" disabled={!(c.deadline < today)} title={c.deadline < today ? "" : `Available after ${c.deadline}`} onClick={() => onWalkover(c)}>Walkover</button>
+                  <button className="btnDanger" onClick={() => onCancel(c)}>Cancel</button>
+                </div>
+              ) : null}
+            </div>
+          ))}
+        </div>
+      )}
+      {!locked ? (
+        <div className="formGrid mobileStackFriendly" style={{ marginTop: 10, alignItems: "end" }}>
+          <div>
+            <div className="label">Challenger</div>
+            <select className="textInput tallOnMobile" value={challengerPid} onChange={(e) => setChallengerPid(e.target.value)}>
+              <option value="">Select…</option>
+              {candidates.map((p) => <option key={p.pid} value={p.pid}>#{p.position} — {entryName(p)}</option>)}
+            </select>
+          </div>
+          <div>
+            <div className="label">Opponent</div>
+            <select className="textInput tallOnMobile" value={opponentPid} onChange={(e) => setOpponentPid(e.target.value)} disabled={!challengerPid}>
+              <option value="">Select…</option>
+              {candidates.filter((p) => p.position < challengerPos).map((p) => <option key={p.pid} value={p.pid}>#{p.position} — {entryName(p)}</option>)}
+            </select>
+          </div>
+          <button className="btn fullWidthOnMobile" disabled={!challengerPid || !opponentPid} onClick={issue}>Issue challenge</button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// "A 2–1 B" with set and game totals and the last meeting; `record` is headToHead() over matchesView.
+function headToHeadLine(record, nameA, nameB) {
+  if (record.played === 0) return `${nameA} and ${nameB} haven't played each other this season.`;
+  const last = record.matches[0];
+  return `${nameA} ${record.aWins}–${record.bWins} ${nameB} • Sets ${record.aSets}–${record.bSets} • Games ${record.aGames}–${record.bGames} • Last met ${last.date}, won by ${last.winnerName}`;
+}
+
+// Places gained (▲) or lost (▼) over the last week, next to a ladder position.
+function MovementTag({ change }) {
+  if (!change) return null;
+  return (
+    <span className={change > 0 ? "moveUp" : "moveDown"} title="Since a week ago">
+      {change > 0 ? "▲" : "▼"}{Math.abs(change)}
+    </span>
+  );
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One entry's position over the season as a step line, #1 at the top, running to today.
+function PositionChart({ points, maxPosition, today }) {
+  const width = 320;
+  const height = 130;
+  const pad = 22;
+  const day = (iso) => Date.parse(`${iso}T00:00:00Z`) / DAY_MS;
+  const first = day(points[0].date);
+  const last = Math.max(day(today), day(points[points.length - 1].date), first + 1);
+  const x = (iso) => pad + ((day(iso) - first) / (last - first)) * (width - 2 * pad);
+  const y = (pos) => pad + ((pos - 1) / Math.max(1, maxPosition - 1)) * (height - 2 * pad);
+
+  let path = `M ${x(points[0].date)} ${y(points[0].position)}`;
+  for (const point of points.slice(1)) path += ` H ${x(point.date)} V ${y(point.position)}`;
+  path += ` H ${width - pad}`;
+
+  return (
+    <svg className="positionChart" viewBox={`0 0 ${width} ${height}`} role="img" aria-label="Ladder position over the season">
+      {[1, maxPosition].map((pos) => (
+        <g key={pos}>
+          <line x1={pad} x2={width - pad} y1={y(pos)} y2={y(pos)} className="chartGrid" />
+          <text x={2} y={y(pos) + 4} className="chartLabel">#{pos}</text>
+        </g>
+      ))}
+      <text x={pad} y={height - 4} className="chartLabel">{points[0].date}</text>
+      <text x={width - pad} y={height - 4} className="chartLabel" textAnchor="end">{today}</text>
+      <path d={path} className="chartLine" />
+      {points.map((point, i) => <circle key={i} cx={x(point.date)} cy={y(point.position)} r={3} className="chartDot"><title>{point.date}: #{point.position}</title></circle>)}
+    </svg>
+  );
+}
+
+function HeadToHeadPanel({ players, matches, doubles }) {
+  const [pidA, setPidA] = useState("");
+  const [pidB, setPidB] = useState("");
+  const options = players.filter((p) => entryName(p)).sort((a, b) => a.position - b.position);
+  const optionLabel = (p) => `${isWithdrawnPlayer(p) ? "W" : `#${p.position}`} — ${entryName(p)}`;
+  const nameOf = (pid) => entryName(players.find((p) => p.pid === pid)) || "(Unknown)";
+  const record = pidA && pidB && pidA !== pidB ? headToHead(matches, pidA, pidB) : null;
+  const nameA = nameOf(pidA);
+  const nameB = nameOf(pidB);
+  const entry = doubles ? "pair" : "player";
+
+  return (
+    <div>
+      <div className="formGrid mobileStackFriendly">
+        <div>
+          <div className="label">{doubles ? "Pair" : "Player"}</div>
+          <select className="textInput tallOnMobile" value={pidA} onChange={(e) => setPidA(e.target.value)}>
+            <option value="">Select…</option>
+            {options.map((p) => <option key={p.pid} value={p.pid}>{optionLabel(p)}</option>)}
+          </select>
+        </div>
+        <div>
+          <div className="label">Against</div>
+          <select className="textInput tallOnMobile" value={pidB} onChange={(e) => setPidB(e.target.value)}>
+            <option value="">Select…</option>
+            {options.filter((p) => p.pid !== pidA).map((p) => <option key={p.pid} value={p.pid}>{optionLabel(p)}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {!record ? <div className="hint">Pick two {entry}s to see every match between them this season.</div> : null}
+      {record ? <div className="hint">{headToHeadLine(record, nameA, nameB)}</div> : null}
+      {record?.played > 0 ? (
+        <>
+          <div className="tableWrap" style={{ marginTop: 10 }}>
+            <table className="table">
+              <thead>
+                <tr><th></th><th>Won</th><th>Sets</th><th>Games</th><th>Tie-breaks</th></tr>
+              </thead>
+              <tbody>
+                <tr><td>{nameA}</td><td>{record.aWins}</td><td>{record.aSets}</td><td>{record.aGames}</td><td>{record.aTieBreaks}</td></tr>
+                <tr><td>{nameB}</td><td>{record.bWins}</td><td>{record.bSets}</td><td>{record.bGames}</td><td>{record.bTieBreaks}</td></tr>
+              </tbody>
+            </table>
+          </div>
+          <div className="hint">By surface: {record.surfaces.map((x) => `${x.surface || "Not recorded"} ${x.aWins}–${x.bWins}`).join(" • ")}</div>
+          <div className="tableWrap" style={{ marginTop: 10 }}>
+            <table className="table">
+              <thead>
+                <tr><th>Date</th><th>Played for</th><th>Challenger</th><th>Winner</th><th>Score</th><th>Surface</th></tr>
+              </thead>
+              <tbody>
+                {record.matches.map((m) => (
+                  <tr key={m.id}>
+                    <td className="mono">{m.date}</td>
+                    <td>#{m.positionPlayedFor}</td>
+                    <td>{m.p1Name}</td>
+                    <td>{m.winnerName}</td>
+                    <td className="mono">{formatMatchScore(m)}</td>
+                    <td>{m.surface || "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+}
+
+// One row per division: label, capacity and rules, plus an empty row to add a new one.
+function DivisionEditor({ divisions, locked, onSave }) {
+  const blank = { key: "", label: "", type: "singles", capacity: 40, rules: DEFAULT_DIVISION_RULES };
+  const [drafts, setDrafts] = useState(() => [...divisions, blank]);
+  const [message, setMessage] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  function patch(i, changes) {
+    setDrafts((prev) => prev.map((d, j) => (j === i ? { ...d, ...changes } : d)));
+  }
+
+  function patchRules(i, changes) {
+    setDrafts((prev) => prev.map((d, j) => (j === i ? { ...d, rules: { ...d.rules, ...changes } } : d)));
+  }
+
+  async function save(draft) {
+    const rules = {
+      ...draft.rules,
+      dropPlaces: asNumber(draft.rules.dropPlaces, NaN),
+      inactivityDays: asNumber(draft.rules.inactivityDays, NaN),
+      maxChallengeDistance: asNumber(draft.rules.maxChallengeDistance, 0),
+      challengeDays: asNumber(draft.rules.challengeDays, NaN),
+    };
+    const checked = validateDivision({ ...draft, capacity: asNumber(draft.capacity, NaN), rules });
+    if (!checked.ok) return setMessage(checked.message);
+    setSaving(true);
+    setMessage("");
+    try {
+      await onSave({ ...checked.division, key: draft.key, revision: draft.revision });
+    } catch (e) {
+      setMessage(String(e?.message || e || "Failed to save division."));
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div>
+      {drafts.map((d, i) => (
+        <div key={d.key || "new"} className="formGrid" style={{ marginTop: i ? 10 : 0, alignItems: "end" }}>
+          <div>
+            <div className="label">{d.key ? "Name" : "New division"}</div>
+            <input className="textInput tallOnMobile" value={d.label} disabled={locked} placeholder="e.g. Juniors" onChange={(e) => patch(i, { label: e.target.value })} />
+          </div>
+          <div>
+            <div className="label">Type</div>
+            <select className="textInput tallOnMobile" value={d.type} disabled={locked || Boolean(d.key)} onChange={(e) => patch(i, { type: e.target.value })}>
+              {DIVISION_TYPES.map((t) => <option key={t.key} value={t.key}>{t.label}</option>)}
+            </select>
+          </div>
+          <div>
+            <div className="label">Capacity</div>
+            <input className="textInput tallOnMobile" type="number" min={2} max={MAX_CAPACITY} value={d.capacity} disabled={locked} onChange={(e) => patch(i, { capacity: e.target.value })} />
+          </div>
+          <div>
+            <div className="label">Drop places</div>
+            <input className="textInput tallOnMobile" type="number" min={1} max={20} value={d.rules.dropPlaces} disabled={locked} onChange={(e) => patchRules(i, { dropPlaces: e.target.value })} />
+          </div>
+          <div>
+            <div className="label">Inactive after (days)</div>
+            <input className="textInput tallOnMobile" type="number" min={1} max={365} value={d.rules.inactivityDays} disabled={locked} onChange={(e) => patchRules(i, { inactivityDays: e.target.value })} />
+          </div>
+          <label className="hint" style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <input type="checkbox" checked={d.rules.autoInactivity} disabled={locked} onChange={(e) => patchRules(i, { autoInactivity: e.target.checked })} />
+            Drop inactive players automatically
+          </label>
+          <div>
+            <div className="label">Match format</div>
+            <select className="textInput tallOnMobile" value={d.rules.matchFormat} disabled={locked} onChange={(e) => patchRules(i, { matchFormat: e.target.value })}>
+              {MATCH_FORMATS.map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+            </select>
+          </div>
+          <div>
+            <div className="label">Max challenge distance</div>
+            <input className="textInput tallOnMobile" type="number" min={0} max={MAX_CAPACITY} value={d.rules.maxChallengeDistance} disabled={locked} onChange={(e) => patchRules(i, { maxChallengeDistance: e.target.value })} />
+          </div>
+          <div>
+            <div className="label">Winner moves by</div>
+            <select className="textInput tallOnMobile" value={d.rules.moveMode} disabled={locked} onChange={(e) => patchRules(i, { moveMode: e.target.value })}>
+              {MOVE_MODES.map((m) => <option key={m.key} value={m.key}>{m.label}</option>)}
+            </select>
+          </div>
+          <label className="hint" style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <input type="checkbox" checked={d.rules.loserDrops} disabled={locked} onChange={(e) => patchRules(i, { loserDrops: e.target.checked })} />
+            Losing challenger drops a place
+          </label>
+          <div>
+            <div className="label">Days to play a challenge</div>
+            <input className="textInput tallOnMobile" type="number" min={1} max={60} value={d.rules.challengeDays} disabled={locked} onChange={(e) => patchRules(i, { challengeDays: e.target.value })} />
+          </div>
+          <label className="hint" style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <input type="checkbox" checked={d.rules.autoWalkover} disabled={locked} onChange={(e) => patchRules(i, { autoWalkover: e.target.checked })} />
+            Award overdue challenges as walkovers
+          </label>
+          {!locked ? (
+            <button className={d.key ? "btnGhost fullWidthOnMobile" : "btn fullWidthOnMobile"} disabled={saving || !d.label.trim()} onClick={() => save(d)}>
+              {d.key ? "Save" : "Add division"}
+            </button>
+          ) : null}
+        </div>
+      ))}
+      {message ? <div className="error">{message}</div> : null}
+      <div className="hint">Capacity is the most players a ladder can hold (max {MAX_CAPACITY}). Players with no match for the inactive period drop by drop places. A max challenge distance of 0 lets players challenge anyone above them. Overdue challenges and inactivity are checked once a day. The match format is the default for new results; a result can use another, and old results keep theirs. A doubles ladder lists pairs, and its type can't change later. Applies to every season.</div>
+    </div>
+  );
+}
+
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const sec = seconds % 60;
+  return h > 0 ? `${h}h ${m}m` : `${m}m ${String(sec).padStart(2, "0")}s`;
+}
+
+async function adminLogin(pin) {
+  const data = await postAdmin({ action: "login", pin });
+  return { token: data.token, expiresAt: data.expiresAt, adminName: String(data.adminName || "Admin") };
+}
+
+async function adminAction(token, action, payload) {
+  return postAdmin({ token, action, payload });
 }
 
 export default function App() {
   const [state, setState] = useState(() => defaultState());
-  const [activeDivision, setActiveDivision] = useState("mens");
+  // null until the divisions table has been read.
+  const [divisions, setDivisions] = useState(null);
+  const divisionList = divisions || DIVISIONS;
+  const [divisionChoice, setActiveDivision] = useState("mens");
+  const divisionConfig = divisionList.find((d) => d.key === divisionChoice) || divisionList[0];
+  const activeDivision = divisionConfig.key;
   const [mobileHistoryOpen, setMobileHistoryOpen] = useState(false);
   const [mobileSettingsOpen, setMobileSettingsOpen] = useState(false);
+  const [mobileActivityOpen, setMobileActivityOpen] = useState(false);
 
-  const current = state[activeDivision];
-  const { players, matches, playerCount } = current;
+  // A newly added division has no state until the next load.
+  const current = state[activeDivision] || createDivisionState(activeDivision, divisionConfig);
+  const { players, matches, events, challenges, playerCount, calendar } = current;
+  const { dropPlaces, inactivityDays } = current.rules;
+  const doubles = isDoubles(current);
+  const tableCols = useMemo(() => [...COLS, ...periodColumns(calendar)], [calendar]);
 
   const [cloudError, setCloudError] = useState("");
   const [cloudLoading, setCloudLoading] = useState(true);
   const [dirty, setDirty] = useState(false);
-
-  const [locked, setLocked] = useState(true);
+  const [remotePending, setRemotePending] = useState(false);
+  // When the ladder on screen came from this device's cache instead of the cloud.
+  const [cachedAt, setCachedAt] = useState(null);
+
+  const [outbox, setOutbox] = useState(() => loadOutbox());
+  const [outboxSending, setOutboxSending] = useState(false);
+  // The queued change the server refused; automatic retries wait until the admin decides.
+  const [outboxProblem, setOutboxProblem] = useState(null);
+  const [outboxReviewOpen, setOutboxReviewOpen] = useState(false);
+
+  const [seasons, setSeasons] = useState([]);
+  const [seasonChoice, setSeasonChoice] = useState("");
+  const activeSeasonId = seasons.some((s) => s.id === seasonChoice) ? seasonChoice : defaultSeasonId(seasons);
+  const activeSeason = seasons.find((s) => s.id === activeSeasonId) || null;
+  const archived = Boolean(activeSeason?.archived);
+
+  const [newSeasonOpen, setNewSeasonOpen] = useState(false);
+  const [newSeasonName, setNewSeasonName] = useState("");
+  const [newSeasonSeed, setNewSeasonSeed] = useState("");
+  const [newSeasonArchive, setNewSeasonArchive] = useState(true);
+  const [newSeasonError, setNewSeasonError] = useState("");
+
+  const [session, setSession] = useState(() => loadStoredSession());
+  // Archived seasons stay read-only even for admins.
+  const locked = !session || archived;
   const [sortKey, setSortKey] = useState("position");
   const [sortDir, setSortDir] = useState("asc");
 
   const [matchDate, setMatchDate] = useState(formatDateISO(new Date()));
-  const [matchPos, setMatchPos] = useState("1");
+  const [matchPosChoice, setMatchPos] = useState("1");
+  // Kept in range when the player count shrinks.
+  const matchPos = String(clamp(asNumber(matchPosChoice, 1), 1, playerCount));
   const [challengerPid, setChallengerPid] = useState("");
   const [winner, setWinner] = useState("p2");
+  const [outcome, setOutcome] = useState("completed");
+  const [matchFormatKey, setMatchFormatKey] = useState("");
+  const entryFormat = matchFormatKey || current.rules.matchFormat;
   const [surface, setSurface] = useState("Outdoor Hard Court");
   const [score, setScore] = useState("");
   const [error, setError] = useState("");
 
-  const [dropPid, setDropPid] = useState("");
+  const [inactivePreview, setInactivePreview] = useState(null);
+  const [inactiveSelected, setInactiveSelected] = useState(() => new Set());
   const [withdrawPid, setWithdrawPid] = useState("");
+  const [reinstatePid, setReinstatePid] = useState("");
+  const [reinstatePos, setReinstatePos] = useState("");
 
   const [matchAddedOpen, setMatchAddedOpen] = useState(false);
+  const [matchQueued, setMatchQueued] = useState(false);
+  const [conflictOpen, setConflictOpen] = useState(false);
+  const [conflictChanges, setConflictChanges] = useState([]);
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
-  const [deleteTargetId, setDeleteTargetId] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [undoTarget, setUndoTarget] = useState(null);
+  const [rebuildPreview, setRebuildPreview] = useState(null);
 
   const [playerModalOpen, setPlayerModalOpen] = useState(false);
   const [playerModalPid, setPlayerModalPid] = useState(null);
@@ -489,52 +1103,75 @@ export default function App() {
   const [editDate, setEditDate] = useState("");
   const [editSurface, setEditSurface] = useState("Outdoor Hard Court");
   const [editWinner, setEditWinner] = useState("p2");
+  const [editOutcome, setEditOutcome] = useState("completed");
+  const [editFormat, setEditFormat] = useState("standard");
   const [editScore, setEditScore] = useState("");
   const [editError, setEditError] = useState("");
 
   const [pinOpen, setPinOpen] = useState(false);
   const [pinValue, setPinValue] = useState("");
   const [pinError, setPinError] = useState("");
-  const [pinPurpose, setPinPurpose] = useState("unlock");
-  const [pinPayload, setPinPayload] = useState(null);
+  const [pinLockedUntil, setPinLockedUntil] = useState(0);
+  const [pinClock, setPinClock] = useState(() => Date.now());
   const pinRef = useRef(null);
 
   const liveRef = useRef(null);
   const ladderRef = useRef(null);
   const addMatchRef = useRef(null);
   const historyRef = useRef(null);
+  const headToHeadRef = useRef(null);
+  const activityRef = useRef(null);
+  const syncedRef = useRef(state);
+  const rowsRef = useRef(null);
+  const dirtyRef = useRef(false);
+  const outboxRef = useRef(outbox);
+  const flushingRef = useRef(false);
 
   useEffect(() => {
     let alive = true;
 
-    async function load() {
-      setCloudError("");
-      setCloudLoading(true);
+    async function loadSeasons() {
       try {
-        const cloudState = await fetchCloudState();
+        const list = await fetchSeasons();
         if (!alive) return;
-        setState(cloudState);
-        setDirty(false);
+        storeCache({ seasons: list });
+        setSeasons(list);
+        if (list.length === 0) setCloudLoading(false);
       } catch (e) {
         if (!alive) return;
-        setCloudError(String(e?.message || e || "Failed to load from cloud."));
-      } finally {
-        if (!alive) return;
+        const cached = loadCache().seasons;
+        if (cached?.length) return setSeasons(cached);
+        setCloudError(String(e?.message || e || "Failed to load seasons."));
         setCloudLoading(false);
       }
     }
 
-    load();
+    async function loadDivisions() {
+      try {
+        const list = await fetchDivisions();
+        if (!alive) return;
+        storeCache({ divisions: list });
+        setDivisions(list);
+      } catch (e) {
+        if (!alive) return;
+        const cached = loadCache().divisions;
+        if (cached?.length) return setDivisions(cached);
+        setCloudError(String(e?.message || e || "Failed to load divisions."));
+        setDivisions(DIVISIONS);
+      }
+    }
+
+    loadSeasons();
+    loadDivisions();
 
     if (!supabase) return () => {
       alive = false;
     };
 
     const channel = supabase
-      .channel("heron-ladder")
-      .on("postgres_changes", { event: "*", schema: "public", table: "players" }, () => load())
-      .on("postgres_changes", { event: "*", schema: "public", table: "matches" }, () => load())
-      .on("postgres_changes", { event: "*", schema: "public", table: "settings" }, () => load())
+      .channel("heron-config")
+      .on("postgres_changes", { event: "*", schema: "public", table: "seasons" }, () => loadSeasons())
+      .on("postgres_changes", { event: "*", schema: "public", table: "divisions" }, () => loadDivisions())
       .subscribe();
 
     return () => {
@@ -544,17 +1181,150 @@ export default function App() {
   }, []);
 
   useEffect(() => {
+    dirtyRef.current = dirty;
+  }, [dirty]);
+
+  // Loads the season once, then keeps it current from realtime changes patched into
+  // rowsRef. While the table has unsaved edits the rows still update, but what is
+  // on screen (and the baseline those edits are saved against) waits, so a remote
+  // change is never silently mixed into them. With no connection the last cached
+  // rows are shown until the channel comes up.
+  useEffect(() => {
+    if (!activeSeason || !divisions) return;
+    let alive = true;
+    let timer = null;
+    let fromCache = false;
+    const settingKeys = settingKeysFor(activeSeason, divisions);
+    rowsRef.current = null;
+
+    function show() {
+      const next = applyQueuedChanges(stateFromRows(rowsRef.current, activeSeason, divisions), outboxRef.current, activeSeason.id);
+      syncedRef.current = next;
+      setState(next);
+      setRemotePending(false);
+    }
+
+    async function load({ quiet = false } = {}) {
+      if (!quiet) {
+        setCloudError("");
+        setCloudLoading(true);
+      }
+      try {
+        const rows = await fetchCloudRows(activeSeason, divisions);
+        if (!alive) return;
+        rowsRef.current = rows;
+        cacheLadder(activeSeason, rows);
+        fromCache = false;
+        setCachedAt(null);
+        show();
+        setDirty(false);
+      } catch (e) {
+        if (!alive) return;
+        const cached = loadCache().ladder;
+        if (!quiet && cached?.seasonId === activeSeason.id) {
+          rowsRef.current = cached.rows;
+          fromCache = true;
+          setCachedAt(cached.savedAt);
+          show();
+          setDirty(false);
+        } else {
+          setCloudError(String(e?.message || e || "Failed to load from cloud."));
+        }
+      }
+      if (alive && !quiet) setCloudLoading(false);
+    }
+
+    // Until the first load lands there is nothing to patch; that load includes the change.
+    function onChange(change) {
+      if (!rowsRef.current) return;
+      rowsRef.current = patchRows(rowsRef.current, change, activeSeason, settingKeys);
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        if (!alive) return;
+        if (!fromCache) cacheLadder(activeSeason, rowsRef.current);
+        if (dirtyRef.current) setRemotePending(true);
+        else show();
+      }, REALTIME_DEBOUNCE_MS);
+    }
+
+    load();
+
+    if (!supabase) return () => {
+      alive = false;
+    };
+
+    // Changes made while disconnected are lost, so a resubscribe (or the first
+    // subscribe after opening from the cache) refetches.
+    let subscribed = false;
+    let channel = supabase.channel("heron-ladder");
+    for (const table of Object.keys(REALTIME_TABLES)) {
+      channel = channel.on("postgres_changes", { event: "*", schema: "public", table }, onChange);
+    }
+    channel.subscribe((status) => {
+      if (status !== "SUBSCRIBED") return;
+      if ((subscribed || fromCache) && !dirtyRef.current) load({ quiet: true });
+      subscribed = true;
+    });
+
+    return () => {
+      alive = false;
+      clearTimeout(timer);
+      supabase.removeChannel(channel);
+    };
+  }, [activeSeason, divisions]);
+
+  // Switching division starts the add-match form afresh.
+  const [formDivision, setFormDivision] = useState(activeDivision);
+  if (formDivision !== activeDivision) {
+    setFormDivision(activeDivision);
     setWinner("p2");
+    setOutcome("completed");
+    setMatchFormatKey("");
     setMatchPos("1");
     setChallengerPid("");
     setScore("");
     setError("");
-  }, [activeDivision]);
+  }
+
+  function startSession(next) {
+    storeSession(next);
+    setSession(next);
+  }
 
+  function endSession() {
+    storeSession(null);
+    setSession(null);
+  }
+
+  // A stored token may have been revoked (secret rotated) or be about to lapse:
+  // confirm it with the server, and lock again the moment it expires.
   useEffect(() => {
-    const mp = clamp(asNumber(matchPos, 1), 1, playerCount);
-    if (String(mp) !== matchPos) setMatchPos(String(mp));
-  }, [playerCount, matchPos]);
+    if (!session) return;
+    let alive = true;
+
+    adminAction(session.token, "session").catch((e) => {
+      if (alive && e?.status === 401) endSession();
+    });
+    const timer = setTimeout(() => endSession(), Math.max(0, session.expiresAt - Date.now()));
+
+    return () => {
+      alive = false;
+      clearTimeout(timer);
+    };
+  }, [session]);
+
+  // Tick once a second while a PIN lockout is running so the modal can count down.
+  useEffect(() => {
+    if (!pinOpen || pinLockedUntil <= Date.now()) return;
+    const timer = setInterval(() => {
+      const now = Date.now();
+      setPinClock(now);
+      if (now >= pinLockedUntil) clearInterval(timer);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [pinOpen, pinLockedUntil]);
+
+  const pinWaitSeconds = Math.max(0, Math.ceil((pinLockedUntil - pinClock) / 1000));
 
   function scrollToRef(ref) {
     ref?.current?.scrollIntoView({ behavior: "smooth", block: "start" });
@@ -567,11 +1337,156 @@ export default function App() {
     }));
   }
 
-  function openPin(purpose, payload) {
-    setPinPurpose(purpose);
-    setPinPayload(payload || null);
+  // Every admin write carries the revision it was based on. A 409 means someone
+  // else saved first: reload and show what changed rather than overwriting it.
+  // Without a connection, or behind changes already waiting, an outbox action is
+  // queued instead and resolves to { queued: true }; `after` is the division state
+  // it leads to, which then stands in for the cloud until the queue is sent. Every
+  // reload or realtime update runs the queue again on top of the fresh rows.
+  async function runAdmin(action, payload, after = null) {
+    const { division } = payload;
+    const body = { ...payload, season: activeSeasonId, revision: syncedRef.current[division].revision };
+    const queueable = OUTBOX_ACTIONS.has(action);
+    const waiting = outboxRef.current.length;
+    if (waiting > 0 && !queueable) throw new Error(`Send or discard the ${waiting} queued ${waiting === 1 ? "change" : "changes"} first.`);
+    if (waiting > 0) return queueAdmin(action, body, after);
+
+    try {
+      const data = await adminAction(session?.token, action, body);
+      syncedRef.current = {
+        ...syncedRef.current,
+        [division]: { ...syncedRef.current[division], revision: data.revision },
+      };
+      return data;
+    } catch (e) {
+      if (e?.offline && queueable) return queueAdmin(action, body, after);
+      if (e?.status === 401) endSession();
+      if (e?.status === 409) await reloadAfterConflict(division).catch(() => {});
+      throw e;
+    }
+  }
+
+  function setOutboxList(list) {
+    outboxRef.current = list;
+    storeOutbox(list);
+    setOutbox(list);
+  }
+
+  function queueAdmin(action, payload, after) {
+    const { division } = payload;
+    const entry = {
+      id: uid(),
+      action,
+      payload,
+      adminName: session?.adminName || "",
+      detail: outboxDetail(payload, state[division]),
+      queuedAt: new Date().toISOString(),
+    };
+    setOutboxList([...outboxRef.current, entry]);
+    if (after) {
+      syncedRef.current = { ...syncedRef.current, [division]: { ...after, revision: syncedRef.current[division].revision } };
+    }
+    return { queued: true };
+  }
+
+  // Replays the outbox oldest first, each change against the revision it was queued
+  // on; once one is saved, the changes queued after it in that division move on to
+  // the revision it produced. With `rebase` each division starts from whatever the
+  // cloud is at now instead. Stops at the first change the server refuses and leaves
+  // that for the admin to resolve.
+  async function flushOutbox({ rebase = false } = {}) {
+    if (flushingRef.current || outboxRef.current.length === 0 || !session) return;
+    flushingRef.current = true;
+    setOutboxSending(true);
+    const rebased = new Set();
+
+    while (outboxRef.current.length > 0) {
+      const entry = outboxRef.current[0];
+      const { season, division } = entry.payload;
+      const key = `${season}:${division}`;
+      try {
+        let { revision } = entry.payload;
+        if (rebase && !rebased.has(key)) {
+          revision = await fetchRevision(season, division);
+          rebased.add(key);
+        }
+        const data = await adminAction(session.token, entry.action, { ...entry.payload, revision });
+        const sameDivision = (x) => x.payload.season === season && x.payload.division === division;
+        setOutboxList(outboxRef.current.slice(1).map((x) => (sameDivision(x) ? { ...x, payload: { ...x.payload, revision: data.revision } } : x)));
+        const synced = season === activeSeasonId && syncedRef.current[division];
+        if (synced) syncedRef.current = { ...syncedRef.current, [division]: { ...synced, revision: Math.max(synced.revision, data.revision) } };
+      } catch (e) {
+        if (e?.status === 401) endSession();
+        else if (!e?.offline) {
+          setOutboxProblem({ entryId: entry.id, conflict: e?.status === 409, message: String(e?.message || e || "Failed to send.") });
+          setOutboxReviewOpen(true);
+        }
+        break;
+      }
+    }
+
+    flushingRef.current = false;
+    setOutboxSending(false);
+  }
+
+  function resolveOutbox(choice) {
+    const problem = outboxProblem;
+    setOutboxProblem(null);
+    setOutboxReviewOpen(false);
+    if (choice === "discard") {
+      setOutboxList([]);
+      if (rowsRef.current) showRows();
+      return;
+    }
+    if (choice === "skip") setOutboxList(outboxRef.current.filter((x) => x.id !== problem?.entryId));
+    flushOutbox({ rebase: choice === "rebase" });
+  }
+
+  // Keeps trying to send a waiting outbox while unlocked: straight away, when the
+  // browser says it is back online, and every so often in case it doesn't.
+  const retryOutbox = useEffectEvent(() => flushOutbox());
+  useEffect(() => {
+    if (!session || outbox.length === 0 || outboxProblem) return;
+    const retry = () => retryOutbox();
+    const first = setTimeout(retry, 0);
+    const timer = setInterval(retry, OUTBOX_RETRY_MS);
+    window.addEventListener("online", retry);
+
+    return () => {
+      clearTimeout(first);
+      clearInterval(timer);
+      window.removeEventListener("online", retry);
+    };
+  }, [session, outbox.length, outboxProblem]);
+
+  // Refetches the whole season, replacing the realtime row cache and any unsaved edits.
+  async function reloadFromCloud() {
+    const rows = await fetchCloudRows(activeSeason, divisionList);
+    rowsRef.current = rows;
+    return showRows();
+  }
+
+  // Shows the ladder as the latest rows have it, dropping unsaved table edits.
+  function showRows() {
+    const fresh = applyQueuedChanges(stateFromRows(rowsRef.current, activeSeason, divisionList), outboxRef.current, activeSeason.id);
+    syncedRef.current = fresh;
+    setState(fresh);
+    setDirty(false);
+    setRemotePending(false);
+    return fresh;
+  }
+
+  async function reloadAfterConflict(division) {
+    const stale = syncedRef.current[division];
+    const fresh = await reloadFromCloud();
+    setConflictChanges(describeDivisionChanges(stale, fresh[division]));
+    setConflictOpen(true);
+  }
+
+  function openPin() {
     setPinValue("");
     setPinError("");
+    setPinClock(Date.now());
     setPinOpen(true);
     setTimeout(() => pinRef.current?.focus?.(), 0);
   }
@@ -584,58 +1499,26 @@ export default function App() {
 
   async function submitPin() {
     const pin = String(pinValue || "");
+    if (pinWaitSeconds > 0) return;
     if (!pin) {
       setPinError("Enter PIN.");
       return;
     }
 
     try {
-      if (pinPurpose === "unlock") {
-        setLocked(false);
-        closePin();
-        return;
-      }
-
-      if (pinPurpose === "add") {
-        closePin();
-        await actuallyAddMatch(pin);
-        return;
-      }
-
-      if (pinPurpose === "delete") {
-        const matchId = pinPayload?.matchId;
-        closePin();
-        setDeleteTargetId(matchId);
-        setDeleteConfirmOpen(true);
-        setPinPayload({ matchId, pin });
-        return;
-      }
-
-      if (pinPurpose === "edit") {
-        closePin();
-        await actuallySaveEdit(pin);
-        return;
-      }
-
-      if (pinPurpose === "save") {
-        closePin();
-        await actuallySaveAll(pin);
-        return;
-      }
-
-      if (pinPurpose === "drop3") {
-        closePin();
-        await actuallyDropThreePlaces(pin);
-        return;
-      }
-
-      if (pinPurpose === "withdraw") {
-        closePin();
-        await actuallyWithdrawPlayer(pin);
+      startSession(await adminLogin(pin));
+      closePin();
+    } catch (e) {
+      if (e?.retryAfter > 0) {
+        const now = Date.now();
+        setPinLockedUntil(now + e.retryAfter * 1000);
+        setPinClock(now);
+        setPinError("");
         return;
       }
-    } catch (e) {
-      setPinError(String(e?.message || e || "PIN action failed"));
+      const left = e?.attemptsLeft;
+      const warning = left > 0 ? ` ${left} ${left === 1 ? "attempt" : "attempts"} left before a lockout.` : "";
+      setPinError(String(e?.message || e || "Unlock failed") + warning);
     }
   }
 
@@ -646,23 +1529,59 @@ export default function App() {
       ...divisionState,
       players: divisionState.players.map((p) => {
         if (p.pid !== pid) return p;
-        if (field === "name") return { ...p, name: String(value) };
+        if (field === "name" || field === "partner") return { ...p, [field]: String(value) };
+        if (field.startsWith(PERIOD_PREFIX)) {
+          return { ...p, periodCounts: { ...p.periodCounts, [field.slice(PERIOD_PREFIX.length)]: asNumber(value, 0) } };
+        }
         return { ...p, [field]: asNumber(value, 0) };
       }),
     }));
   }
 
-  const visiblePlayers = useMemo(() => players.filter((p) => p.position >= 1 && p.position <= playerCount), [players, playerCount]);
+  const visiblePlayers = useMemo(() => players.filter((p) => p.position >= 1 && p.position <= playerCount), [players, playerCount]);
+
+  const timelines = useMemo(() => positionTimelines(current), [current]);
+  const today = formatDateISO(new Date());
+  // Positive when a player is higher up the ladder than a week ago.
+  const movementByPid = useMemo(() => {
+    const weekAgo = new Date(`${today}T00:00:00`);
+    weekAgo.setDate(weekAgo.getDate() - 7);
+    const since = formatDateISO(weekAgo);
+    const map = new Map();
+    for (const p of players) {
+      const points = timelines.get(p.pid);
+      if (points) map.set(p.pid, positionOn(points, since) - p.position);
+    }
+    return map;
+  }, [timelines, players, today]);
+
+  const recordsByPid = useMemo(() => playerRecords(matches), [matches]);
 
-  const calculatedPlayers = useMemo(
-    () =>
-      visiblePlayers.map((p) => ({
+  // Tie-breaks and the match records come from the match history, not stored totals,
+  // so they aren't editable in the table. Records sort by win rate or by won minus lost.
+  const calculatedPlayers = useMemo(() => {
+    const tieBreaks = tieBreakRecords(matches);
+    return visiblePlayers.map((p) => {
+      const r = recordsByPid.get(p.pid);
+      const out = {
         ...p,
         setDiff: (p.setsWon || 0) - (p.setsLost || 0),
         gameDiff: (p.gamesWon || 0) - (p.gamesLost || 0),
-      })),
-    [visiblePlayers]
-  );
+        tieBreaksWon: tieBreaks.get(p.pid)?.won || 0,
+        tieBreaksLost: tieBreaks.get(p.pid)?.lost || 0,
+        records: r,
+        streak: r?.streak || 0,
+        longestWinStreak: r?.longestWinStreak || 0,
+        challengerWinPct: winPct(r?.asChallenger),
+        defenderWinPct: winPct(r?.asDefender),
+        decidingSetDiff: r ? r.decidingSets.won - r.decidingSets.lost : 0,
+        matchTieBreakDiff: r ? r.matchTieBreaks.won - r.matchTieBreaks.lost : 0,
+        gamesPerMatch: gamesPerMatch(r),
+      };
+      for (const surface of SURFACES) out[`winPct:${surface}`] = winPct(r?.surfaces[surface]);
+      return out;
+    });
+  }, [visiblePlayers, matches, recordsByPid]);
 
   const displayedPlayers = useMemo(() => {
     const arr = [...calculatedPlayers];
@@ -677,20 +1596,43 @@ export default function App() {
 
   const challenger = useMemo(() => players.find((p) => p.pid === challengerPid) || null, [challengerPid, players]);
 
+  // The open challenge between the players in the Add Match form; saving the result closes it.
+  const pendingChallenge = challenges.find((c) => isOpenChallenge(c) && c.challengerPid === challengerPid && c.opponentPid === opponent?.pid) || null;
+
+  // Shown next to both names on the ladder.
+  const openChallengeByPid = useMemo(() => {
+    const map = new Map();
+    for (const c of challenges.filter(isOpenChallenge)) {
+      map.set(c.challengerPid, { challenge: c, otherPid: c.opponentPid });
+      map.set(c.opponentPid, { challenge: c, otherPid: c.challengerPid });
+    }
+    return map;
+  }, [challenges]);
+
   const selectablePlayers = useMemo(
     () =>
       players
         .filter((p) => p.position >= 1 && p.position <= playerCount)
         .filter((p) => String(p.name || "").trim().length > 0)
+        .filter((p) => !isWithdrawnPlayer(p))
         .sort((a, b) => a.position - b.position),
     [players, playerCount]
   );
 
+  const withdrawnPlayers = useMemo(
+    () => players.filter((p) => isWithdrawnPlayer(p)).sort((a, b) => a.position - b.position),
+    [players]
+  );
+
+  const reinstateTarget = players.find((p) => p.pid === reinstatePid) || null;
+
   const leaderboardTop3 = useMemo(() => {
     const named = calculatedPlayers.filter((p) => String(p.name || "").trim().length > 0);
     return [...named].sort((a, b) => a.position - b.position).slice(0, 3);
   }, [calculatedPlayers]);
 
+  const doublesPlayerStats = useMemo(() => (doubles ? individualDoublesStats(matches) : []), [doubles, matches]);
+
   const matchesView = useMemo(() => {
     const byPid = new Map(players.map((p) => [p.pid, p]));
     const isActive = (pid) => {
@@ -705,10 +1647,8 @@ export default function App() {
         return String(b.id).localeCompare(String(a.id));
       })
       .map((m) => {
-        const p1 = byPid.get(m.challengerPid);
-        const p2 = byPid.get(m.opponentPid);
-        const p1Base = p1?.name || "(Unknown)";
-        const p2Base = p2?.name || "(Unknown)";
+        const p1Base = matchSideName(m, "p1", players);
+        const p2Base = matchSideName(m, "p2", players);
         const p1Name = isActive(m.challengerPid) ? p1Base : `${p1Base} (Inactive)`;
         const p2Name = isActive(m.opponentPid) ? p2Base : `${p2Base} (Inactive)`;
         const winnerName = m.winnerId === "p1" ? p1Name : p2Name;
@@ -716,6 +1656,27 @@ export default function App() {
       });
   }, [matches, players, playerCount]);
 
+  // Shown under the Add Match form once both sides are picked.
+  const entryHeadToHead = useMemo(
+    () => (challenger && opponent && challenger.pid !== opponent.pid ? headToHead(matchesView, challenger.pid, opponent.pid) : null),
+    [challenger, opponent, matchesView]
+  );
+
+  // Real matches and admin ladder events, newest first, as one history.
+  const timelineView = useMemo(() => {
+    const byPid = new Map(players.map((p) => [p.pid, p]));
+    const eventRows = events.map((e) => ({ ...e, type: "event", playerName: entryName(byPid.get(e.pid)) || "(Unknown)" }));
+    const matchRows = matchesView.map((m) => ({ ...m, type: "match" }));
+
+    return [...matchRows, ...eventRows].sort((a, b) => {
+      const d = String(b.date).localeCompare(String(a.date));
+      if (d !== 0) return d;
+      return String(b.createdAt || "").localeCompare(String(a.createdAt || "")) || String(b.id).localeCompare(String(a.id));
+    });
+  }, [matchesView, events, players]);
+
+  const legacyEventCount = useMemo(() => events.filter((e) => e.legacy).length, [events]);
+
   const lastResultByPid = useMemo(() => {
     const map = new Map();
     for (const m of matchesView) {
@@ -755,94 +1716,40 @@ export default function App() {
       setError("Locked: Admin unlock required.");
       return;
     }
-    openPin("add");
+    actuallyAddMatch();
   }
 
-  async function actuallyAddMatch(pin) {
+  async function actuallyAddMatch() {
     setError("");
     if (locked) return setError("Locked: Admin unlock required.");
 
     const pos = clamp(Number(matchPos) || 1, 1, playerCount);
     const p2 = players.find((p) => p.position === pos);
     if (!p2) return setError("Invalid position selected.");
-    if (!String(p2.name || "").trim()) return setError(`The player at position #${pos} has no name yet.`);
-
-    if (!challengerPid) return setError("Pick a Challenger.");
-    const p1 = players.find((p) => p.pid === challengerPid);
-    if (!p1 || !String(p1.name || "").trim()) return setError("Challenger is missing / has no name.");
-    if (p1.pid === p2.pid) return setError("Challenger can't play themselves.");
-
-    const parsed = parseScore(score);
-    if (!parsed.valid) return setError(parsed.message || "Score not recognised.");
 
-    const validity = validateSets(parsed.sets);
-    if (!validity.ok) return setError(validity.message);
-
-    const { p1Sets, p2Sets, p1Games, p2Games } = computeFromSets(parsed.sets);
-    const monthKey = monthKeyFromDateISO(matchDate);
-    const challengerStartPos = p1.position;
-    const opponentStartPos = p2.position;
-
-    const shouldMove = winner === "p1" && challengerStartPos > opponentStartPos;
-    const moved = shouldMove ? applyLadderMove(players, p1.pid, opponentStartPos) : { players, applied: false };
-
-    const matchRecord = {
-      id: uid(),
+    const input = {
       division: activeDivision,
       date: matchDate,
-      positionPlayedFor: opponentStartPos,
-      challengerPid: p1.pid,
+      challengerPid,
       opponentPid: p2.pid,
       winnerId: winner,
-      score: String(score || "").trim(),
+      outcome,
+      format: entryFormat,
+      score,
       surface,
-      challengerStartPos,
-      opponentStartPos,
-      ladderMoveApplied: moved.applied,
+      challengeId: pendingChallenge?.id || null,
     };
 
-    const nextState = {
-      ...state,
-      [activeDivision]: {
-        ...current,
-        matches: [matchRecord, ...current.matches],
-        players: current.players
-          .map((p) => {
-            if (p.pid !== p1.pid && p.pid !== p2.pid) return p;
-            const isP1 = p.pid === p1.pid;
-            const setsWon = isP1 ? p1Sets : p2Sets;
-            const setsLost = isP1 ? p2Sets : p1Sets;
-            const gamesWon = isP1 ? p1Games : p2Games;
-            const gamesLost = isP1 ? p2Games : p1Games;
-            const didWin = (winner === "p1" && isP1) || (winner === "p2" && !isP1);
-            const next = {
-              ...p,
-              matchesPlayed: (p.matchesPlayed || 0) + 1,
-              matchesWon: (p.matchesWon || 0) + (didWin ? 1 : 0),
-              setsWon: (p.setsWon || 0) + setsWon,
-              setsLost: (p.setsLost || 0) + setsLost,
-              gamesWon: (p.gamesWon || 0) + gamesWon,
-              gamesLost: (p.gamesLost || 0) + gamesLost,
-            };
-            if (monthKey) next[monthKey] = (p[monthKey] || 0) + 1;
-            return next;
-          })
-          .map((p) => {
-            if (!moved.applied) return p;
-            const after = moved.players.find((x) => x.pid === p.pid);
-            return after ? { ...p, position: after.position } : p;
-          }),
-      },
-    };
-
-    setState(nextState);
-    setDirty(true);
+    const result = applyAddMatch(current, { ...input, enteredBy: session?.adminName });
+    if (!result.ok) return setError(result.message);
 
     try {
-      await saveCloudState(pin, nextState);
-      setDirty(false);
+      const saved = await runAdmin("addMatch", { ...input, id: result.match.id }, result.divisionState);
+      setState((prev) => ({ ...prev, [activeDivision]: result.divisionState }));
+      setMatchQueued(Boolean(saved.queued));
       setMatchAddedOpen(true);
       setScore("");
+      setOutcome("completed");
     } catch (e) {
       setError(String(e?.message || e || "Failed to save to cloud."));
     }
@@ -850,80 +1757,172 @@ export default function App() {
 
   function requestDeleteMatch(id) {
     if (locked) return;
-    openPin("delete", { matchId: id });
+    setDeleteTarget({ type: "match", id });
+    setDeleteConfirmOpen(true);
+  }
+
+  function requestDeleteEvent(id) {
+    if (locked) return;
+    setDeleteTarget({ type: "event", id });
+    setDeleteConfirmOpen(true);
   }
 
   async function deleteMatchConfirmed() {
-    const id = deleteTargetId;
-    const pin = pinPayload?.pin;
-    if (!id || !pin) {
+    const target = deleteTarget;
+    if (!target) {
       setDeleteConfirmOpen(false);
       return;
     }
 
-    const match = matches.find((m) => m.id === id);
-    if (!match) {
+    const isEvent = target.type === "event";
+    const result = isEvent ? applyDeleteEvent(current, target.id) : applyDeleteMatch(current, target.id);
+    if (!result.ok) {
       setDeleteConfirmOpen(false);
       return;
     }
 
-    const parsed = parseScore(match.score);
-    let nextPlayers = current.players;
-
-    if (parsed.valid) {
-      const validity = validateSets(parsed.sets);
-      if (validity.ok) {
-        const { p1Sets, p2Sets, p1Games, p2Games } = computeFromSets(parsed.sets);
-        const monthKey = monthKeyFromDateISO(match.date);
-        nextPlayers = nextPlayers.map((p) => {
-          if (p.pid !== match.challengerPid && p.pid !== match.opponentPid) return p;
-          const isP1 = p.pid === match.challengerPid;
-          const setsWon = isP1 ? p1Sets : p2Sets;
-          const setsLost = isP1 ? p2Sets : p1Sets;
-          const gamesWon = isP1 ? p1Games : p2Games;
-          const gamesLost = isP1 ? p2Games : p1Games;
-          const didWin = (match.winnerId === "p1" && isP1) || (match.winnerId === "p2" && !isP1);
-          const out = {
-            ...p,
-            matchesPlayed: clampMin0((p.matchesPlayed || 0) - 1),
-            matchesWon: clampMin0((p.matchesWon || 0) - (didWin ? 1 : 0)),
-            setsWon: clampMin0((p.setsWon || 0) - setsWon),
-            setsLost: clampMin0((p.setsLost || 0) - setsLost),
-            gamesWon: clampMin0((p.gamesWon || 0) - gamesWon),
-            gamesLost: clampMin0((p.gamesLost || 0) - gamesLost),
-          };
-          if (monthKey) out[monthKey] = clampMin0((p[monthKey] || 0) - 1);
-          return out;
-        });
-      }
+    try {
+      if (isEvent) await runAdmin("deleteEvent", { division: activeDivision, eventId: target.id }, result.divisionState);
+      else await runAdmin("deleteMatch", { division: activeDivision, matchId: target.id }, result.divisionState);
+      setState((prev) => ({ ...prev, [activeDivision]: result.divisionState }));
+    } catch (e) {
+      setError(String(e?.message || e || "Failed to delete in cloud."));
     }
 
-    if (match.ladderMoveApplied) {
-      nextPlayers = reverseLadderMove(nextPlayers, match.challengerPid, match.challengerStartPos, match.opponentStartPos);
+    setDeleteConfirmOpen(false);
+    setDeleteTarget(null);
+  }
+
+  async function migrateLegacyEvents() {
+    setError("");
+    try {
+      await runAdmin("migrateLegacyEvents", { division: activeDivision });
+      setState((prev) => ({
+        ...prev,
+        [activeDivision]: { ...prev[activeDivision], events: prev[activeDivision].events.map((e) => ({ ...e, legacy: false })) },
+      }));
+    } catch (e) {
+      setError(String(e?.message || e || "Failed to migrate old admin entries."));
     }
+  }
 
-    const nextState = {
-      ...state,
-      [activeDivision]: {
-        ...current,
-        matches: current.matches.filter((m) => m.id !== id),
-        players: nextPlayers,
-      },
-    };
+  // row = an audit_log entry from the Activity list, or {} for "the latest undoable change".
+  function requestUndo(row) {
+    setError("");
+    if (locked) return setError("Locked: Admin unlock required.");
+    if (dirty) return setError("Save or reload your unsaved table edits before undoing.");
+    setUndoTarget(row);
+  }
 
-    setState(nextState);
-    setDirty(true);
+  async function undoConfirmed() {
+    const target = undoTarget;
+    setUndoTarget(null);
+    if (!target) return;
 
     try {
-      await saveCloudState(pin, nextState);
-      setDirty(false);
+      await runAdmin("undo", { division: activeDivision, auditId: target.id || null });
+      await reloadFromCloud();
     } catch (e) {
-      setError(String(e?.message || e || "Failed to delete in cloud."));
+      setError(String(e?.message || e || "Failed to undo."));
     }
+  }
 
-    setDeleteConfirmOpen(false);
-    setDeleteTargetId(null);
-    setPinPayload(null);
+  // Season-wide changes carry the revision of the season or division they change.
+  // A 409 means someone else changed it first: fetch the latest before a retry.
+  async function seasonAction(action, payload) {
+    try {
+      return await adminAction(session?.token, action, payload);
+    } catch (e) {
+      if (e?.status === 401) endSession();
+      if (e?.status === 409) {
+        const [latestSeasons, latestDivisions] = await Promise.all([fetchSeasons(), fetchDivisions()]).catch(() => []);
+        if (latestSeasons) setSeasons(latestSeasons);
+        if (latestDivisions) setDivisions(latestDivisions);
+      }
+      throw e;
+    }
+  }
+
+  function replaceSeason(updated) {
+    setSeasons((prev) => prev.map((s) => (s.id === updated.id ? updated : s)));
+  }
+
+  async function saveCalendar(next) {
+    const data = await seasonAction("setCalendar", { season: activeSeasonId, calendar: next, revision: activeSeason.revision });
+    const apply = (prev) => Object.fromEntries(Object.entries(prev).map(([division, ds]) => [division, { ...ds, calendar: data.season.calendar }]));
+    syncedRef.current = apply(syncedRef.current);
+    setState(apply);
+    replaceSeason(data.season);
+  }
+
+  async function saveDivision(division) {
+    const data = await seasonAction("saveDivision", { season: activeSeasonId, ...division });
+    const saved = data.division;
+    setDivisions((prev) => {
+      const list = prev || DIVISIONS;
+      return list.some((d) => d.key === saved.key) ? list.map((d) => (d.key === saved.key ? saved : d)) : [...list, saved];
+    });
+  }
+
+  function openNewSeason() {
+    setNewSeasonName("");
+    setNewSeasonSeed(activeSeasonId);
+    setNewSeasonArchive(true);
+    setNewSeasonError("");
+    setNewSeasonOpen(true);
+  }
+
+  async function createSeasonConfirmed() {
+    const name = newSeasonName.trim();
+    if (!name) return setNewSeasonError("Give the season a name.");
+    if (dirty) return setNewSeasonError("Save or reload your unsaved table edits first.");
+
+    try {
+      const data = await seasonAction("createSeason", {
+        name,
+        seedFrom: newSeasonSeed || null,
+        archiveSource: Boolean(newSeasonSeed) && newSeasonArchive,
+        calendar: defaultCalendar(),
+      });
+      setSeasons(await fetchSeasons());
+      setSeasonChoice(data.season.id);
+      setNewSeasonOpen(false);
+    } catch (e) {
+      setNewSeasonError(String(e?.message || e || "Failed to create season."));
+    }
+  }
+
+  async function toggleArchived() {
+    setError("");
+    if (!session || !activeSeason) return;
+    if (dirty) return setError("Save or reload your unsaved table edits first.");
+    try {
+      const data = await seasonAction("archiveSeason", { season: activeSeason.id, archived: !activeSeason.archived, revision: activeSeason.revision });
+      replaceSeason(data.season);
+    } catch (e) {
+      setError(String(e?.message || e || "Failed to update season."));
+    }
+  }
+
+  // Shows what a replay of the history would change before anything is written.
+  function previewRebuild() {
+    setError("");
+    if (locked) return setError("Locked: Admin unlock required.");
+    if (dirty) return setError("Save or reload your unsaved table edits before rebuilding.");
+
+    const result = rebuildDivisionFromHistory(current);
+    if (!result.ok) return setError(result.message);
+    setRebuildPreview(diffDivisionStates(current, result.divisionState));
+  }
+
+  async function rebuildConfirmed() {
+    setRebuildPreview(null);
+    try {
+      await runAdmin("rebuildFromHistory", { division: activeDivision });
+      await reloadFromCloud();
+    } catch (e) {
+      setError(String(e?.message || e || "Failed to rebuild from history."));
+    }
   }
 
   function openEditMatch(match) {
@@ -933,278 +1932,199 @@ export default function App() {
     setEditDate(match.date);
     setEditSurface(match.surface || "Outdoor Hard Court");
     setEditWinner(match.winnerId);
+    setEditOutcome(match.outcome);
+    setEditFormat(match.format);
     setEditScore(match.score);
     setEditOpen(true);
   }
 
   function requestSaveEdit() {
     if (locked) return;
-    openPin("edit");
+    actuallySaveEdit();
   }
 
-  async function actuallySaveEdit(pin) {
+  async function actuallySaveEdit() {
     setEditError("");
     const id = editId;
     if (!id) return setEditError("No match selected.");
 
-    const original = current.matches.find((m) => m.id === id);
-    if (!original) return setEditError("Match not found.");
-
-    const parsedNew = parseScore(editScore);
-    if (!parsedNew.valid) return setEditError(parsedNew.message || "Score not recognised.");
-    const vNew = validateSets(parsedNew.sets);
-    if (!vNew.ok) return setEditError(vNew.message);
-
-    const working = {
-      ...current,
-      players: current.players.map((p) => ({ ...p })),
-      matches: [...current.matches],
-    };
-
-    const applyMatchDelta = (matchObj, dir) => {
-      const parsed = parseScore(matchObj.score);
-      if (!parsed.valid) throw new Error("Stored score invalid; can't edit safely.");
-      const valid = validateSets(parsed.sets);
-      if (!valid.ok) throw new Error("Stored score invalid; can't edit safely.");
-      const { p1Sets, p2Sets, p1Games, p2Games } = computeFromSets(parsed.sets);
-      const monthKey = monthKeyFromDateISO(matchObj.date);
-
-      working.players = working.players.map((p) => {
-        if (p.pid !== matchObj.challengerPid && p.pid !== matchObj.opponentPid) return p;
-        const isP1 = p.pid === matchObj.challengerPid;
-        const setsWon = isP1 ? p1Sets : p2Sets;
-        const setsLost = isP1 ? p2Sets : p1Sets;
-        const gamesWon = isP1 ? p1Games : p2Games;
-        const gamesLost = isP1 ? p2Games : p1Games;
-        const didWin = (matchObj.winnerId === "p1" && isP1) || (matchObj.winnerId === "p2" && !isP1);
-        const out = {
-          ...p,
-          matchesPlayed: clampMin0((p.matchesPlayed || 0) + dir),
-          matchesWon: clampMin0((p.matchesWon || 0) + (didWin ? 1 : 0) * dir),
-          setsWon: clampMin0((p.setsWon || 0) + setsWon * dir),
-          setsLost: clampMin0((p.setsLost || 0) + setsLost * dir),
-          gamesWon: clampMin0((p.gamesWon || 0) + gamesWon * dir),
-          gamesLost: clampMin0((p.gamesLost || 0) + gamesLost * dir),
-        };
-        if (monthKey) out[monthKey] = clampMin0((p[monthKey] || 0) + dir);
-        return out;
-      });
-    };
+    const changes = { date: editDate, surface: editSurface, winnerId: editWinner, outcome: editOutcome, format: editFormat, score: editScore, editedBy: session?.adminName };
+    const result = applyEditMatch(current, id, changes);
+    if (!result.ok) return setEditError(result.message);
 
-    if (original.ladderMoveApplied) {
-      working.players = reverseLadderMove(working.players, original.challengerPid, original.challengerStartPos, original.opponentStartPos);
+    try {
+      await runAdmin("editMatch", { division: activeDivision, matchId: id, ...changes }, result.divisionState);
+      setState((prev) => ({ ...prev, [activeDivision]: result.divisionState }));
+      setEditOpen(false);
+      setEditId(null);
+    } catch (e) {
+      setEditError(String(e?.message || e || "Failed to save edit to cloud."));
     }
+  }
 
-    applyMatchDelta(original, -1);
-
-    const edited = {
-      ...original,
-      date: editDate,
-      surface: editSurface,
-      winnerId: editWinner,
-      score: String(editScore || "").trim(),
-    };
-
-    const p1 = working.players.find((p) => p.pid === edited.challengerPid);
-    const p2 = working.players.find((p) => p.pid === edited.opponentPid);
-    if (!p1 || !p2) return setEditError("Players missing.");
+  // Sends only what was changed by hand in the unlocked table, compared with the last cloud load.
+  async function actuallySaveAll() {
+    setError("");
+    try {
+      for (const { key: division } of divisionList) {
+        const synced = syncedRef.current[division];
+        const local = state[division];
+        if (!synced || !local) continue;
+        const syncedByPid = new Map(synced.players.map((p) => [p.pid, p]));
+
+        for (const p of local.players) {
+          const before = syncedByPid.get(p.pid);
+          if (!before) continue;
+
+          if (p.name !== before.name || (p.partner || "") !== (before.partner || "")) {
+            await runAdmin("renamePlayer", { division, pid: p.pid, name: p.name, partner: p.partner || "" });
+          }
+
+          const stats = {};
+          for (const field of STAT_FIELDS) {
+            if ((p[field] || 0) !== (before[field] || 0)) stats[field] = p[field];
+          }
+          if (!samePeriodCounts(p.periodCounts, before.periodCounts)) stats.periodCounts = p.periodCounts;
+          if (Object.keys(stats).length > 0) {
+            await runAdmin("setPlayerStats", { division, pid: p.pid, stats });
+          }
+        }
+
+        if (local.playerCount !== synced.playerCount) {
+          await runAdmin("setPlayerCount", { division, playerCount: local.playerCount });
+        }
+
+        // Queued edits don't come back over realtime, so the next save must not send them again.
+        syncedRef.current = { ...syncedRef.current, [division]: { ...local, revision: syncedRef.current[division].revision } };
+      }
+      setDirty(false);
+    } catch (e) {
+      setError(String(e?.message || e || "Failed to save to cloud."));
+    }
+  }
 
-    const challengerStartPos = p1.position;
-    const opponentStartPos = p2.position;
-    const shouldMove = edited.winnerId === "p1" && challengerStartPos > opponentStartPos;
-    const moved = shouldMove ? applyLadderMove(working.players, p1.pid, opponentStartPos) : { players: working.players, applied: false };
+  // Lists who would drop for inactivity; everyone starts ticked and the admin can leave people out.
+  function previewInactivity() {
+    setError("");
+    if (locked) return setError("Locked: Admin unlock required.");
+    if (dirty) return setError("Save or reload your unsaved table edits before dropping inactive players.");
 
-    edited.challengerStartPos = challengerStartPos;
-    edited.opponentStartPos = opponentStartPos;
-    edited.positionPlayedFor = opponentStartPos;
-    edited.ladderMoveApplied = moved.applied;
+    const inactive = findInactivePlayers(current, formatDateISO(new Date()));
+    setInactivePreview(inactive);
+    setInactiveSelected(new Set(inactive.map((x) => x.pid)));
+  }
 
-    working.players = working.players.map((p) => {
-      const after = moved.players.find((x) => x.pid === p.pid);
-      return after ? { ...p, position: after.position } : p;
+  function toggleInactive(pid) {
+    setInactiveSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(pid)) next.delete(pid);
+      else next.add(pid);
+      return next;
     });
+  }
 
-    applyMatchDelta(edited, +1);
-    working.matches = working.matches.map((m) => (m.id === edited.id ? edited : m));
-
-    const nextState = {
-      ...state,
-      [activeDivision]: working,
-    };
-
-    setState(nextState);
-    setDirty(true);
-
+  async function inactivityConfirmed() {
+    const pids = (inactivePreview || []).filter((x) => inactiveSelected.has(x.pid)).map((x) => x.pid);
+    setInactivePreview(null);
     try {
-      await saveCloudState(pin, nextState);
-      setDirty(false);
-      setEditOpen(false);
-      setEditId(null);
+      await runAdmin("dropInactivePlayers", { division: activeDivision, pids });
+      await reloadFromCloud();
     } catch (e) {
-      setEditError(String(e?.message || e || "Failed to save edit to cloud."));
+      setError(String(e?.message || e || "Failed to drop inactive players."));
     }
   }
 
-  async function actuallySaveAll(pin) {
+  // Challenge changes are checked locally first, like every other admin action, then saved.
+  async function saveChallengeChange(action, result, payload) {
     setError("");
+    if (locked) {
+      setError("Locked: Admin unlock required.");
+      return false;
+    }
+    if (!result.ok) {
+      setError(result.message);
+      return false;
+    }
+
     try {
-      await saveCloudState(pin, state);
-      setDirty(false);
+      await runAdmin(action, { division: activeDivision, ...payload }, result.divisionState);
+      setState((prev) => ({ ...prev, [activeDivision]: result.divisionState }));
+      return true;
     } catch (e) {
-      setError(String(e?.message || e || "Failed to save to cloud."));
+      setError(String(e?.message || e || "Failed to save challenge to cloud."));
+      return false;
     }
   }
 
-  function isWithdrawnPlayer(p) {
-    return String(p?.name || "").startsWith("W - ");
+  function issueChallenge(input) {
+    const id = `chl_${uid()}`;
+    return saveChallengeChange("issueChallenge", applyIssueChallenge(current, { ...input, id, issuedBy: session?.adminName }), { ...input, id });
   }
 
-  function movePlayerDownByPlaces(sourcePlayers, pid, places) {
-    const target = sourcePlayers.find((p) => p.pid === pid);
-    if (!target) return sourcePlayers;
-    const oldPos = target.position;
-    const activeMax = playerCount;
-    const newPos = clamp(oldPos + places, 1, activeMax);
-    if (newPos === oldPos) return sourcePlayers;
-
-    return sourcePlayers.map((p) => {
-      if (p.pid === pid) return { ...p, position: newPos };
-      if (p.position > oldPos && p.position <= newPos) return { ...p, position: p.position - 1 };
-      return p;
-    });
+  function acceptChallenge(c) {
+    return saveChallengeChange("acceptChallenge", applyAcceptChallenge(current, c.id), { challengeId: c.id });
   }
 
-  function movePlayerToBottom(sourcePlayers, pid) {
-    const target = sourcePlayers.find((p) => p.pid === pid);
-    if (!target) return sourcePlayers;
-    const oldPos = target.position;
-    const newPos = playerCount;
-    if (newPos === oldPos) return sourcePlayers;
+  function cancelChallenge(c) {
+    return saveChallengeChange("cancelChallenge", applyCancelChallenge(current, c.id, session?.adminName), { challengeId: c.id });
+  }
 
-    return sourcePlayers.map((p) => {
-      if (p.pid === pid) return { ...p, position: newPos };
-      if (p.position > oldPos && p.position <= newPos) return { ...p, position: p.position - 1 };
-      return p;
-    });
+  function awardWalkover(c) {
+    const matchId = uid();
+    return saveChallengeChange("awardWalkover", applyChallengeWalkover(current, c.id, { matchId, enteredBy: session?.adminName }), { challengeId: c.id, matchId });
   }
 
-  function makeAdminLog(player, message) {
-    return {
-      id: `admin_${uid()}`,
-      division: activeDivision,
-      date: formatDateISO(new Date()),
-      positionPlayedFor: player.position,
-      challengerPid: player.pid,
-      opponentPid: player.pid,
-      winnerId: "p2",
-      score: `ADMIN: ${message}`,
-      surface: "Admin",
-      challengerStartPos: player.position,
-      opponentStartPos: player.position,
-      ladderMoveApplied: false,
-    };
+  function enterChallengeResult(c) {
+    const opponentPos = players.find((p) => p.pid === c.opponentPid)?.position;
+    if (!opponentPos) return;
+    setChallengerPid(c.challengerPid);
+    setMatchPos(String(opponentPos));
+    setError("");
+    scrollToRef(addMatchRef);
   }
 
-  async function actuallyDropThreePlaces(pin) {
+  async function actuallyWithdrawPlayer() {
     setError("");
     if (locked) return setError("Locked: Admin unlock required.");
-    const player = players.find((p) => p.pid === dropPid);
-    if (!player) return setError("Choose a player to drop 3 places.");
-    if (player.position >= playerCount) return setError("That player is already at the bottom of the active ladder.");
-
-    const message = `${player.name || "Player"} moved down 3 places for not playing a game in 1 month.`;
-    const nextPlayers = movePlayerDownByPlaces(current.players, player.pid, 3);
-    const nextState = {
-      ...state,
-      [activeDivision]: {
-        ...current,
-        players: nextPlayers,
-        matches: [makeAdminLog(player, message), ...current.matches],
-      },
-    };
 
-    setState(nextState);
-    setDirty(true);
+    const result = applyWithdrawPlayer(current, withdrawPid, session?.adminName);
+    if (!result.ok) return setError(result.message);
+
     try {
-      await saveCloudState(pin, nextState);
-      setDirty(false);
-      setDropPid("");
+      await runAdmin("withdrawPlayer", { division: activeDivision, pid: withdrawPid }, result.divisionState);
+      setState((prev) => ({ ...prev, [activeDivision]: result.divisionState }));
+      setWithdrawPid("");
     } catch (e) {
-      setError(String(e?.message || e || "Failed to save drop action to cloud."));
+      setError(String(e?.message || e || "Failed to save withdraw action to cloud."));
     }
   }
 
-  async function actuallyWithdrawPlayer(pin) {
+  async function actuallyReinstatePlayer() {
     setError("");
     if (locked) return setError("Locked: Admin unlock required.");
-    const player = players.find((p) => p.pid === withdrawPid);
-    if (!player) return setError("Choose a player to withdraw.");
-
-    const withdrawnName = isWithdrawnPlayer(player) ? player.name : `W - ${player.name || "Withdrawn player"}`;
-    const message = `${player.name || "Player"} withdrawn and moved to the bottom of the ladder.`;
-    const moved = movePlayerToBottom(current.players, player.pid).map((p) => {
-      if (p.pid !== player.pid) return p;
-      return { ...p, name: withdrawnName };
-    });
 
-    const nextState = {
-      ...state,
-      [activeDivision]: {
-        ...current,
-        players: moved,
-        matches: [makeAdminLog(player, message), ...current.matches],
-      },
-    };
+    const toPos = asNumber(reinstatePos, 0);
+    const result = applyReinstatePlayer(current, reinstatePid, toPos, session?.adminName);
+    if (!result.ok) return setError(result.message);
 
-    setState(nextState);
-    setDirty(true);
     try {
-      await saveCloudState(pin, nextState);
-      setDirty(false);
-      setWithdrawPid("");
+      await runAdmin("reinstatePlayer", { division: activeDivision, pid: reinstatePid, toPos }, result.divisionState);
+      setState((prev) => ({ ...prev, [activeDivision]: result.divisionState }));
+      setReinstatePid("");
+      setReinstatePos("");
     } catch (e) {
-      setError(String(e?.message || e || "Failed to save withdraw action to cloud."));
+      setError(String(e?.message || e || "Failed to save reinstate action to cloud."));
     }
   }
 
-  const pinTitle =
-    pinPurpose === "unlock"
-      ? "Admin unlock"
-      : pinPurpose === "add"
-      ? `Admin PIN required to add ${activeDivision === "mens" ? "Men's" : "Women's"} match`
-      : pinPurpose === "delete"
-      ? "Admin PIN required to delete match"
-      : pinPurpose === "edit"
-      ? "Admin PIN required to save edit"
-      : pinPurpose === "drop3"
-      ? "Admin PIN required to drop player"
-      : pinPurpose === "withdraw"
-      ? "Admin PIN required to withdraw player"
-      : "Admin PIN required to save changes";
-
-  const pinHint =
-    pinPurpose === "unlock"
-      ? "Unlock editing for this session (viewers remain read-only)."
-      : pinPurpose === "add"
-      ? "PIN required right before saving this match."
-      : pinPurpose === "delete"
-      ? "PIN required before deleting a match."
-      : pinPurpose === "edit"
-      ? "PIN required to save an edit."
-      : pinPurpose === "drop3"
-      ? "PIN required to move this player down 3 places."
-      : pinPurpose === "withdraw"
-      ? "PIN required to withdraw this player."
-      : "PIN required to push your changes to the cloud.";
-
   const opponentLabel = useMemo(() => {
     const pos = clamp(asNumber(matchPos, 1), 1, playerCount);
     const p = players.find((x) => x.position === pos);
-    const nm = p?.name?.trim();
+    const nm = entryName(p);
     return nm ? `#${pos} (${nm})` : `#${pos}`;
   }, [matchPos, playerCount, players]);
 
-  const divisionLabel = activeDivision === "mens" ? "Men's" : "Women's";
+  const divisionLabel = divisionConfig.label;
 
   return (
     <div className="app">
@@ -1216,7 +2136,7 @@ export default function App() {
         title={(() => {
           const p = players.find((x) => x.pid === playerModalPid);
           if (!p) return "Player results";
-          const base = p.name?.trim() ? p.name : "Player";
+          const base = entryName(p) || "Player";
           const inactive = p.position < 1 || p.position > playerCount;
           return inactive ? `${base} (Inactive) — Results` : `${base} — Results`;
         })()}
@@ -1226,27 +2146,79 @@ export default function App() {
         }}
         actions={<button className="btn" onClick={() => { setPlayerModalOpen(false); setPlayerModalPid(null); }}>Close</button>}
       >
+        {(() => {
+          const points = timelines.get(playerModalPid);
+          if (!points?.[0]?.date) return null;
+          const { highest, lowest, biggestClimb } = positionSummary(points);
+          return (
+            <div style={{ marginBottom: 12 }}>
+              <PositionChart points={points} maxPosition={Math.max(playerCount, lowest)} today={today} />
+              <div className="hint">
+                Highest #{highest} • Lowest #{lowest} • Biggest climb{" "}
+                {biggestClimb ? `${biggestClimb.places} ${biggestClimb.places === 1 ? "place" : "places"} (#${biggestClimb.from} → #${biggestClimb.to} on ${biggestClimb.date})` : "none yet"}
+              </div>
+            </div>
+          );
+        })()}
+        {(() => {
+          const r = recordsByPid.get(playerModalPid);
+          if (!r) return null;
+          const breakdown = [
+            ["Current streak", streakLabel(r.streak)],
+            ["Longest win streak", r.longestWinStreak || "—"],
+            ...SURFACES.map((surface) => [surface, r.surfaces[surface] ? `${recordLabel(r.surfaces[surface])} (${winPctLabel(r.surfaces[surface])})` : "—"]),
+            ["As challenger", recordLabel(r.asChallenger)],
+            ["As defender", recordLabel(r.asDefender)],
+            ["Deciding sets", recordLabel(r.decidingSets)],
+            ["Match tie-breaks", recordLabel(r.matchTieBreaks)],
+            ["Games per match", gamesPerMatch(r) || "—"],
+          ];
+          return (
+            <div className="statGrid">
+              {breakdown.map(([label, value]) => (
+                <div key={label}>
+                  <div className="label">{label}</div>
+                  <div className="mono">{value}</div>
+                </div>
+              ))}
+            </div>
+          );
+        })()}
         {(() => {
           const pid = playerModalPid;
           if (!pid) return <div className="hint">No player selected.</div>;
 
-          const list = matchesView
-            .filter((m) => m.challengerPid === pid || m.opponentPid === pid)
-            .sort((a, b) => {
-              const d = String(b.date).localeCompare(String(a.date));
-              if (d !== 0) return d;
-              return String(b.id).localeCompare(String(a.id));
-            });
+          const list = timelineView.filter((m) => (m.type === "event" ? m.pid === pid : m.challengerPid === pid || m.opponentPid === pid));
 
           if (list.length === 0) return <div className="hint">No matches logged for this player yet.</div>;
 
-          const pnameBase = players.find((x) => x.pid === pid)?.name || "(Unknown)";
+          const pnameBase = entryName(players.find((x) => x.pid === pid)) || "(Unknown)";
           const pObj = players.find((x) => x.pid === pid);
           const pname = pObj && (pObj.position < 1 || pObj.position > playerCount) ? `${pnameBase} (Inactive)` : pnameBase;
 
           return (
             <div className="playerMatchList mobileSpacious">
               {list.map((m) => {
+                if (m.type === "event") {
+                  return (
+                    <div key={m.id} className="playerMatchRow roomy">
+                      <div className="playerMatchTop">
+                        <div className="mono">{m.date}</div>
+                        <div className="pillEvent">{eventKindLabel(m.kind).toUpperCase()}</div>
+                      </div>
+                      <div className="playerMatchMid stackedMobile">
+                        <div>
+                          <div className="playerMatchTitle">{m.reason}</div>
+                          <div className="hint">
+                            Position #{m.fromPos} → #{m.toPos}
+                            {m.enteredBy ? ` • Entered by ${m.enteredBy}` : ""}
+                          </div>
+                        </div>
+                      </div>
+                    </div>
+                  );
+                }
+
                 const isChallenger = m.challengerPid === pid;
                 const opponentName = isChallenger ? m.p2Name : m.p1Name;
                 const didWin = (m.winnerId === "p1" && isChallenger) || (m.winnerId === "p2" && !isChallenger);
@@ -1262,9 +2234,11 @@ export default function App() {
                         <div className="hint">
                           {isChallenger ? `Challenging for Position #${m.positionPlayedFor}` : `Defending Position #${m.positionPlayedFor}`} • {m.surface || "—"}
                           {m.ladderMoveApplied ? " • Ladder moved" : ""}
+                          {m.enteredBy ? ` • Entered by ${m.enteredBy}` : ""}
+                          {m.editedBy ? ` • Last edited by ${m.editedBy}` : ""}
                         </div>
                       </div>
-                      <div className="mono playerMatchScore">{formatScore(m.score)}</div>
+                      <div className="mono playerMatchScore">{formatMatchScore(m)}</div>
                     </div>
                   </div>
                 );
@@ -1275,7 +2249,47 @@ export default function App() {
       </Modal>
 
       <Modal open={matchAddedOpen} title="Match added" onClose={() => setMatchAddedOpen(false)} actions={<button className="btn" onClick={() => setMatchAddedOpen(false)}>OK</button>}>
-        <div>Saved successfully.</div>
+        <div>{matchQueued ? "Queued on this device. It will be sent as soon as there is a connection." : "Saved successfully."}</div>
+      </Modal>
+
+      <Modal
+        open={outboxReviewOpen}
+        mobileFull={true}
+        title={outboxProblem ? "A queued change was refused" : "Waiting to be sent"}
+        onClose={() => setOutboxReviewOpen(false)}
+        actions={
+          <>
+            <button className="btnGhost" onClick={() => setOutboxReviewOpen(false)}>Close</button>
+            <button className="btnGhost" onClick={() => resolveOutbox("discard")}>Discard all</button>
+            {outboxProblem?.conflict ? <button className="btn" onClick={() => resolveOutbox("rebase")}>Send on top of the latest</button> : null}
+            {outboxProblem && !outboxProblem.conflict ? <button className="btn" onClick={() => resolveOutbox("skip")}>Skip it and send the rest</button> : null}
+          </>
+        }
+      >
+        {outboxProblem ? (
+          <div className="errorBox">
+            {outboxProblem.conflict
+              ? "The ladder was changed on another device after these were queued. Sending them on top of the latest version re-checks each one against it; check the ladder afterwards."
+              : outboxProblem.message}
+          </div>
+        ) : null}
+        <div className="hint" style={{ marginTop: 0 }}>Oldest first. Discarding puts the ladder back to the last version saved in the cloud.</div>
+        <ul className="changeList">
+          {outbox.map((entry) => (
+            <li key={entry.id} style={entry.id === outboxProblem?.entryId ? { fontWeight: 700 } : null}>{outboxLine(entry, divisionList)}</li>
+          ))}
+        </ul>
+      </Modal>
+
+      <Modal open={conflictOpen} mobileFull={true} title="Ladder changed on another device" onClose={() => setConflictOpen(false)} actions={<button className="btn" onClick={() => setConflictOpen(false)}>OK</button>}>
+        <div className="hint" style={{ marginTop: 0 }}>Your change was not saved because the ladder was updated since you loaded it. The latest version has been loaded — check it and try again.</div>
+        {conflictChanges.length === 0 ? (
+          <div className="hint">No visible differences in this ladder.</div>
+        ) : (
+          <ul className="changeList">
+            {conflictChanges.map((line, i) => <li key={i}>{line}</li>)}
+          </ul>
+        )}
       </Modal>
 
       <Modal open={editOpen} mobileFull={true} title="Edit match" onClose={() => { setEditOpen(false); setEditId(null); setEditError(""); }} actions={<><button className="btnGhost" onClick={() => { setEditOpen(false); setEditId(null); setEditError(""); }}>Cancel</button><button className="btn" onClick={requestSaveEdit}>Save</button></>}>
@@ -1298,51 +2312,162 @@ export default function App() {
               <option value="p2">Opponent</option>
             </select>
           </div>
+          <div>
+            <div className="label">Outcome</div>
+            <select className="textInput" value={editOutcome} onChange={(e) => setEditOutcome(e.target.value)}>
+              {MATCH_OUTCOMES.map((o) => <option key={o.key} value={o.key}>{o.label}</option>)}
+            </select>
+          </div>
+          <div>
+            <div className="label">Format</div>
+            <select className="textInput" value={editFormat} onChange={(e) => setEditFormat(e.target.value)}>
+              {MATCH_FORMATS.map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+            </select>
+          </div>
           <div>
             <div className="label">Score (Challenger perspective)</div>
-            <input className="textInput" value={editScore} onChange={(e) => setEditScore(e.target.value)} placeholder="e.g. 6-4 3-6 10-8" />
+            <input className="textInput" value={matchOutcome(editOutcome).score === "none" ? "" : editScore} onChange={(e) => setEditScore(e.target.value)} placeholder={matchOutcome(editOutcome).score === "full" ? `e.g. ${matchFormat(editFormat).example}` : "e.g. 6-3 2-1"} disabled={matchOutcome(editOutcome).score === "none"} />
           </div>
         </div>
+        <div className="hint">{describeMatchFormat(editFormat)} {matchOutcome(editOutcome).hint}</div>
         <div className="hint" style={{ marginTop: 10 }}>Saving an edit will recalculate stats and ladder moves.</div>
       </Modal>
 
-      <Modal open={pinOpen} title={pinTitle} onClose={closePin} actions={<><button className="btnGhost" onClick={closePin}>Cancel</button><button className="btn" onClick={submitPin}>{pinPurpose === "unlock" ? "Unlock" : "Continue"}</button></>}>
+      <Modal open={pinOpen} title="Admin unlock" onClose={closePin} actions={<><button className="btnGhost" onClick={closePin}>Cancel</button><button className="btn" onClick={submitPin} disabled={pinWaitSeconds > 0}>Unlock</button></>}>
         <label className="label">Enter PIN</label>
-        <input ref={pinRef} className="textInput" type="password" value={pinValue} onChange={(e) => setPinValue(e.target.value)} onKeyDown={(e) => { if (e.key === "Enter") submitPin(); }} placeholder="••••" />
+        <input ref={pinRef} className="textInput" type="password" value={pinValue} onChange={(e) => setPinValue(e.target.value)} onKeyDown={(e) => { if (e.key === "Enter") submitPin(); }} placeholder="••••" disabled={pinWaitSeconds > 0} />
+        {pinWaitSeconds > 0 ? <div className="error">Too many wrong PINs. Try again in {formatWait(pinWaitSeconds)}.</div> : null}
         {pinError ? <div className="error">{pinError}</div> : null}
-        <div className="hint">{pinHint}</div>
+        <div className="hint">The PIN is checked by the server once; editing then stays unlocked on this device for a couple of hours.</div>
+      </Modal>
+
+      <Modal open={newSeasonOpen} title="New season" onClose={() => setNewSeasonOpen(false)} actions={<><button className="btnGhost" onClick={() => setNewSeasonOpen(false)}>Cancel</button><button className="btn" onClick={createSeasonConfirmed}>Create</button></>}>
+        <div className="label">Name</div>
+        <input className="textInput tallOnMobile" value={newSeasonName} placeholder="e.g. Summer Ladder 2027" onChange={(e) => setNewSeasonName(e.target.value)} />
+        <div className="label" style={{ marginTop: 10 }}>Starting order</div>
+        <select className="textInput tallOnMobile" value={newSeasonSeed} onChange={(e) => setNewSeasonSeed(e.target.value)}>
+          <option value="">Empty ladders</option>
+          {seasons.map((s) => <option key={s.id} value={s.id}>Final standings of {s.name}</option>)}
+        </select>
+        {newSeasonSeed ? (
+          <label className="hint" style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <input type="checkbox" checked={newSeasonArchive} onChange={(e) => setNewSeasonArchive(e.target.checked)} />
+            Archive {seasons.find((s) => s.id === newSeasonSeed)?.name || "that season"} (read-only)
+          </label>
+        ) : null}
+        {newSeasonError ? <div className="error">{newSeasonError}</div> : null}
+        <div className="hint">Seeded players keep their order with all stats at zero; withdrawn players go to the bottom.</div>
+      </Modal>
+
+      <Modal open={Boolean(undoTarget)} title="Undo this change?" onClose={() => setUndoTarget(null)} actions={<><button className="btnGhost" onClick={() => setUndoTarget(null)}>No</button><button className="btnDanger" onClick={undoConfirmed}>Yes, undo</button></>}>
+        {undoTarget?.id ? (
+          <>
+            <div className="playerMatchTitle">{ACTION_LABELS[undoTarget.action] || undoTarget.action} by {undoTarget.admin_name || "Admin"}</div>
+            {(undoTarget.summary || []).length > 0 ? (
+              <ul className="changeList">
+                {undoTarget.summary.map((line, i) => <li key={i}>{line}</li>)}
+              </ul>
+            ) : null}
+          </>
+        ) : (
+          <div className="playerMatchTitle">The most recent match, edit, delete, drop or withdrawal in the {divisionLabel} ladder.</div>
+        )}
+        <div className="hint">Positions and stats go back exactly as they were before it. If a later change touched the same players, undo that one first.</div>
+      </Modal>
+
+      <Modal open={Boolean(rebuildPreview)} mobileFull={true} title="Rebuild from history" onClose={() => setRebuildPreview(null)} actions={<><button className="btnGhost" onClick={() => setRebuildPreview(null)}>Cancel</button><button className="btnDanger" onClick={rebuildConfirmed} disabled={!rebuildPreview || (rebuildPreview.players.length === 0 && rebuildPreview.matches.length === 0 && rebuildPreview.events.length === 0)}>Write these totals</button></>}>
+        {rebuildPreview && rebuildPreview.players.length === 0 && rebuildPreview.matches.length === 0 && rebuildPreview.events.length === 0 ? (
+          <div className="playerMatchTitle">Stored totals and positions already match the history. Nothing to change.</div>
+        ) : (
+          <>
+            <div className="playerMatchTitle">Replaying every match and ladder event gives these differences from the stored {divisionLabel} ladder:</div>
+            <ul className="changeList">
+              {(rebuildPreview?.players || []).filter((c) => playerChangeLines(c, calendar).length > 0).map((c) => <li key={c.pid}><strong>{entryName(c.after) || `#${c.after.position}`}</strong>: {playerChangeLines(c, calendar).join(" • ")}</li>)}
+              {rebuildPreview?.matches.length ? <li>{rebuildPreview.matches.length} match{rebuildPreview.matches.length === 1 ? "" : "es"} get corrected start positions.</li> : null}
+              {rebuildPreview?.events.length ? <li>{rebuildPreview.events.length} ladder event{rebuildPreview.events.length === 1 ? "" : "s"} get corrected positions.</li> : null}
+            </ul>
+          </>
+        )}
+        <div className="hint">Manual stat edits are replaced by what the match history adds up to. This can be undone from Activity.</div>
+      </Modal>
+
+      <Modal open={Boolean(inactivePreview)} mobileFull={true} title="Drop inactive players" onClose={() => setInactivePreview(null)} actions={<><button className="btnGhost" onClick={() => setInactivePreview(null)}>Cancel</button><button className="btnDanger" onClick={inactivityConfirmed} disabled={inactiveSelected.size === 0}>Drop {inactiveSelected.size} {doubles ? "pair" : "player"}{inactiveSelected.size === 1 ? "" : "s"}</button></>}>
+        {inactivePreview && inactivePreview.length === 0 ? (
+          <div className="playerMatchTitle">Everyone in the {divisionLabel} ladder has played in the last {inactivityDays} days. Nobody to drop.</div>
+        ) : (
+          <>
+            <div className="playerMatchTitle">No match in the last {inactivityDays} days. Each ticked {doubles ? "pair" : "player"} moves down {dropPlaces} places:</div>
+            <ul className="changeList">
+              {(inactivePreview || []).map((x) => (
+                <li key={x.pid}>
+                  <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                    <input type="checkbox" checked={inactiveSelected.has(x.pid)} onChange={() => toggleInactive(x.pid)} />
+                    <span><strong>#{x.position} {x.name}</strong>: {x.lastPlayed ? `last played ${x.lastPlayed}` : "no match this season"}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+        <div className="hint">Untick anyone who shouldn't drop, e.g. an injury agreed with the committee. The drops are saved as one change and can be undone from Activity.</div>
       </Modal>
 
       <Modal open={deleteConfirmOpen} title="Are you sure?" onClose={() => setDeleteConfirmOpen(false)} actions={<><button className="btnGhost" onClick={() => setDeleteConfirmOpen(false)}>No</button><button className="btnDanger" onClick={deleteMatchConfirmed}>Yes, delete</button></>}>
-        <div className="hint">This removes the match and reverses its stats/ladder movement.</div>
+        <div className="hint">
+          {deleteTarget?.type === "event"
+            ? "This removes the ladder event from the history. It does not move anyone back."
+            : "This removes the match and reverses its stats/ladder movement."}
+        </div>
       </Modal>
 
       <div className="container">
         <div className="card stickyControlsCard" style={{ marginBottom: 14 }}>
           <div className="cardHeader mobileStickyHeader">
             <div>
-              <div className="title">Heron Tennis Summer Ladder 2026</div>
+              <div className="title">Heron Tennis {activeSeason?.name || "Ladder"}</div>
               <div className="subtitle">
-                {divisionLabel} ladder • {playerCount} players • Cloud synced.
+                {divisionLabel} ladder • {playerCount} players • {archived ? "Archived season, read-only." : cachedAt ? `Offline, showing the ladder as loaded ${new Date(cachedAt).toLocaleString()}.` : "Cloud synced."}
                 {cloudLoading ? " • Loading…" : ""}
               </div>
               {cloudError ? <div className="error">Cloud error: {cloudError}</div> : null}
               {!supabase ? <div className="error">Missing VITE_SUPABASE_URL / VITE_SUPABASE_ANON_KEY</div> : null}
+              {supabase && !cloudLoading && seasons.length === 0 && !cloudError ? <div className="hint">No seasons yet. Unlock and create the first one.</div> : null}
             </div>
             <div className="actions mobileActions">
+              <select className="textInput seasonSelect fullOnMobile" value={activeSeasonId} onChange={(e) => { setSeasonChoice(e.target.value); setDirty(false); }} disabled={seasons.length === 0}>
+                {seasons.map((s) => <option key={s.id} value={s.id}>{s.name}{s.archived ? " (archived)" : ""}</option>)}
+              </select>
               <div className="segControl fullOnMobile">
-                {DIVISIONS.map((d) => (
+                {divisionList.map((d) => (
                   <button key={d.key} className={activeDivision === d.key ? "segBtn active" : "segBtn"} onClick={() => setActiveDivision(d.key)}>
                     {d.label}
                   </button>
                 ))}
               </div>
-              <button className={locked ? "btn" : "btnGhost"} onClick={() => (locked ? openPin("unlock") : setLocked(true))}>
-                {locked ? "Locked — Admin unlock" : "Unlocked — Lock"}
+              <button className={!session ? "btn" : "btnGhost"} onClick={() => (!session ? openPin() : endSession())}>
+                {!session ? "Locked — Admin unlock" : `Unlocked (${session.adminName || "Admin"}) — Lock`}
               </button>
+              {session ? <button className="btnGhost" onClick={openNewSeason}>New season</button> : null}
+              {session && activeSeason ? (
+                <button className="btnGhost" onClick={toggleArchived}>{archived ? "Reopen season" : "Archive season"}</button>
+              ) : null}
               <button className="btnGhost" onClick={() => { setSortKey("position"); setSortDir("asc"); }}>Reset sort</button>
-              <button className={dirty && !locked ? "btn" : "btnGhost"} disabled={locked || !dirty} onClick={() => openPin("save")}>Save changes</button>
+              <button className={dirty && !locked ? "btn" : "btnGhost"} disabled={locked || !dirty} onClick={actuallySaveAll}>Save changes</button>
             </div>
+            {dirty && remotePending ? (
+              <div className="hint">
+                The ladder changed on another device while you were editing. Your edits are kept; saving them may be refused as out of date.
+                <button className="btnGhost" style={{ marginLeft: 8 }} onClick={showRows}>Discard my edits</button>
+              </div>
+            ) : null}
+            {outbox.length > 0 ? (
+              <div className="hint">
+                {outbox.length} {outbox.length === 1 ? "change is" : "changes are"} waiting on this device to be sent
+                {outboxProblem ? ", stopped at one the server refused." : outboxSending ? "…" : session ? "; they go out when the connection is back." : "; unlock to send them."}
+                <button className="btnGhost" style={{ marginLeft: 8 }} onClick={() => setOutboxReviewOpen(true)}>Review</button>
+                {session && !outboxProblem ? <button className="btnGhost" style={{ marginLeft: 8 }} disabled={outboxSending} onClick={() => flushOutbox()}>Send now</button> : null}
+              </div>
+            ) : null}
           </div>
 
           <div className="mobileOnly cardBody mobileToolbarWrap">
@@ -1351,6 +2476,8 @@ export default function App() {
               <button className="quickNavBtn" onClick={() => scrollToRef(ladderRef)}>Ladder</button>
               <button className="quickNavBtn" onClick={() => scrollToRef(addMatchRef)}>Add match</button>
               <button className="quickNavBtn" onClick={() => scrollToRef(historyRef)}>Match history</button>
+              <button className="quickNavBtn" onClick={() => scrollToRef(headToHeadRef)}>Head-to-head</button>
+              <button className="quickNavBtn" onClick={() => scrollToRef(activityRef)}>Activity</button>
             </div>
             <MobileSummary divisionLabel={divisionLabel} playerCount={playerCount} totalMatches={matches.length} top3={leaderboardTop3} />
           </div>
@@ -1374,19 +2501,23 @@ export default function App() {
               <table className="table ladderTable">
                 <thead>
                   <tr>
-                    {COLS.map((c) => <th key={c.key}><button className="thBtn" onClick={() => toggleSort(c.key)}>{c.label}{sortIndicator(c.key)}</button></th>)}
+                    {tableCols.map((c) => <th key={c.key}><button className="thBtn" onClick={() => toggleSort(c.key)}>{c.label}{sortIndicator(c.key)}</button></th>)}
                   </tr>
                 </thead>
                 <tbody>
                   {displayedPlayers.map((p) => (
                     <tr key={p.pid} className={isWithdrawnPlayer(p) ? "withdrawnRow" : ""} style={ladderRowStyle(p.position)}>
-                      <td className="posCell">{isWithdrawnPlayer(p) ? "W" : p.position}</td>
+                      <td className="posCell">{isWithdrawnPlayer(p) ? "W" : <>{p.position}<MovementTag change={movementByPid.get(p.pid)} /></>}</td>
                       <td>
                         {locked ? (
-                          <button type="button" className="nameBtn" style={latestResultStyle(p.pid)} onClick={() => { setPlayerModalPid(p.pid); setPlayerModalOpen(true); }} title="Tap to view results">{p.name || "—"}</button>
+                          <button type="button" className="nameBtn" style={latestResultStyle(p.pid)} onClick={() => { setPlayerModalPid(p.pid); setPlayerModalOpen(true); }} title="Tap to view results">{entryName(p) || "—"}</button>
                         ) : (
-                          <input className="textInput" value={p.name} placeholder="Player name" onChange={(e) => updatePlayer(p.pid, "name", e.target.value)} />
+                          <>
+                            <input className="textInput" value={p.name} placeholder="Player name" onChange={(e) => updatePlayer(p.pid, "name", e.target.value)} />
+                            {doubles ? <input className="textInput" style={{ marginTop: 4 }} value={p.partner} placeholder="Partner name" onChange={(e) => updatePlayer(p.pid, "partner", e.target.value)} /> : null}
+                          </>
                         )}
+                        <ChallengeTag open={openChallengeByPid.get(p.pid)} players={players} />
                       </td>
                       <td><StatCell locked={locked} value={p.matchesPlayed} onChange={(v) => updatePlayer(p.pid, "matchesPlayed", v)} /></td>
                       <td><StatCell locked={locked} value={p.matchesWon} onChange={(v) => updatePlayer(p.pid, "matchesWon", v)} /></td>
@@ -1396,11 +2527,19 @@ export default function App() {
                       <td><StatCell locked={locked} value={p.gamesWon} onChange={(v) => updatePlayer(p.pid, "gamesWon", v)} /></td>
                       <td><StatCell locked={locked} value={p.gamesLost} onChange={(v) => updatePlayer(p.pid, "gamesLost", v)} /></td>
                       <td className="diff">{p.gameDiff}</td>
-                      <td><StatCell locked={locked} value={p.apr} onChange={(v) => updatePlayer(p.pid, "apr", v)} /></td>
-                      <td><StatCell locked={locked} value={p.may} onChange={(v) => updatePlayer(p.pid, "may", v)} /></td>
-                      <td><StatCell locked={locked} value={p.jun} onChange={(v) => updatePlayer(p.pid, "jun", v)} /></td>
-                      <td><StatCell locked={locked} value={p.jul} onChange={(v) => updatePlayer(p.pid, "jul", v)} /></td>
-                      
+                      <td>{p.tieBreaksWon}</td>
+                      <td>{p.tieBreaksLost}</td>
+                      <td>{streakLabel(p.streak)}</td>
+                      <td>{p.longestWinStreak}</td>
+                      {SURFACES.map((surface) => <td key={surface}>{winPctLabel(p.records?.surfaces[surface])}</td>)}
+                      <td>{recordLabel(p.records?.asChallenger)}</td>
+                      <td>{recordLabel(p.records?.asDefender)}</td>
+                      <td>{recordLabel(p.records?.decidingSets)}</td>
+                      <td>{recordLabel(p.records?.matchTieBreaks)}</td>
+                      <td>{p.gamesPerMatch || "—"}</td>
+                      {tableCols.filter((c) => c.periodKey).map((c) => (
+                        <td key={c.key}><StatCell locked={locked} value={p.periodCounts?.[c.periodKey] || 0} onChange={(v) => updatePlayer(p.pid, c.key, v)} /></td>
+                      ))}
                     </tr>
                   ))}
                 </tbody>
@@ -1409,10 +2548,55 @@ export default function App() {
           </div>
         </div>
 
+        {doubles ? (
+          <div className="card" style={{ marginTop: 14 }}>
+            <div className="cardHeader"><div><div className="cardTitle">Individual players</div><div className="hint">Each player's results across every pair they have played in.</div></div></div>
+            <div className="cardBody">
+              {doublesPlayerStats.length === 0 ? <div className="hint">No matches logged yet.</div> : (
+                <div className="tableWrap">
+                  <table className="table">
+                    <thead>
+                      <tr><th>Player</th><th>Partners</th><th>Played</th><th>Won</th><th>Sets</th><th>Games</th><th>Tie-breaks</th></tr>
+                    </thead>
+                    <tbody>
+                      {doublesPlayerStats.map((s) => (
+                        <tr key={s.name.toLowerCase()}>
+                          <td>{s.name}</td>
+                          <td>{s.partners.join(", ")}</td>
+                          <td>{s.matchesPlayed}</td>
+                          <td>{s.matchesWon}</td>
+                          <td>{s.setsWon}–{s.setsLost}</td>
+                          <td>{s.gamesWon}–{s.gamesLost}</td>
+                          <td>{s.tieBreaksWon}–{s.tieBreaksLost}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        ) : null}
+
         <div className="card" style={{ marginTop: 14 }} ref={addMatchRef}>
-          <div className="cardHeader"><div><div className="cardTitle">Add Match</div><div className="hint">{divisionLabel} ladder • Add/Delete/Edit require PIN.</div></div></div>
+          <div className="cardHeader"><div><div className="cardTitle">Add Match</div><div className="hint">{divisionLabel} ladder • {describeChallengeRules(current.rules)} Add/Delete/Edit require admin unlock.</div></div></div>
           <div className="cardBody">
             {error ? <div className="errorBox">{error}</div> : null}
+            <div className="cardTitle" style={{ marginBottom: 8 }}>Challenges</div>
+            <ChallengesPanel
+              key={activeDivision}
+              challenges={challenges}
+              players={players}
+              candidates={selectablePlayers}
+              today={today}
+              locked={locked}
+              onIssue={issueChallenge}
+              onAccept={acceptChallenge}
+              onEnterResult={enterChallengeResult}
+              onWalkover={awardWalkover}
+              onCancel={cancelChallenge}
+            />
+            <div className="sep" />
             <div className="formGrid mobileStackFriendly">
               <div>
                 <div className="label">Date</div>
@@ -1424,7 +2608,8 @@ export default function App() {
                   {Array.from({ length: playerCount }, (_, i) => {
                     const pos = i + 1;
                     const p = players.find((x) => x.position === pos);
-                    const nm = p?.name?.trim();
+                    if (isWithdrawnPlayer(p)) return null;
+                    const nm = entryName(p);
                     return <option key={pos} value={String(pos)}>#{pos}{nm ? ` (${nm})` : ""}</option>;
                   })}
                 </select>
@@ -1434,7 +2619,7 @@ export default function App() {
                 <div className="label">Challenger</div>
                 <select className="textInput tallOnMobile" value={challengerPid} onChange={(e) => setChallengerPid(e.target.value)} disabled={locked}>
                   <option value="">Select…</option>
-                  {selectablePlayers.map((p) => <option key={p.pid} value={p.pid}>#{p.position} — {p.name}</option>)}
+                  {selectablePlayers.map((p) => <option key={p.pid} value={p.pid}>#{p.position} — {entryName(p)}</option>)}
                 </select>
                 <div className="hint">Tip: add names first, then they appear here.</div>
               </div>
@@ -1447,47 +2632,84 @@ export default function App() {
               <div>
                 <div className="label">Winner</div>
                 <select className="textInput tallOnMobile" value={winner} onChange={(e) => setWinner(e.target.value)} disabled={locked}>
-                  <option value="p1">{challenger?.name?.trim() ? challenger.name : "Challenger"}</option>
-                  <option value="p2">{opponent?.name?.trim() ? opponent.name : "Opponent"}</option>
+                  <option value="p1">{entryName(challenger) || "Challenger"}</option>
+                  <option value="p2">{entryName(opponent) || "Opponent"}</option>
+                </select>
+              </div>
+              <div>
+                <div className="label">Outcome</div>
+                <select className="textInput tallOnMobile" value={outcome} onChange={(e) => setOutcome(e.target.value)} disabled={locked}>
+                  {MATCH_OUTCOMES.map((o) => <option key={o.key} value={o.key}>{o.label}</option>)}
+                </select>
+              </div>
+              <div>
+                <div className="label">Format</div>
+                <select className="textInput tallOnMobile" value={entryFormat} onChange={(e) => setMatchFormatKey(e.target.value)} disabled={locked}>
+                  {MATCH_FORMATS.map((f) => <option key={f.key} value={f.key}>{f.label}{f.key === current.rules.matchFormat ? " (division default)" : ""}</option>)}
                 </select>
               </div>
             </div>
 
             <div style={{ marginTop: 12 }}>
-              <div className="label">Score (From {challenger?.name?.trim() ? `${challenger.name}'s` : "Challenger's"} perspective)</div>
-              <input className="textInput tallOnMobile" value={score} onChange={(e) => setScore(e.target.value)} placeholder="e.g. 6-4 3-6 10-8" disabled={locked} />
-              <div className="hint">Valid: 6-x, 7-5, 7-6, or match tie-break 10+ (win by 2).</div>
+              <div className="label">Score (From {entryName(challenger) ? `${entryName(challenger)}'s` : "Challenger's"} perspective)</div>
+              <input className="textInput tallOnMobile" value={matchOutcome(outcome).score === "none" ? "" : score} onChange={(e) => setScore(e.target.value)} placeholder={matchOutcome(outcome).score === "full" ? `e.g. ${matchFormat(entryFormat).example}` : "e.g. 6-3 2-1"} disabled={locked || matchOutcome(outcome).score === "none"} />
+              <div className="hint">{describeMatchFormat(entryFormat)} {matchOutcome(outcome).hint}</div>
               <button className="btn fullWidthOnMobile" style={{ marginTop: 10 }} onClick={requestAddMatch} disabled={locked}>Add match</button>
+              {pendingChallenge ? <div className="hint">Saving this result closes the open challenge (play by {pendingChallenge.deadline}).</div> : null}
+              {entryHeadToHead ? <div className="hint">Head-to-head: {headToHeadLine(entryHeadToHead, entryName(challenger), entryName(opponent))}</div> : null}
             </div>
 
             {locked ? <div className="hint" style={{ marginTop: 10 }}>Locked: nothing is editable. Admin unlock to enter results.</div> : null}
 
             <div className="sep" />
-            <div className="cardTitle" style={{ marginBottom: 8 }} ref={historyRef}>Completed matches</div>
+            <div className="cardTitle" style={{ marginBottom: 8 }} ref={historyRef}>Match history</div>
             <div className="mobileOnly collapsibleWrap">
               <button className="collapseBtn" onClick={() => setMobileHistoryOpen((v) => !v)}>
                 {mobileHistoryOpen ? "Hide match history" : "Show match history"}
               </button>
             </div>
             <div className={mobileHistoryOpen ? "sectionOpen" : "sectionClosedMobileOnly"}>
-              {matchesView.length === 0 ? <div className="hint">No matches logged yet.</div> : (
+              {!locked && legacyEventCount > 0 ? (
+                <div className="errorBox">
+                  {legacyEventCount} old admin {legacyEventCount === 1 ? "entry is" : "entries are"} still stored as matches.
+                  <button className="btnGhost" style={{ marginLeft: 10 }} onClick={migrateLegacyEvents}>Move to ladder events</button>
+                </div>
+              ) : null}
+              {timelineView.length === 0 ? <div className="hint">No matches logged yet.</div> : (
                 <div className="tableWrap">
                   <table className="table">
                     <thead>
                       <tr>
-                        <th>Date</th><th>Played for</th><th>Challenger</th><th>Opponent</th><th>Surface</th><th>Winner</th><th>Score</th><th style={{ textAlign: "right" }}>Actions</th>
+                        <th>Date</th><th>Played for</th><th>Challenger</th><th>Opponent</th><th>Surface</th><th>Winner</th><th>Score</th><th>Entered by</th><th style={{ textAlign: "right" }}>Actions</th>
                       </tr>
                     </thead>
                     <tbody>
-                      {matchesView.map((m) => (
+                      {timelineView.map((m) => m.type === "event" ? (
+                        <tr key={m.id} className="eventRow">
+                          <td className="mono">{m.date}</td>
+                          <td>#{m.fromPos} → #{m.toPos}</td>
+                          <td>{m.playerName}</td>
+                          <td>—</td>
+                          <td>—</td>
+                          <td>{eventKindLabel(m.kind)}</td>
+                          <td>{m.reason}</td>
+                          <td className="hint" style={{ marginTop: 0 }}>{m.enteredBy || "—"}</td>
+                          <td style={{ textAlign: "right" }}>
+                            <div className="row" style={{ justifyContent: "flex-end", gap: 8 }}>
+                              <button className="btnDanger" disabled={locked || m.legacy} onClick={() => requestDeleteEvent(m.id)}>Delete</button>
+                            </div>
+                          </td>
+                        </tr>
+                      ) : (
                         <tr key={m.id}>
                           <td className="mono">{m.date}</td>
                           <td>#{m.positionPlayedFor}</td>
-                          <td>{String(m.score || "").startsWith("ADMIN:") ? m.p1Name : m.p1Name}</td>
-                          <td>{String(m.score || "").startsWith("ADMIN:") ? "—" : m.p2Name}</td>
+                          <td>{m.p1Name}</td>
+                          <td>{m.p2Name}</td>
                           <td>{m.surface || "—"}</td>
-                          <td>{String(m.score || "").startsWith("ADMIN:") ? "Admin action" : m.winnerName}</td>
-                          <td className="mono">{String(m.score || "").startsWith("ADMIN:") ? String(m.score).replace("ADMIN: ", "") : formatScore(m.score)}</td>
+                          <td>{m.winnerName}</td>
+                          <td className="mono">{formatMatchScore(m)}</td>
+                          <td className="hint" style={{ marginTop: 0 }}>{attributionLabel(m) || "—"}</td>
                           <td style={{ textAlign: "right" }}>
                             <div className="row" style={{ justifyContent: "flex-end", gap: 8 }}>
                               <button className="btnGhost" disabled={locked} onClick={() => openEditMatch(m)}>Edit</button>
@@ -1506,34 +2728,54 @@ export default function App() {
 
             <div className="managementGrid">
               <div className="managementBox">
-                <div className="cardTitle">No games played in 1 month</div>
-                <div className="hint">Choose a player and move them down 3 places in the {divisionLabel} ladder.</div>
-                <select className="textInput tallOnMobile" value={dropPid} onChange={(e) => setDropPid(e.target.value)} disabled={locked}>
+                <div className="cardTitle">Inactive players</div>
+                <div className="hint">
+                  Find everyone in the {divisionLabel} ladder without a match in the last {inactivityDays} days and move them down {dropPlaces} places.
+                  {current.rules.autoInactivity ? " This also runs automatically once a day." : ""}
+                </div>
+                <button className="btn fullWidthOnMobile" disabled={locked} onClick={previewInactivity}>
+                  Find inactive players
+                </button>
+              </div>
+
+              <div className="managementBox">
+                <div className="cardTitle">Withdraw player</div>
+                <div className="hint">Move a player to the bottom, mark them with W, and grey out the row. They can't play until reinstated.</div>
+                <select className="textInput tallOnMobile" value={withdrawPid} onChange={(e) => setWithdrawPid(e.target.value)} disabled={locked}>
                   <option value="">Select player…</option>
                   {selectablePlayers.map((p) => (
                     <option key={p.pid} value={p.pid}>
-                      #{p.position} — {p.name}
+                      #{p.position} — {entryName(p)}
                     </option>
                   ))}
                 </select>
-                <button className="btn fullWidthOnMobile" disabled={locked || !dropPid} onClick={() => openPin("drop3")}>
-                  Drop 3 places
+                <button className="btnDanger fullWidthOnMobile" disabled={locked || !withdrawPid} onClick={actuallyWithdrawPlayer}>
+                  Withdraw
                 </button>
               </div>
 
               <div className="managementBox">
-                <div className="cardTitle">Withdraw player</div>
-                <div className="hint">Move a player to the bottom, mark them with W, and grey out the row.</div>
-                <select className="textInput tallOnMobile" value={withdrawPid} onChange={(e) => setWithdrawPid(e.target.value)} disabled={locked}>
+                <div className="cardTitle">Reinstate player</div>
+                <div className="hint">Bring a withdrawn player back. Leave the position empty to return them to where they were.</div>
+                <select className="textInput tallOnMobile" value={reinstatePid} onChange={(e) => setReinstatePid(e.target.value)} disabled={locked}>
                   <option value="">Select player…</option>
-                  {selectablePlayers.map((p) => (
+                  {withdrawnPlayers.map((p) => (
                     <option key={p.pid} value={p.pid}>
-                      #{p.position} — {p.name}
+                      W — {entryName(p)}{p.withdrawnFrom ? ` (was #${p.withdrawnFrom})` : ""}
                     </option>
                   ))}
                 </select>
-                <button className="btnDanger fullWidthOnMobile" disabled={locked || !withdrawPid} onClick={() => openPin("withdraw")}>
-                  Withdraw
+                <input className="textInput tallOnMobile" type="number" min={1} max={playerCount} value={reinstatePos} placeholder={reinstateTarget?.withdrawnFrom ? `Position (default #${reinstateTarget.withdrawnFrom})` : "Position"} disabled={locked} onChange={(e) => setReinstatePos(e.target.value)} />
+                <button className="btn fullWidthOnMobile" disabled={locked || !reinstatePid} onClick={actuallyReinstatePlayer}>
+                  Reinstate
+                </button>
+              </div>
+
+              <div className="managementBox">
+                <div className="cardTitle">Rebuild from history</div>
+                <div className="hint">Recompute every total and position in the {divisionLabel} ladder from the match history and ladder events. You see the differences before anything is saved.</div>
+                <button className="btnGhost fullWidthOnMobile" disabled={locked} onClick={previewRebuild}>
+                  Preview rebuild
                 </button>
               </div>
             </div>
@@ -1542,15 +2784,45 @@ export default function App() {
             <div className="cardTitle" style={{ marginBottom: 8 }}>Player count</div>
             <div className="mobileOnly collapsibleWrap">
               <button className="collapseBtn" onClick={() => setMobileSettingsOpen((v) => !v)}>
-                {mobileSettingsOpen ? "Hide player count" : "Show player count"}
+                {mobileSettingsOpen ? "Hide player count, calendar & divisions" : "Show player count, calendar & divisions"}
               </button>
             </div>
             <div className={mobileSettingsOpen ? "sectionOpen" : "sectionClosedMobileOnly"}>
               <div style={{ maxWidth: 320 }}>
                 <div className="label">How many players are in the {divisionLabel} ladder?</div>
-                <input className="textInput tallOnMobile" type="number" min={2} max={CAPACITY} value={playerCount} disabled={locked} onChange={(e) => { const next = clamp(asNumber(e.target.value, DEFAULT_PLAYER_COUNT), 2, CAPACITY); setDirty(true); patchCurrentDivision((divisionState) => ({ ...divisionState, playerCount: next })); }} />
-                <div className="hint">Min 2, max {CAPACITY}. (Default: {DEFAULT_PLAYER_COUNT})</div>
+                <input className="textInput tallOnMobile" type="number" min={2} max={current.capacity} value={playerCount} disabled={locked} onChange={(e) => { const next = clamp(asNumber(e.target.value, DEFAULT_PLAYER_COUNT), 2, current.capacity); setDirty(true); patchCurrentDivision((divisionState) => ({ ...divisionState, playerCount: next })); }} />
+                <div className="hint">Min 2, max {current.capacity}. (Default: {DEFAULT_PLAYER_COUNT})</div>
               </div>
+              <div className="sep" />
+              <div className="cardTitle" style={{ marginBottom: 8 }}>Season calendar</div>
+              <CalendarEditor key={JSON.stringify(calendar)} calendar={calendar} locked={locked} onSave={saveCalendar} />
+              <div className="sep" />
+              <div className="cardTitle" style={{ marginBottom: 8 }}>Divisions</div>
+              <DivisionEditor key={JSON.stringify(divisionList)} divisions={divisionList} locked={!session} onSave={saveDivision} />
+            </div>
+          </div>
+        </div>
+
+        <div className="card" style={{ marginTop: 14 }} ref={headToHeadRef}>
+          <div className="cardHeader"><div><div className="cardTitle">Head-to-head</div><div className="hint">Any two {doubles ? "pairs" : "players"} in the {divisionLabel} ladder against each other.</div></div></div>
+          <div className="cardBody">
+            <HeadToHeadPanel key={`${activeSeasonId}:${activeDivision}`} players={players} matches={matchesView} doubles={doubles} />
+          </div>
+        </div>
+
+        <div className="card" style={{ marginTop: 14 }} ref={activityRef}>
+          <div className="cardHeader">
+            <div><div className="cardTitle">Activity</div><div className="hint">Every admin change to the {divisionLabel} ladder{locked ? " • Read-only." : "."}</div></div>
+            {!locked ? <button className="btnGhost" onClick={() => requestUndo({})}>Undo last change</button> : null}
+          </div>
+          <div className="cardBody">
+            <div className="mobileOnly collapsibleWrap">
+              <button className="collapseBtn" onClick={() => setMobileActivityOpen((v) => !v)}>
+                {mobileActivityOpen ? "Hide activity" : "Show activity"}
+              </button>
+            </div>
+            <div className={mobileActivityOpen ? "sectionOpen" : "sectionClosedMobileOnly"}>
+              <ActivityPanel key={`${activeSeasonId}:${activeDivision}`} seasonId={activeSeasonId} division={activeDivision} divisionLabel={divisionLabel} players={players} calendar={calendar} revision={current.revision} canUndo={!locked} onUndo={requestUndo} />
             </div>
           </div>
         </div>
@@ -1560,7 +2832,7 @@ export default function App() {
 
       <div className="mobileBottomBar mobileOnly">
         <button className="bottomBarBtn" onClick={() => scrollToRef(addMatchRef)}>Add Match</button>
-        <button className="bottomBarBtn" onClick={() => openPin("save")} disabled={locked || !dirty}>Save</button>
+        <button className="bottomBarBtn" onClick={actuallySaveAll} disabled={locked || !dirty}>Save</button>
         <button className="bottomBarBtn" onClick={() => window.scrollTo({ top: 0, behavior: "smooth" })}>Top</button>
       </div>
     </div>
@@ -1621,6 +2893,7 @@ const css = `
 
   .actions { display: flex; gap: 8px; flex-wrap: wrap; justify-content: flex-end; align-items: center; }
 
+  .seasonSelect { width: auto; min-width: 190px; }
   .segControl {
     display: inline-flex;
     border: 1px solid rgba(255,255,255,0.12);
@@ -1673,7 +2946,7 @@ const css = `
 
   .managementGrid {
     display: grid;
-    grid-template-columns: repeat(2, minmax(0, 1fr));
+    grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
     gap: 12px;
   }
 
@@ -1747,6 +3020,7 @@ const css = `
 
   .formGrid { display: grid; grid-template-columns: 1fr; gap: 10px; }
   @media (min-width: 980px) { .formGrid { grid-template-columns: repeat(5, 1fr); } }
+  @media (min-width: 980px) { .formGrid.activityFilters { grid-template-columns: repeat(3, minmax(0, 240px)); } }
 
   .label { font-size: 12px; color: var(--muted); font-weight: 800; margin-bottom: 6px; }
   .row { display: flex; gap: 10px; align-items: flex-end; flex-wrap: wrap; }
@@ -1770,6 +3044,8 @@ const css = `
     font-size: 13px; font-weight: 600; color: rgba(255,255,255,0.85); margin-top: 8px;
   }
 
+  .changeList { margin: 10px 0 0; padding-left: 18px; display: grid; gap: 6px; font-size: 13px; }
+
   .playerMatchList { display: flex; flex-direction: column; gap: 10px; }
   .playerMatchRow { border: 1px solid rgba(255,255,255,0.10); background: rgba(255,255,255,0.04); border-radius: 14px; padding: 12px; }
   .playerMatchTop { display: flex; justify-content: space-between; align-items: center; gap: 10px; }
@@ -1779,6 +3055,24 @@ const css = `
   .pillWin, .pillLoss {
     font-size: 11px; font-weight: 900; letter-spacing: 0.06em; padding: 6px 10px; border-radius: 999px; border: 1px solid rgba(255,255,255,0.12);
   }
+  .pillEvent {
+    font-size: 11px; font-weight: 900; letter-spacing: 0.06em; padding: 6px 10px; border-radius: 999px;
+    background: rgba(250, 204, 21, 0.14); color: rgba(255, 245, 200, 0.95); border: 1px solid rgba(250, 204, 21, 0.30);
+  }
+  .eventRow td { color: var(--muted); font-style: italic; }
+  .moveUp, .moveDown { margin-left: 6px; font-size: 11px; font-weight: 900; }
+  .moveUp { color: rgba(74, 222, 128, 0.95); }
+  .moveDown { color: rgba(248, 113, 113, 0.95); }
+  .positionChart { width: 100%; height: auto; display: block; }
+  .statGrid { display: grid; grid-template-columns: repeat(auto-fill, minmax(140px, 1fr)); gap: 10px; margin-bottom: 14px; }
+  .chartGrid { stroke: rgba(255,255,255,0.12); stroke-dasharray: 3 4; }
+  .chartLabel { fill: var(--muted); font-size: 10px; font-weight: 800; }
+  .chartLine { fill: none; stroke: rgba(96, 165, 250, 0.95); stroke-width: 2; }
+  .chartDot { fill: rgba(96, 165, 250, 0.95); }
+  .challengeTag {
+    display: inline-block; margin-top: 4px; font-size: 11px; font-weight: 800; padding: 3px 8px; border-radius: 999px;
+    background: rgba(59, 130, 246, 0.16); color: rgba(219, 234, 254, 0.95); border: 1px solid rgba(59, 130, 246, 0.32);
+  }
   .pillWin { background: rgba(34, 197, 94, 0.18); color: rgba(220, 255, 230, 0.95); border-color: rgba(34, 197, 94, 0.30); }
   .pillLoss { background: rgba(239, 68, 68, 0.16); color: rgba(255, 225, 225, 0.95); border-color: rgba(239, 68, 68, 0.28); }
 
@@ -0,0 +1,2327 @@
+/**
+ * Ladder domain logic shared by the React app and the /api serverless functions.
+ *
+ * Everything in here is pure: functions take a division state
+ * ({ playerCount, players, matches, events }) and return a new one, so the browser can
+ * preview a change and the server can recompute it authoritatively.
+ */
+
+export const DEFAULT_PLAYER_COUNT = 40;
+// Default ladder size; each division can set its own capacity up to MAX_CAPACITY.
+export const CAPACITY = 60;
+export const MAX_CAPACITY = 200;
+export const SURFACES = ["Clay", "Indoor", "Outdoor Hard Court"];
+
+// Per-division rules:
+//   dropPlaces: how far an inactive player moves down
+//   inactivityDays: how long without a match makes a player inactive
+//   autoInactivity: whether the daily job drops inactive players without an admin
+//   maxChallengeDistance: how many places above themselves a player may challenge (0 = any)
+//   moveMode: how a winning challenger moves up (a MOVE_MODES key)
+//   loserDrops: whether a challenger who loses drops one place
+//   challengeDays: how long the opponent has to play an issued challenge
+//   autoWalkover: whether an overdue challenge is awarded to the challenger automatically
+//   matchFormat: the MATCH_FORMATS key new results are entered under
+export const DEFAULT_DIVISION_RULES = {
+  dropPlaces: 3,
+  inactivityDays: 30,
+  autoInactivity: false,
+  maxChallengeDistance: 0,
+  moveMode: "leapfrog",
+  loserDrops: false,
+  challengeDays: 14,
+  autoWalkover: false,
+  matchFormat: "standard",
+};
+
+export const MOVE_MODES = [
+  { key: "leapfrog", label: "Leapfrog (winner takes the place, everyone between shifts down)" },
+  { key: "swap", label: "Swap places" },
+];
+
+// In a doubles division each ladder entry is a pair: `name` and `partner`.
+export const DIVISION_TYPES = [
+  { key: "singles", label: "Singles" },
+  { key: "doubles", label: "Doubles" },
+];
+
+// The ladders used until any are stored in the divisions table.
+export const DIVISIONS = [
+  { key: "mens", label: "Men's", type: "singles", capacity: CAPACITY, rules: DEFAULT_DIVISION_RULES },
+  { key: "womens", label: "Women's", type: "singles", capacity: CAPACITY, rules: DEFAULT_DIVISION_RULES },
+];
+
+// Admin-driven ladder movements, stored in ladder_events rather than as fake matches.
+export const LADDER_EVENT_KINDS = [
+  { key: "drop", label: "Dropped" },
+  { key: "withdraw", label: "Withdrawn" },
+  { key: "reinstate", label: "Reinstated" },
+];
+
+// How a match is scored. A set goes to the first to `games` games, two clear, and a
+// tie-break at tieBreakAt-all decides it (7-6 in a standard set, 4-3 in Fast4): first
+// to setTieBreakTo points, won by setTieBreakWinBy (1 is sudden death). With
+// decider "matchTieBreak" a deciding set is instead a tie-break to `tieBreakTo`
+// points, credited as one game. `noAd` changes how games are played, not which set
+// scores are possible, so it is only shown. Each match keeps the format it was entered under.
+export const MATCH_FORMATS = [
+  { key: "standard", label: "Best of 3 sets, match tie-break decider", setsToWin: 2, games: 6, tieBreakAt: 6, setTieBreakTo: 7, setTieBreakWinBy: 2, decider: "matchTieBreak", tieBreakTo: 10, noAd: false, example: "6-4 3-6 10-8" },
+  { key: "threeSets", label: "Best of 3 full sets", setsToWin: 2, games: 6, tieBreakAt: 6, setTieBreakTo: 7, setTieBreakWinBy: 2, decider: "set", tieBreakTo: 0, noAd: false, example: "6-4 3-6 7-5" },
+  { key: "fiveSets", label: "Best of 5 sets", setsToWin: 3, games: 6, tieBreakAt: 6, setTieBreakTo: 7, setTieBreakWinBy: 2, decider: "set", tieBreakTo: 0, noAd: false, example: "6-4 3-6 7-6 6-2" },
+  { key: "proSet", label: "One 8-game pro set", setsToWin: 1, games: 8, tieBreakAt: 8, setTieBreakTo: 7, setTieBreakWinBy: 2, decider: "set", tieBreakTo: 0, noAd: false, example: "9-7" },
+  { key: "fast4", label: "Fast4: best of 3 sets to 4, no-ad", setsToWin: 2, games: 4, tieBreakAt: 3, setTieBreakTo: 5, setTieBreakWinBy: 1, decider: "set", tieBreakTo: 0, noAd: true, example: "4-2 3-4 4-1" },
+  { key: "shortSets", label: "Short sets to 4, match tie-break decider", setsToWin: 2, games: 4, tieBreakAt: 4, setTieBreakTo: 7, setTieBreakWinBy: 2, decider: "matchTieBreak", tieBreakTo: 10, noAd: false, example: "4-2 2-4 10-7" },
+];
+
+// How a match ended. Every outcome has a winner, and the ladder moves as for any win.
+// `score` says what is entered: "full" a finished match, "partial" the games played
+// before it stopped (the last set may be unfinished), "optional" a partial score or
+// nothing, "none" nothing. Sets and games are credited as played, with an unfinished
+// set counting for games only; a match with no score credits nothing, not even a match played.
+export const MATCH_OUTCOMES = [
+  { key: "completed", label: "Completed", suffix: "", score: "full", hint: "The full score. Add tie-break points after a tie-break set if you have them, e.g. 7-6(5)." },
+  { key: "retired", label: "Retired", suffix: "ret.", score: "partial", hint: "The score when the loser retired, e.g. 6-3 2-1. The unfinished set counts for games only." },
+  { key: "walkover", label: "Walkover", suffix: "W/O", score: "none", hint: "No score. The winner moves as for a win; no sets or games are credited." },
+  { key: "defaulted", label: "Defaulted", suffix: "def.", score: "optional", hint: "The score when the loser was defaulted, if any play happened. Leave it empty otherwise." },
+];
+
+// open: issued, waiting for the opponent; accepted: agreed, not played yet; the rest are closed.
+export const CHALLENGE_STATUSES = [
+  { key: "open", label: "Issued" },
+  { key: "accepted", label: "Accepted" },
+  { key: "played", label: "Played" },
+  { key: "walkover", label: "Walkover" },
+  { key: "cancelled", label: "Cancelled" },
+];
+
+// Admin actions that can be reverted from the audit log.
+export const UNDOABLE_ACTIONS = [
+  "addMatch",
+  "editMatch",
+  "deleteMatch",
+  "dropPlayer",
+  "withdrawPlayer",
+  "reinstatePlayer",
+  "deleteEvent",
+  "rebuildFromHistory",
+  "issueChallenge",
+  "acceptChallenge",
+  "cancelChallenge",
+  "awardWalkover",
+  "dropInactivePlayers",
+];
+
+export const STAT_FIELDS = [
+  "matchesPlayed",
+  "matchesWon",
+  "setsWon",
+  "setsLost",
+  "gamesWon",
+  "gamesLost",
+];
+
+// How a season is split into periods for the per-period match counts.
+export const CALENDAR_CADENCES = [
+  { key: "weekly", label: "Weekly", days: 7 },
+  { key: "fortnightly", label: "Fortnightly", days: 14 },
+  { key: "monthly", label: "Monthly" },
+];
+
+// Guards against a typo'd end date producing thousands of columns.
+const MAX_PERIODS = 60;
+
+const MONTH_LABELS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+export function uid() {
+  return Math.random().toString(36).slice(2, 9) + "_" + Date.now().toString(36);
+}
+
+export function asNumber(x, fallback) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+export function clamp(n, min, max) {
+  return Math.min(max, Math.max(min, n));
+}
+
+export function clampMin0(n) {
+  return Math.max(0, asNumber(n, 0));
+}
+
+export function formatDateISO(d) {
+  const dt = d instanceof Date ? d : new Date(d);
+  if (Number.isNaN(dt.getTime())) return "";
+  const yyyy = dt.getFullYear();
+  const mm = String(dt.getMonth() + 1).padStart(2, "0");
+  const dd = String(dt.getDate()).padStart(2, "0");
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+// Normalises a timestamptz from the database so it compares equal to the value we wrote.
+function timestampFromRow(value) {
+  const d = value ? new Date(value) : null;
+  return d && !Number.isNaN(d.getTime()) ? d.toISOString() : "";
+}
+
+// ----------------------------
+// Seasons
+//
+// Every player, match and ladder event row carries a season_id, and per-division
+// settings are stored under seasonSettingKey(). Archived seasons are read-only.
+// ----------------------------
+
+export function seasonSettingKey(seasonId, key) {
+  return `${seasonId}:${key}`;
+}
+
+export function seasonFromRow(row) {
+  return {
+    id: String(row.id),
+    name: String(row.name || row.id),
+    archived: Boolean(row.archived),
+    calendar: row.calendar && typeof row.calendar === "object" ? normalizeCalendar(row.calendar) : null,
+    createdAt: timestampFromRow(row.created_at),
+    revision: asNumber(row.revision, 0),
+  };
+}
+
+// The season the app opens on: the newest one still in play, else the newest archived one.
+export function defaultSeasonId(seasons) {
+  const newestFirst = [...seasons].sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  return (newestFirst.find((s) => !s.archived) || newestFirst[0])?.id || "";
+}
+
+function slugify(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+}
+
+// Season ids double as settings key prefixes, so keep them short and URL-safe.
+export function seasonIdFromName(name) {
+  return slugify(name) || uid();
+}
+
+// Final standings of a finished ladder as the starting order of a new one: active
+// players keep their order, withdrawn ones follow, and all totals start at zero.
+export function seedDivisionFromStandings(source, config) {
+  const division = config.key;
+  const capacity = normalizeCapacity(config.capacity);
+  const named = source.players
+    .filter((p) => String(p.name || "").trim())
+    .sort((a, b) => Number(isWithdrawnPlayer(a)) - Number(isWithdrawnPlayer(b)) || a.position - b.position);
+
+  const players = named.map((p, i) => ({ ...createEmptyPlayer(i + 1, division), pid: p.pid, name: p.name, partner: p.partner || "" }));
+
+  // Fill the remaining slots with blank rows whose pids can't clash with a carried-over player.
+  const used = new Set(players.map((p) => p.pid));
+  for (let pos = players.length + 1; pos <= capacity; pos++) {
+    const blank = createEmptyPlayer(pos, division);
+    players.push(used.has(blank.pid) ? { ...blank, pid: `${division}_${uid()}` } : blank);
+  }
+
+  return {
+    ...createDivisionState(division, config),
+    playerCount: clamp(Math.max(source.playerCount, players.length), 2, capacity),
+    players: players.slice(0, capacity),
+    startOrder: players.slice(0, capacity).map((p) => p.pid),
+  };
+}
+
+// ----------------------------
+// Divisions
+//
+// Admins define ladders in the divisions table ({ key, label, type, capacity,
+// rules, sort_order }); DIVISIONS is only the fallback while that table is empty.
+// ----------------------------
+
+function normalizeCapacity(value) {
+  return clamp(Math.round(asNumber(value, CAPACITY)), 2, MAX_CAPACITY);
+}
+
+export function normalizeDivisionRules(rules) {
+  return {
+    ...DEFAULT_DIVISION_RULES,
+    dropPlaces: clamp(Math.round(asNumber(rules?.dropPlaces, DEFAULT_DIVISION_RULES.dropPlaces)), 1, 20),
+    inactivityDays: clamp(Math.round(asNumber(rules?.inactivityDays, DEFAULT_DIVISION_RULES.inactivityDays)), 1, 365),
+    autoInactivity: Boolean(rules?.autoInactivity),
+    maxChallengeDistance: clamp(Math.round(asNumber(rules?.maxChallengeDistance, 0)), 0, MAX_CAPACITY),
+    moveMode: MOVE_MODES.some((m) => m.key === rules?.moveMode) ? rules.moveMode : DEFAULT_DIVISION_RULES.moveMode,
+    loserDrops: Boolean(rules?.loserDrops),
+    challengeDays: clamp(Math.round(asNumber(rules?.challengeDays, DEFAULT_DIVISION_RULES.challengeDays)), 1, 60),
+    autoWalkover: Boolean(rules?.autoWalkover),
+    matchFormat: matchFormat(rules?.matchFormat).key,
+  };
+}
+
+// One line describing a division's challenge rules, for hints and the audit log.
+export function describeChallengeRules(rules) {
+  const r = normalizeDivisionRules(rules);
+  return [
+    r.maxChallengeDistance ? `Challenge up to ${r.maxChallengeDistance} ${r.maxChallengeDistance === 1 ? "place" : "places"} above` : "Challenge anyone above",
+    r.moveMode === "swap" ? "winner swaps places" : "winner leapfrogs",
+    r.loserDrops ? "a losing challenger drops a place" : "a losing challenger stays put",
+    `challenges must be played within ${r.challengeDays} ${r.challengeDays === 1 ? "day" : "days"}${r.autoWalkover ? " or go to the challenger as a walkover" : ""}`,
+  ].join(", ") + ".";
+}
+
+function normalizeDivisionType(type) {
+  return DIVISION_TYPES.some((t) => t.key === type) ? type : "singles";
+}
+
+export function divisionFromRow(row) {
+  return {
+    key: String(row.key),
+    label: String(row.label || row.key),
+    type: normalizeDivisionType(row.type),
+    capacity: normalizeCapacity(row.capacity),
+    rules: normalizeDivisionRules(row.rules),
+    sortOrder: asNumber(row.sort_order, 0),
+    revision: asNumber(row.revision, 0),
+  };
+}
+
+// The revision is bumped by the save itself, never written from here.
+export function divisionToRow(d) {
+  return {
+    key: String(d.key),
+    label: String(d.label || d.key),
+    type: normalizeDivisionType(d.type),
+    capacity: normalizeCapacity(d.capacity),
+    rules: normalizeDivisionRules(d.rules),
+    sort_order: asNumber(d.sortOrder, 0),
+  };
+}
+
+export function divisionKeyFromLabel(label) {
+  return slugify(label).replace(/-/g, "_");
+}
+
+export function validateDivision(input) {
+  const label = String(input?.label || "").trim();
+  if (!label) return { ok: false, message: "Give the division a name." };
+  const key = String(input?.key || "") || divisionKeyFromLabel(label);
+  if (!key) return { ok: false, message: "Division name needs at least one letter or digit." };
+
+  const capacity = asNumber(input?.capacity, NaN);
+  if (!Number.isInteger(capacity) || capacity < 2 || capacity > MAX_CAPACITY) {
+    return { ok: false, message: `Capacity must be a whole number from 2 to ${MAX_CAPACITY}.` };
+  }
+
+  return {
+    ok: true,
+    division: {
+      key,
+      label,
+      type: normalizeDivisionType(input?.type),
+      capacity,
+      rules: normalizeDivisionRules(input?.rules),
+      sortOrder: asNumber(input?.sortOrder, 0),
+    },
+  };
+}
+
+// ----------------------------
+// Season calendar
+//
+// A calendar is { start, end, cadence, names } (ISO dates, a CALENDAR_CADENCES key,
+// optional period names in order). Each season stores its own in seasons.calendar.
+// Players keep their match count per period in periodCounts, keyed by the
+// period's start date, so a new calendar needs no new columns.
+// ----------------------------
+
+function dateFromISO(dateISO) {
+  const d = new Date(`${String(dateISO || "").slice(0, 10)}T00:00:00Z`);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function isoFromDate(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+function addDays(dateISO, days) {
+  const d = dateFromISO(dateISO);
+  if (!d) return "";
+  d.setUTCDate(d.getUTCDate() + days);
+  return isoFromDate(d);
+}
+
+export function defaultCalendar(year = new Date().getFullYear()) {
+  return { start: `${year}-04-01`, end: `${year}-08-31`, cadence: "monthly", names: [] };
+}
+
+// Returns a usable calendar, or the default one if the stored value is missing or broken.
+export function normalizeCalendar(value) {
+  const start = dateFromISO(value?.start);
+  const end = dateFromISO(value?.end);
+  if (!start || !end || end < start) return defaultCalendar();
+
+  return {
+    start: isoFromDate(start),
+    end: isoFromDate(end),
+    cadence: CALENDAR_CADENCES.some((c) => c.key === value.cadence) ? value.cadence : "monthly",
+    names: Array.isArray(value.names) ? value.names.map((n) => String(n || "").trim()) : [],
+  };
+}
+
+export function validateCalendar(value) {
+  const start = dateFromISO(value?.start);
+  const end = dateFromISO(value?.end);
+  if (!start || !end) return { ok: false, message: "Season needs a start and an end date." };
+  if (end < start) return { ok: false, message: "Season end must be after its start." };
+  if (!CALENDAR_CADENCES.some((c) => c.key === value.cadence)) return { ok: false, message: "Choose weekly, fortnightly or monthly periods." };
+  const periods = calendarPeriods(value);
+  if (periods[periods.length - 1].end < isoFromDate(end)) return { ok: false, message: `A season can have at most ${MAX_PERIODS} periods.` };
+  return { ok: true, calendar: normalizeCalendar(value) };
+}
+
+// The calendar's periods in order: { key, label, start, end } with inclusive ISO dates.
+export function calendarPeriods(calendar) {
+  const start = dateFromISO(calendar?.start);
+  const end = dateFromISO(calendar?.end);
+  if (!start || !end || end < start) return [];
+
+  const cadence = CALENDAR_CADENCES.find((c) => c.key === calendar.cadence) || CALENDAR_CADENCES[2];
+  const names = calendar.names || [];
+  const periods = [];
+  let from = start;
+
+  while (from <= end && periods.length < MAX_PERIODS) {
+    let next;
+    if (cadence.days) {
+      next = new Date(from.getTime() + cadence.days * 86400000);
+    } else {
+      next = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + 1, 1));
+    }
+    const to = new Date(Math.min(next.getTime() - 86400000, end.getTime()));
+
+    const i = periods.length;
+    const fallback = cadence.days
+      ? `${cadence.days === 7 ? "Week" : "Fortnight"} ${i + 1}`
+      : MONTH_LABELS[from.getUTCMonth()];
+    periods.push({ key: isoFromDate(from), label: names[i] || fallback, start: isoFromDate(from), end: isoFromDate(to) });
+    from = next;
+  }
+
+  return periods;
+}
+
+// Key of the period a match date falls in, or null if it is outside the calendar.
+export function periodKeyForDate(calendar, dateISO) {
+  const date = String(dateISO || "").slice(0, 10);
+  return calendarPeriods(calendar).find((p) => p.start <= date && date <= p.end)?.key || null;
+}
+
+// Before periodCounts, players had one column per month from April to August.
+const LEGACY_MONTH_FIELDS = { apr: 4, may: 5, jun: 6, jul: 7, aug: 8 };
+
+function periodCountsFromRow(row, calendar) {
+  if (row.period_counts && typeof row.period_counts === "object") {
+    const counts = {};
+    for (const [key, n] of Object.entries(row.period_counts)) counts[key] = clampMin0(n);
+    return counts;
+  }
+
+  const year = String(calendar?.start || "").slice(0, 4);
+  const counts = {};
+  for (const [field, month] of Object.entries(LEGACY_MONTH_FIELDS)) {
+    const n = clampMin0(row[field]);
+    const key = n > 0 && periodKeyForDate(calendar, `${year}-${String(month).padStart(2, "0")}-01`);
+    if (key) counts[key] = (counts[key] || 0) + n;
+  }
+  return counts;
+}
+
+export function samePeriodCounts(a, b) {
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  for (const k of keys) if ((a?.[k] || 0) !== (b?.[k] || 0)) return false;
+  return true;
+}
+
+export function createEmptyPlayer(position, division) {
+  return {
+    pid: `${division}_p${position}`,
+    division,
+    position,
+    name: "",
+    partner: "",
+    matchesPlayed: 0,
+    matchesWon: 0,
+    setsWon: 0,
+    setsLost: 0,
+    gamesWon: 0,
+    gamesLost: 0,
+    periodCounts: {},
+    withdrawn: false,
+    withdrawnFrom: 0,
+  };
+}
+
+// config is the division's definition (type, capacity, rules); see DIVISIONS.
+export function createDivisionState(division, config = {}) {
+  const capacity = normalizeCapacity(config.capacity);
+  const players = Array.from({ length: capacity }, (_, i) => createEmptyPlayer(i + 1, division));
+  return {
+    playerCount: Math.min(DEFAULT_PLAYER_COUNT, capacity),
+    type: normalizeDivisionType(config.type),
+    capacity,
+    rules: normalizeDivisionRules(config.rules),
+    revision: 0,
+    calendar: defaultCalendar(),
+    players,
+    startOrder: players.map((p) => p.pid),
+    matches: [],
+    events: [],
+    challenges: [],
+  };
+}
+
+export function defaultState(divisions = DIVISIONS) {
+  return Object.fromEntries(divisions.map((d) => [d.key, createDivisionState(d.key, d)]));
+}
+
+export function isWithdrawnPlayer(p) {
+  return Boolean(p?.withdrawn);
+}
+
+export function isDoubles(divisionState) {
+  return divisionState?.type === "doubles";
+}
+
+// How a ladder entry is shown: the player's name, or "Name / Partner" for a doubles pair.
+export function entryName(p) {
+  return [p?.name, p?.partner].map((n) => String(n || "").trim()).filter(Boolean).join(" / ");
+}
+
+// The names on one side ("p1" challenger, "p2" opponent) of a match. Doubles
+// matches keep the pair that actually played; otherwise the entry's current name.
+export function matchSideName(match, side, players) {
+  const names = side === "p1" ? match.challengerNames : match.opponentNames;
+  if (names?.length) return names.join(" / ");
+  const pid = side === "p1" ? match.challengerPid : match.opponentPid;
+  return entryName(players.find((p) => p.pid === pid)) || "(Unknown)";
+}
+
+// Withdrawals used to be recorded only by renaming the player "W - <name>".
+const LEGACY_WITHDRAWN_PREFIX = "W - ";
+
+// ----------------------------
+// Database row mapping
+// ----------------------------
+
+// players.withdrawn (boolean default false) and players.withdrawn_from (int, the
+// position held when withdrawn) replace the old "W - " name prefix, which is still
+// read as withdrawn and dropped from the name the next time the row is saved.
+// players.partner (text not null default '') is the second player of a doubles pair.
+export function playerFromRow(row, division, pos, calendar) {
+  const rawName = String(row.name || "");
+  const legacyWithdrawn = rawName.startsWith(LEGACY_WITHDRAWN_PREFIX);
+  return {
+    ...createEmptyPlayer(pos, division),
+    pid: String(row.pid ?? `${division}_p${pos}`),
+    division,
+    position: pos,
+    name: legacyWithdrawn ? rawName.slice(LEGACY_WITHDRAWN_PREFIX.length) : rawName,
+    partner: String(row.partner || ""),
+    matchesPlayed: asNumber(row.matches_played, 0),
+    matchesWon: asNumber(row.matches_won, 0),
+    setsWon: asNumber(row.sets_won, 0),
+    setsLost: asNumber(row.sets_lost, 0),
+    gamesWon: asNumber(row.games_won, 0),
+    gamesLost: asNumber(row.games_lost, 0),
+    periodCounts: periodCountsFromRow(row, calendar),
+    withdrawn: Boolean(row.withdrawn) || legacyWithdrawn,
+    withdrawnFrom: asNumber(row.withdrawn_from, 0),
+  };
+}
+
+export function playerToRow(p) {
+  return {
+    pid: String(p.pid),
+    division: String(p.division || "mens"),
+    position: Number(p.position || 0),
+    name: String(p.name || ""),
+    partner: String(p.partner || ""),
+    matches_played: Number(p.matchesPlayed || 0),
+    matches_won: Number(p.matchesWon || 0),
+    sets_won: Number(p.setsWon || 0),
+    sets_lost: Number(p.setsLost || 0),
+    games_won: Number(p.gamesWon || 0),
+    games_lost: Number(p.gamesLost || 0),
+    period_counts: { ...(p.periodCounts || {}) },
+    withdrawn: Boolean(p.withdrawn),
+    withdrawn_from: p.withdrawn ? Number(p.withdrawnFrom || 0) : null,
+    updated_at: new Date().toISOString(),
+  };
+}
+
+// matches.challenger_names / opponent_names (text[] not null default '{}') hold the
+// two players on each side of a doubles match, as they were when it was played.
+// matches.ladder_move (text) is the LADDER_MOVES entry the result made; rows from
+// before it existed only have ladder_move_applied, which was always a leapfrog.
+// matches.outcome (text not null default 'completed') is a MATCH_OUTCOMES key, and
+// matches.match_format (text not null default 'standard') a MATCH_FORMATS key.
+export function matchFromRow(row, division) {
+  return {
+    id: String(row.id),
+    division,
+    date: String(row.date || ""),
+    positionPlayedFor: asNumber(row.position_played_for, 1),
+    challengerPid: String(row.challenger_pid || ""),
+    opponentPid: String(row.opponent_pid || ""),
+    challengerNames: (row.challenger_names || []).map(String),
+    opponentNames: (row.opponent_names || []).map(String),
+    winnerId: row.winner_id === "p1" || row.winner_id === "p2" ? row.winner_id : "p2",
+    score: String(row.score || ""),
+    surface: String(row.surface || ""),
+    challengerStartPos: asNumber(row.challenger_start_pos, 0),
+    opponentStartPos: asNumber(row.opponent_start_pos, 0),
+    ladderMoveApplied: Boolean(row.ladder_move_applied),
+    ladderMove: LADDER_MOVES.includes(row.ladder_move) ? row.ladder_move : row.ladder_move_applied ? "leapfrog" : "",
+    outcome: matchOutcome(row.outcome).key,
+    format: matchFormat(row.match_format).key,
+    enteredBy: String(row.entered_by || ""),
+    editedBy: String(row.edited_by || ""),
+    createdAt: timestampFromRow(row.created_at),
+  };
+}
+
+export function matchToRow(m) {
+  return {
+    id: String(m.id),
+    division: String(m.division || "mens"),
+    date: String(m.date || ""),
+    position_played_for: Number(m.positionPlayedFor || 1),
+    challenger_pid: String(m.challengerPid || ""),
+    opponent_pid: String(m.opponentPid || ""),
+    challenger_names: [...(m.challengerNames || [])],
+    opponent_names: [...(m.opponentNames || [])],
+    winner_id: String(m.winnerId || "p2"),
+    score: String(m.score || ""),
+    surface: String(m.surface || ""),
+    challenger_start_pos: Number(m.challengerStartPos || 0),
+    opponent_start_pos: Number(m.opponentStartPos || 0),
+    ladder_move_applied: Boolean(m.ladderMoveApplied),
+    ladder_move: m.ladderMove || null,
+    outcome: m.outcome || "completed",
+    match_format: m.format || "standard",
+    entered_by: m.enteredBy || null,
+    edited_by: m.editedBy || null,
+    created_at: m.createdAt || new Date().toISOString(),
+  };
+}
+
+// ladder_events (id text primary key, division text, date text, kind text, pid text,
+// from_pos int, to_pos int, reason text, entered_by text, created_at timestamptz default now())
+export function eventFromRow(row, division) {
+  return {
+    id: String(row.id),
+    division,
+    date: String(row.date || ""),
+    kind: String(row.kind || "drop"),
+    pid: String(row.pid || ""),
+    fromPos: asNumber(row.from_pos, 0),
+    toPos: asNumber(row.to_pos, 0),
+    reason: String(row.reason || ""),
+    enteredBy: String(row.entered_by || ""),
+    createdAt: timestampFromRow(row.created_at),
+  };
+}
+
+export function eventToRow(e) {
+  return {
+    id: String(e.id),
+    division: String(e.division || "mens"),
+    date: String(e.date || ""),
+    kind: String(e.kind || "drop"),
+    pid: String(e.pid || ""),
+    from_pos: Number(e.fromPos || 0),
+    to_pos: Number(e.toPos || 0),
+    reason: String(e.reason || ""),
+    entered_by: e.enteredBy || null,
+    created_at: e.createdAt || new Date().toISOString(),
+  };
+}
+
+// challenges (id text primary key, season_id text, division text, challenger_pid text,
+// opponent_pid text, status text, issued_date text, deadline text, accepted_date text,
+// match_id text, issued_by text, closed_by text, created_at timestamptz default now())
+export function challengeFromRow(row, division) {
+  return {
+    id: String(row.id),
+    division,
+    challengerPid: String(row.challenger_pid || ""),
+    opponentPid: String(row.opponent_pid || ""),
+    status: CHALLENGE_STATUSES.some((st) => st.key === row.status) ? row.status : "open",
+    issuedDate: String(row.issued_date || ""),
+    deadline: String(row.deadline || ""),
+    acceptedDate: String(row.accepted_date || ""),
+    matchId: String(row.match_id || ""),
+    issuedBy: String(row.issued_by || ""),
+    closedBy: String(row.closed_by || ""),
+    createdAt: timestampFromRow(row.created_at),
+  };
+}
+
+export function challengeToRow(c) {
+  return {
+    id: String(c.id),
+    division: String(c.division || "mens"),
+    challenger_pid: String(c.challengerPid || ""),
+    opponent_pid: String(c.opponentPid || ""),
+    status: String(c.status || "open"),
+    issued_date: String(c.issuedDate || ""),
+    deadline: String(c.deadline || ""),
+    accepted_date: c.acceptedDate || null,
+    match_id: c.matchId || null,
+    issued_by: c.issuedBy || null,
+    closed_by: c.closedBy || null,
+    created_at: c.createdAt || new Date().toISOString(),
+  };
+}
+
+export function isLegacyAdminMatchRow(row) {
+  return String(row?.score || "").startsWith("ADMIN:");
+}
+
+// Before ladder_events existed, drops and withdrawals were saved as matches with
+// an "ADMIN: ..." score. Read them as events (flagged legacy) until they are migrated.
+export function eventFromLegacyMatchRow(row, division, playerCount) {
+  const m = matchFromRow(row, division);
+  const reason = m.score.replace(/^ADMIN:\s*/, "");
+  const kind = /withdrawn/i.test(reason) ? "withdraw" : "drop";
+  const places = asNumber(reason.match(/moved down (\d+) places/i)?.[1], 3);
+  const toPos = kind === "withdraw" ? playerCount : clamp(m.challengerStartPos + places, 1, playerCount);
+
+  return {
+    id: m.id,
+    division,
+    date: m.date,
+    kind,
+    pid: m.challengerPid,
+    fromPos: m.challengerStartPos,
+    toPos,
+    reason,
+    enteredBy: m.enteredBy,
+    createdAt: m.createdAt,
+    legacy: true,
+  };
+}
+
+// Rebuilds one division from raw table rows. Positions without a stored row
+// are filled with empty placeholder players so the ladder always has `capacity` slots.
+export function buildDivisionState(division, rows) {
+  const capacity = normalizeCapacity(rows.capacity);
+  const playerCount = clamp(asNumber(rows.playerCount ?? DEFAULT_PLAYER_COUNT, DEFAULT_PLAYER_COUNT), 2, capacity);
+  const calendar = normalizeCalendar(rows.calendar);
+  const inDivision = (r) => String(r.division || "mens") === division;
+  const playersForDivision = (rows.players || []).filter(inDivision);
+  const byPos = new Map(playersForDivision.map((row) => [Number(row.position), row]));
+  const players = [];
+
+  for (let pos = 1; pos <= capacity; pos++) {
+    const row = byPos.get(pos);
+    players.push(row ? playerFromRow(row, division, pos, calendar) : createEmptyPlayer(pos, division));
+  }
+
+  const matchRows = (rows.matches || []).filter(inDivision);
+  const legacyEvents = matchRows.filter(isLegacyAdminMatchRow).map((row) => eventFromLegacyMatchRow(row, division, playerCount));
+
+  return {
+    playerCount,
+    type: normalizeDivisionType(rows.type),
+    capacity,
+    rules: normalizeDivisionRules(rows.rules),
+    revision: asNumber(rows.revision, 0),
+    calendar,
+    players,
+    startOrder: Array.isArray(rows.startOrder) ? rows.startOrder.map(String) : [],
+    matches: matchRows.filter((row) => !isLegacyAdminMatchRow(row)).map((row) => matchFromRow(row, division)),
+    events: [...(rows.events || []).filter(inDivision).map((row) => eventFromRow(row, division)), ...legacyEvents],
+    challenges: (rows.challenges || []).filter(inDivision).map((row) => challengeFromRow(row, division)),
+  };
+}
+
+// Realtime tables, the rows list each one patches and its row key.
+export const REALTIME_TABLES = {
+  players: { list: "players", id: "pid" },
+  matches: { list: "matches", id: "id" },
+  ladder_events: { list: "events", id: "id" },
+  challenges: { list: "challenges", id: "id" },
+  settings: { list: "settings", id: "key" },
+};
+
+// Applies one postgres_changes payload to the rows, matching them on (season_id, id).
+// A delete only carries the primary key; for players that includes season_id,
+// since a seeded season keeps each player's pid.
+export function patchRows(rows, { table, eventType, new: next, old }, season, settingKeys) {
+  const spec = REALTIME_TABLES[table];
+  const row = eventType === "DELETE" ? old : next;
+  if (!spec || !row || row[spec.id] === undefined) return rows;
+  if (table === "settings" ? !settingKeys.includes(row.key) : row.season_id !== undefined && row.season_id !== season.id) return rows;
+
+  const rest = rows[spec.list].filter((r) => r[spec.id] !== row[spec.id]);
+  if (eventType === "DELETE") return { ...rows, [spec.list]: rest };
+
+  const list = [...rest, next];
+  if (spec.list !== "players" && spec.list !== "settings") list.sort((a, b) => String(b.created_at || "").localeCompare(String(a.created_at || "")));
+  return { ...rows, [spec.list]: list };
+}
+
+// Players whose stored row differs between two snapshots of the same division.
+export function changedPlayers(before, after) {
+  const prev = new Map(before.map((p) => [p.pid, p]));
+  return after.filter((p) => {
+    const old = prev.get(p.pid);
+    if (!old) return true;
+    if (old.position !== p.position || old.name !== p.name || (old.partner || "") !== (p.partner || "")) return true;
+    if (Boolean(old.withdrawn) !== Boolean(p.withdrawn) || (old.withdrawnFrom || 0) !== (p.withdrawnFrom || 0)) return true;
+    if (!samePeriodCounts(old.periodCounts, p.periodCounts)) return true;
+    return STAT_FIELDS.some((f) => (old[f] || 0) !== (p[f] || 0));
+  });
+}
+
+// createdAt is fixed when a row is first written (older audit entries predate it), so it never counts as a change.
+// Arrays (a doubles match's names) compare by value.
+function sameRecord(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  keys.delete("createdAt");
+  for (const k of keys) {
+    if (a[k] === b[k]) continue;
+    if (!Array.isArray(a[k]) && !Array.isArray(b[k])) return false;
+    if (JSON.stringify(a[k] || []) !== JSON.stringify(b[k] || [])) return false;
+  }
+  return true;
+}
+
+function diffById(beforeList, afterList) {
+  const prev = new Map(beforeList.map((x) => [x.id, x]));
+  const nextIds = new Set(afterList.map((x) => x.id));
+  const out = [];
+  for (const x of afterList) {
+    const old = prev.get(x.id);
+    if (!old || !sameRecord(old, x)) out.push({ id: x.id, before: old || null, after: x });
+  }
+  for (const x of beforeList) {
+    if (!nextIds.has(x.id)) out.push({ id: x.id, before: x, after: null });
+  }
+  return out;
+}
+
+// Row-level difference between two snapshots of a division: every player,
+// match, ladder event and challenge that changed, with full before/after values (null = row absent).
+export function diffDivisionStates(before, after) {
+  const prevPlayers = new Map(before.players.map((p) => [p.pid, p]));
+  const players = changedPlayers(before.players, after.players).map((p) => ({
+    pid: p.pid,
+    before: prevPlayers.get(p.pid) || null,
+    after: p,
+  }));
+
+  const matches = diffById(before.matches, after.matches);
+  const events = diffById(before.events || [], after.events || []);
+  const challenges = diffById(before.challenges || [], after.challenges || []);
+  const playerCount = before.playerCount !== after.playerCount ? { before: before.playerCount, after: after.playerCount } : null;
+
+  return { players, matches, events, challenges, playerCount };
+}
+
+// Human-readable list of what differs between a stale and a fresh copy of a division.
+export function describeDivisionChanges(before, after) {
+  const lines = [];
+  const label = (p) => entryName(p) || "(unnamed)";
+
+  if (before.playerCount !== after.playerCount) {
+    lines.push(`Player count changed from ${before.playerCount} to ${after.playerCount}.`);
+  }
+
+  const prevPlayers = new Map(before.players.map((p) => [p.pid, p]));
+  for (const p of [...after.players].sort((a, b) => a.position - b.position)) {
+    const old = prevPlayers.get(p.pid);
+    if (!old) continue;
+    if (old.name !== p.name || (old.partner || "") !== (p.partner || "")) lines.push(`Renamed "${label(old)}" to "${label(p)}".`);
+    if (Boolean(old.withdrawn) !== Boolean(p.withdrawn)) lines.push(`${label(p)} ${p.withdrawn ? "withdrawn" : "reinstated"}.`);
+    if (old.position !== p.position && String(p.name || "").trim()) {
+      lines.push(`${label(p)} moved from #${old.position} to #${p.position}.`);
+    }
+  }
+
+  const byPid = new Map(after.players.map((p) => [p.pid, p]));
+  const describeMatch = (m) => `${m.date} ${matchSideName(m, "p1", after.players)} vs ${matchSideName(m, "p2", after.players)} ${formatMatchScore(m)}`;
+
+  const prevMatches = new Map(before.matches.map((m) => [m.id, m]));
+  const nextIds = new Set(after.matches.map((m) => m.id));
+  for (const m of after.matches) {
+    const old = prevMatches.get(m.id);
+    if (!old) lines.push(`Added${m.enteredBy ? ` by ${m.enteredBy}` : ""}: ${describeMatch(m)}`);
+    else if (old.score !== m.score || old.winnerId !== m.winnerId || old.date !== m.date || old.surface !== m.surface) {
+      lines.push(`Edited${m.editedBy ? ` by ${m.editedBy}` : ""}: ${describeMatch(m)}`);
+    }
+  }
+  for (const m of before.matches) {
+    if (!nextIds.has(m.id)) lines.push(`Deleted: ${describeMatch(m)}`);
+  }
+
+  const prevEvents = new Set((before.events || []).map((e) => e.id));
+  const nextEvents = new Set((after.events || []).map((e) => e.id));
+  for (const e of after.events || []) {
+    if (!prevEvents.has(e.id)) lines.push(`${eventKindLabel(e.kind)}${e.enteredBy ? ` by ${e.enteredBy}` : ""}: ${e.reason}`);
+  }
+  for (const e of before.events || []) {
+    if (!nextEvents.has(e.id)) lines.push(`Removed ladder event: ${e.reason}`);
+  }
+
+  const prevChallenges = new Map((before.challenges || []).map((c) => [c.id, c]));
+  const nextChallenges = new Set((after.challenges || []).map((c) => c.id));
+  const describeChallenge = (c) => `${label(byPid.get(c.challengerPid))} vs ${label(byPid.get(c.opponentPid))}`;
+  for (const c of after.challenges || []) {
+    const old = prevChallenges.get(c.id);
+    if (!old) lines.push(`Challenge issued${c.issuedBy ? ` by ${c.issuedBy}` : ""}: ${describeChallenge(c)}, play by ${c.deadline}.`);
+    else if (old.status !== c.status) lines.push(`Challenge ${challengeStatusLabel(c.status).toLowerCase()}: ${describeChallenge(c)}.`);
+  }
+  for (const c of before.challenges || []) {
+    if (!nextChallenges.has(c.id)) lines.push(`Removed challenge: ${describeChallenge(c)}.`);
+  }
+
+  return lines;
+}
+
+// ----------------------------
+// Scores
+// ----------------------------
+
+export function matchOutcome(key) {
+  return MATCH_OUTCOMES.find((o) => o.key === key) || MATCH_OUTCOMES[0];
+}
+
+export function matchFormat(key) {
+  return MATCH_FORMATS.find((f) => f.key === key) || MATCH_FORMATS[0];
+}
+
+// e.g. "Sets to 6, tie-break at 6-6; match tie-break to 10 as the decider."
+export function describeMatchFormat(formatKey) {
+  const f = matchFormat(formatKey);
+  const sets = f.setsToWin === 1 ? `One set to ${f.games}` : `Best of ${f.setsToWin * 2 - 1} sets to ${f.games}`;
+  const decider = f.decider === "matchTieBreak" ? `, match tie-break to ${f.tieBreakTo} as the decider` : "";
+  return `${sets}, tie-break at ${f.tieBreakAt}-${f.tieBreakAt}${decider}${f.noAd ? ", no-ad" : ""}. e.g. ${f.example}`;
+}
+
+// A set may carry its tie-break points in brackets: the loser's points, as in
+// "7-6(5)", or both sides', as in "7-6(7-5)". They are kept as `tieBreakPoints`,
+// { loser } or { p1, p2 }, and checked against the set once the format is known.
+export function parseScore(scoreStr) {
+  const raw = String(scoreStr || "").trim();
+  if (!raw) return { valid: false, sets: [], message: "Please enter a score (e.g. 6-4 6-3)." };
+
+  // Accept human-friendly formats like:
+  // 6-4 6-3
+  // 6-4, 6-3
+  // 6-4,3-6,10-8
+  // 6:4 3:6 10:8
+  // 7-6(4) 6-7 (5-7) 10-8
+  const parts = [...raw.matchAll(/(\d+)\s*[-:]\s*(\d+)(?:\s*\(([^)]*)\))?/g)];
+  if (parts.length === 0) return { valid: false, sets: [], message: "Enter the score set by set (e.g. 6-4 6-3)." };
+
+  const sets = [];
+
+  for (const [part, a, b, note] of parts) {
+    const set = { p1: asNumber(a, NaN), p2: asNumber(b, NaN) };
+    if (!Number.isFinite(set.p1) || !Number.isFinite(set.p2)) {
+      return { valid: false, sets: [], message: `Couldn't read set: "${part}"` };
+    }
+
+    if (note !== undefined) {
+      const points = note.trim().match(/^(\d+)(?:\s*[-:]\s*(\d+))?$/);
+      if (!points) return { valid: false, sets: [], message: `Couldn't read tie-break points: "${part}"` };
+      set.tieBreakPoints = points[2] === undefined ? { loser: asNumber(points[1], 0) } : { p1: asNumber(points[1], 0), p2: asNumber(points[2], 0) };
+    }
+
+    sets.push(set);
+  }
+
+  return { valid: true, sets };
+}
+
+function isFinishedSet(hi, lo, { games, tieBreakAt }) {
+  if (lo >= hi) return false;
+  return (hi === games && lo <= games - 2) || (hi > games && hi <= tieBreakAt && hi - lo === 2) || (hi === tieBreakAt + 1 && lo >= tieBreakAt - 1);
+}
+
+function isFinishedTieBreak(hi, lo, { tieBreakTo }) {
+  return hi === tieBreakTo ? lo <= tieBreakTo - 2 : hi > tieBreakTo && hi - lo === 2;
+}
+
+// A set's tie-break points as { p1, p2 }, or why they don't fit the set. Only a set
+// that went to a tie-break (7-6, or 4-3 in Fast4) takes them, and its winner must
+// have won the tie-break.
+function readTieBreakPoints(set, wentToTieBreak, format) {
+  const given = set.tieBreakPoints;
+  if (!given) return { points: null, error: "" };
+  const { tieBreakAt, setTieBreakTo: to, setTieBreakWinBy: winBy } = format;
+  if (!wentToTieBreak) return { points: null, error: `Tie-break points only go with a ${tieBreakAt + 1}-${tieBreakAt} set.` };
+
+  const setWinner = set.p1 > set.p2 ? "p1" : "p2";
+  let points = given;
+  if (given.loser !== undefined) {
+    const won = winBy === 1 ? to : Math.max(to, given.loser + 2);
+    points = setWinner === "p1" ? { p1: won, p2: given.loser } : { p1: given.loser, p2: won };
+  }
+
+  const hi = Math.max(points.p1, points.p2);
+  const lo = Math.min(points.p1, points.p2);
+  const finished = winBy === 1 ? hi === to && lo < to : hi === to ? lo <= to - 2 : hi > to && hi - lo === 2;
+  if (!finished) {
+    const rule = winBy === 1 ? `sudden death at ${to - 1}-${to - 1}` : "won by 2";
+    return { points: null, error: `A tie-break is first to ${to} points, ${rule}.` };
+  }
+  if ((points.p1 > points.p2 ? "p1" : "p2") !== setWinner) {
+    return { points: null, error: "Tie-break points don't match the set: its winner must win the tie-break." };
+  }
+  return { points, error: "" };
+}
+
+// Every finished set score in the format, for error messages: "6-0 to 6-4, 7-5 or 7-6".
+function finishedSetScores(format) {
+  const { games, tieBreakAt } = format;
+  const extra = [];
+  for (let hi = games; hi <= tieBreakAt + 1; hi += 1) {
+    for (let lo = Math.max(0, games - 1); lo < hi; lo += 1) {
+      if (isFinishedSet(hi, lo, format) && !(hi === games && lo <= games - 2)) extra.push(`${hi}-${lo}`);
+    }
+  }
+  const scores = [`${games}-0 to ${games}-${games - 2}`, ...extra];
+  return scores.length > 1 ? `${scores.slice(0, -1).join(", ")} or ${scores[scores.length - 1]}` : scores[0];
+}
+
+// Reads a score set by set in a format. A set is the deciding match tie-break when
+// the format has one and the sets are level one short of winning, so a pro set's
+// 10-8 is never mistaken for one. `error` says why a set isn't a finished one.
+function readSets(sets, format) {
+  let p1Sets = 0;
+  let p2Sets = 0;
+  const read = sets.map((s) => {
+    const a = asNumber(s.p1, -1);
+    const b = asNumber(s.p2, -1);
+    const hi = Math.max(a, b);
+    const lo = Math.min(a, b);
+    const deciding = format.setsToWin > 1 && p1Sets === format.setsToWin - 1 && p2Sets === format.setsToWin - 1;
+    const tieBreak = format.decider === "matchTieBreak" && deciding;
+    const over = Math.max(p1Sets, p2Sets) >= format.setsToWin;
+
+    const wentToTieBreak = !tieBreak && hi === format.tieBreakAt + 1 && lo === format.tieBreakAt;
+    const tieBreakPoints = readTieBreakPoints(s, wentToTieBreak, format);
+
+    let error = "";
+    if (a < 0 || b < 0) error = "Scores must be non-negative numbers.";
+    else if (a === b) error = "A set can't be tied.";
+    else if (tieBreak && !isFinishedTieBreak(hi, lo, format)) error = `A match tie-break is first to ${format.tieBreakTo} points, won by 2.`;
+    else if (!tieBreak && !isFinishedSet(hi, lo, format)) error = `Impossible set score. Use ${finishedSetScores(format)}.`;
+
+    const unfinished = Boolean(error) && !s.tieBreakPoints && lo >= 0 && (tieBreak ? hi < format.tieBreakTo || hi - lo < 2 : hi <= Math.max(format.tieBreakAt, format.games - 1));
+    if (!error) error = tieBreakPoints.error;
+    if (!error) {
+      if (a > b) p1Sets += 1;
+      else p2Sets += 1;
+    }
+    return { p1: a, p2: b, deciding, tieBreak, wentToTieBreak, tieBreakPoints: tieBreakPoints.points, error, unfinished, over };
+  });
+  return { sets: read, p1Sets, p2Sets };
+}
+
+// Writes a score the standard way, with the tie-break loser's points after a
+// 7-6 set and a deciding match tie-break marked: "7-6(5) 3-6 10-8 (MTB)".
+export function formatScore(score, formatKey) {
+  const parsed = parseScore(score);
+  if (!parsed.valid) return score;
+  const { sets } = readSets(parsed.sets, matchFormat(formatKey));
+  const text = sets
+    .map((s) => {
+      const loserPoints = s.tieBreakPoints ? Math.min(s.tieBreakPoints.p1, s.tieBreakPoints.p2) : null;
+      return `${s.p1}-${s.p2}${loserPoints === null ? "" : `(${loserPoints})`}`;
+    })
+    .join(" ");
+  return sets.some((s) => s.tieBreak) ? `${text} (MTB)` : text;
+}
+
+// e.g. "6-4 6-3", "6-3 2-1 ret.", "W/O".
+export function formatMatchScore(match) {
+  const { key, suffix } = matchOutcome(match.outcome);
+  if (key === "completed") return formatScore(match.score, match.format);
+  const score = String(match.score || "").trim();
+  return score ? `${formatScore(score, match.format)} ${suffix}` : suffix;
+}
+
+export function validateSets(sets, formatKey) {
+  const format = matchFormat(formatKey);
+  if (!Array.isArray(sets) || sets.length < format.setsToWin) {
+    return { ok: false, message: `Enter the full score (e.g. ${format.example}).` };
+  }
+
+  const read = readSets(sets, format);
+  for (const [i, s] of read.sets.entries()) {
+    if (s.over) return { ok: false, message: `Too many sets: the match was over after set ${i}.` };
+    if (s.error) return { ok: false, message: s.error };
+  }
+
+  if (Math.max(read.p1Sets, read.p2Sets) < format.setsToWin) {
+    const needed = format.setsToWin === 1 ? "1 set" : `${format.setsToWin} sets`;
+    return { ok: false, message: `The match isn't over: one side needs ${needed}. Add the rest of the score.` };
+  }
+
+  return { ok: true, message: "" };
+}
+
+// The score of a match that stopped early: finished sets, then optionally an
+// unfinished one, short of either side having won the match.
+export function validatePartialSets(sets, formatKey) {
+  const format = matchFormat(formatKey);
+  if (!Array.isArray(sets) || sets.length === 0) {
+    return { ok: false, message: "Enter the games played (e.g. 6-3 2-1)." };
+  }
+
+  const read = readSets(sets, format);
+  const last = read.sets.length - 1;
+  for (const [i, s] of read.sets.entries()) {
+    if (!s.error) continue;
+    if (i < last) return { ok: false, message: s.error };
+    if (!s.unfinished) return { ok: false, message: `Impossible score for an unfinished ${s.tieBreak ? "match tie-break" : "set"}.` };
+  }
+
+  if (Math.max(read.p1Sets, read.p2Sets) >= format.setsToWin) {
+    return { ok: false, message: "That score is a finished match. Record it as Completed." };
+  }
+  if (sets.every((s) => s.p1 === 0 && s.p2 === 0)) {
+    return { ok: false, message: "No games were played. Record it as a walkover or a default with no score." };
+  }
+
+  return { ok: true, message: "" };
+}
+
+// Checks a score against what the outcome allows, in the match's format. `sets` is
+// empty when there is no score to credit.
+export function validateMatchScore(outcomeKey, score, formatKey) {
+  const outcome = matchOutcome(outcomeKey);
+  const raw = String(score || "").trim();
+  if (outcome.score === "none" || (outcome.score === "optional" && !raw)) return { ok: true, message: "", sets: [] };
+
+  const full = outcome.score === "full";
+  if (!full && !raw) return { ok: false, message: "Enter the score when the match stopped (e.g. 6-3 2-1).", sets: [] };
+  const parsed = parseScore(raw);
+  if (!parsed.valid) return { ok: false, message: parsed.message || "Score not recognised.", sets: [] };
+
+  const validity = full ? validateSets(parsed.sets, formatKey) : validatePartialSets(parsed.sets, formatKey);
+  if (!validity.ok) return { ok: false, message: validity.message, sets: [] };
+  return { ok: true, message: "", sets: parsed.sets };
+}
+
+// Sets, games and tie-breaks (sets decided by one, and deciding match tie-breaks) won by each side.
+// `decidingSet` is who won the last possible set when the match went that far, and
+// `matchTieBreak` who won it when it was a match tie-break ("p1", "p2" or "").
+export function computeFromSets(sets, formatKey) {
+  let p1Sets = 0,
+    p2Sets = 0,
+    p1Games = 0,
+    p2Games = 0,
+    p1TieBreaks = 0,
+    p2TieBreaks = 0,
+    decidingSet = "",
+    matchTieBreak = "";
+
+  for (const s of readSets(sets, matchFormat(formatKey)).sets) {
+    // An unfinished set counts for games only.
+    if (!s.error) {
+      if (s.p1 > s.p2) p1Sets += 1;
+      else if (s.p2 > s.p1) p2Sets += 1;
+      if (s.tieBreak || s.wentToTieBreak) {
+        if (s.p1 > s.p2) p1TieBreaks += 1;
+        else p2TieBreaks += 1;
+      }
+      if (s.deciding) decidingSet = s.p1 > s.p2 ? "p1" : "p2";
+      if (s.tieBreak) matchTieBreak = s.p1 > s.p2 ? "p1" : "p2";
+    }
+
+    // A deciding match tie-break counts as 1 game to the winner, not 10+ games
+    // in the game totals; an unfinished one counts for nothing.
+    if (s.tieBreak) {
+      if (s.error) continue;
+      if (s.p1 > s.p2) p1Games += 1;
+      else p2Games += 1;
+    } else {
+      p1Games += s.p1;
+      p2Games += s.p2;
+    }
+  }
+
+  return { p1Sets, p2Sets, p1Games, p2Games, p1TieBreaks, p2TieBreaks, decidingSet, matchTieBreak };
+}
+
+// Parses and validates a match's score for its outcome. Returns null when it can't be credited.
+function matchTotals(match) {
+  const checked = validateMatchScore(match.outcome, match.score, match.format);
+  if (!checked.ok || checked.sets.length === 0) return null;
+  return computeFromSets(checked.sets, match.format);
+}
+
+// Adds (dir = +1) or removes (dir = -1) one match's contribution to both players'
+// totals, including the count for the season period the match date falls in.
+// A result with no score (walkover, default) still counts as played and won; it
+// just adds no sets or games.
+export function applyMatchStats(players, match, dir, calendar) {
+  const { p1Sets, p2Sets, p1Games, p2Games } = matchTotals(match) || { p1Sets: 0, p2Sets: 0, p1Games: 0, p2Games: 0 };
+  const periodKey = periodKeyForDate(calendar, match.date);
+
+  return players.map((p) => {
+    if (p.pid !== match.challengerPid && p.pid !== match.opponentPid) return p;
+    const isP1 = p.pid === match.challengerPid;
+    const setsWon = isP1 ? p1Sets : p2Sets;
+    const setsLost = isP1 ? p2Sets : p1Sets;
+    const gamesWon = isP1 ? p1Games : p2Games;
+    const gamesLost = isP1 ? p2Games : p1Games;
+    const didWin = (match.winnerId === "p1" && isP1) || (match.winnerId === "p2" && !isP1);
+    const out = {
+      ...p,
+      matchesPlayed: clampMin0((p.matchesPlayed || 0) + dir),
+      matchesWon: clampMin0((p.matchesWon || 0) + (didWin ? 1 : 0) * dir),
+      setsWon: clampMin0((p.setsWon || 0) + setsWon * dir),
+      setsLost: clampMin0((p.setsLost || 0) + setsLost * dir),
+      gamesWon: clampMin0((p.gamesWon || 0) + gamesWon * dir),
+      gamesLost: clampMin0((p.gamesLost || 0) + gamesLost * dir),
+    };
+    if (periodKey) {
+      out.periodCounts = { ...(p.periodCounts || {}), [periodKey]: clampMin0((p.periodCounts?.[periodKey] || 0) + dir) };
+    }
+    return out;
+  });
+}
+
+// Tie-breaks won and lost by each ladder entry, by pid. They come from the match
+// scores rather than stored totals, so results entered before tie-break points
+// were recorded still count (a 7-6 set is a tie-break either way).
+export function tieBreakRecords(matches) {
+  const records = new Map();
+  const add = (pid, won, lost) => {
+    const r = records.get(pid) || { won: 0, lost: 0 };
+    records.set(pid, { won: r.won + won, lost: r.lost + lost });
+  };
+
+  for (const m of matches) {
+    const totals = matchTotals(m);
+    if (!totals) continue;
+    add(m.challengerPid, totals.p1TieBreaks, totals.p2TieBreaks);
+    add(m.opponentPid, totals.p2TieBreaks, totals.p1TieBreaks);
+  }
+  return records;
+}
+
+// Records worked out from the match history for each ladder entry, by pid:
+// - streak: the current run, positive for wins and negative for losses
+// - longestWinStreak
+// - surfaces: { [surface]: { played, won } } for the SURFACES a match was played on
+// - asChallenger / asDefender: { played, won }
+// - decidingSets / matchTieBreaks: { won, lost }
+// - scoredMatches and games (both sides' games), for games per match
+// Walkovers and defaults count towards streaks and challenger/defender records,
+// but only matches with a score count towards surfaces and games.
+export function playerRecords(matches) {
+  const records = new Map();
+  const recordFor = (pid) => {
+    if (!records.has(pid)) {
+      records.set(pid, {
+        streak: 0,
+        longestWinStreak: 0,
+        surfaces: {},
+        asChallenger: { played: 0, won: 0 },
+        asDefender: { played: 0, won: 0 },
+        decidingSets: { won: 0, lost: 0 },
+        matchTieBreaks: { won: 0, lost: 0 },
+        scoredMatches: 0,
+        games: 0,
+      });
+    }
+    return records.get(pid);
+  };
+
+  const ordered = [...matches].sort((a, b) => String(a.date).localeCompare(String(b.date)) || compareByEntry(a, b));
+  for (const m of ordered) {
+    const totals = matchTotals(m);
+    for (const side of ["p1", "p2"]) {
+      const pid = side === "p1" ? m.challengerPid : m.opponentPid;
+      if (!pid) continue;
+      const r = recordFor(pid);
+      const won = m.winnerId === side;
+
+      r.streak = won ? Math.max(r.streak, 0) + 1 : Math.min(r.streak, 0) - 1;
+      r.longestWinStreak = Math.max(r.longestWinStreak, r.streak);
+      const role = side === "p1" ? r.asChallenger : r.asDefender;
+      role.played += 1;
+      if (won) role.won += 1;
+
+      if (!totals) continue;
+      r.scoredMatches += 1;
+      r.games += totals.p1Games + totals.p2Games;
+      if (SURFACES.includes(m.surface)) {
+        const s = r.surfaces[m.surface] || { played: 0, won: 0 };
+        r.surfaces[m.surface] = { played: s.played + 1, won: s.won + (won ? 1 : 0) };
+      }
+      if (totals.decidingSet) r.decidingSets[totals.decidingSet === side ? "won" : "lost"] += 1;
+      if (totals.matchTieBreak) r.matchTieBreaks[totals.matchTieBreak === side ? "won" : "lost"] += 1;
+    }
+  }
+  return records;
+}
+
+// Every meeting between two ladder entries, seen from `pidA`'s side: wins, set,
+// game and tie-break totals, a record per surface and the matches themselves, in
+// the order given. Unscored results (walkovers, defaults) count as wins but add no sets.
+export function headToHead(matches, pidA, pidB) {
+  const record = { played: 0, aWins: 0, bWins: 0, aSets: 0, bSets: 0, aGames: 0, bGames: 0, aTieBreaks: 0, bTieBreaks: 0, surfaces: [], matches: [] };
+  const surfaces = new Map();
+
+  for (const m of matches) {
+    const aIsP1 = m.challengerPid === pidA && m.opponentPid === pidB;
+    if (!aIsP1 && !(m.challengerPid === pidB && m.opponentPid === pidA)) continue;
+    const aWon = m.winnerId === (aIsP1 ? "p1" : "p2");
+
+    record.played += 1;
+    if (aWon) record.aWins += 1;
+    else record.bWins += 1;
+
+    const totals = matchTotals(m);
+    if (totals) {
+      record.aSets += aIsP1 ? totals.p1Sets : totals.p2Sets;
+      record.bSets += aIsP1 ? totals.p2Sets : totals.p1Sets;
+      record.aGames += aIsP1 ? totals.p1Games : totals.p2Games;
+      record.bGames += aIsP1 ? totals.p2Games : totals.p1Games;
+      record.aTieBreaks += aIsP1 ? totals.p1TieBreaks : totals.p2TieBreaks;
+      record.bTieBreaks += aIsP1 ? totals.p2TieBreaks : totals.p1TieBreaks;
+    }
+
+    const surface = m.surface || "";
+    const s = surfaces.get(surface) || { surface, played: 0, aWins: 0, bWins: 0 };
+    surfaces.set(surface, { ...s, played: s.played + 1, aWins: s.aWins + (aWon ? 1 : 0), bWins: s.bWins + (aWon ? 0 : 1) });
+    record.matches.push(m);
+  }
+
+  record.surfaces = [...surfaces.values()].sort((x, y) => y.played - x.played || x.surface.localeCompare(y.surface));
+  return record;
+}
+
+// Per-person totals in a doubles division, summed over every pair they played in.
+// People are matched by name (case-insensitive), since a person isn't a ladder entry.
+export function individualDoublesStats(matches) {
+  const byName = new Map();
+  const personFor = (name) => {
+    const key = name.trim().toLowerCase();
+    if (!byName.has(key)) {
+      byName.set(key, { name: name.trim(), partners: [], matchesPlayed: 0, matchesWon: 0, setsWon: 0, setsLost: 0, gamesWon: 0, gamesLost: 0, tieBreaksWon: 0, tieBreaksLost: 0 });
+    }
+    return byName.get(key);
+  };
+
+  for (const m of matches) {
+    const totals = matchTotals(m);
+    if (!totals || !m.challengerNames?.length || !m.opponentNames?.length) continue;
+    const { p1Sets, p2Sets, p1Games, p2Games, p1TieBreaks, p2TieBreaks } = totals;
+
+    for (const side of ["p1", "p2"]) {
+      const names = side === "p1" ? m.challengerNames : m.opponentNames;
+      const isP1 = side === "p1";
+      for (const name of names) {
+        const person = personFor(name);
+        person.matchesPlayed += 1;
+        if (m.winnerId === side) person.matchesWon += 1;
+        person.setsWon += isP1 ? p1Sets : p2Sets;
+        person.setsLost += isP1 ? p2Sets : p1Sets;
+        person.gamesWon += isP1 ? p1Games : p2Games;
+        person.gamesLost += isP1 ? p2Games : p1Games;
+        person.tieBreaksWon += isP1 ? p1TieBreaks : p2TieBreaks;
+        person.tieBreaksLost += isP1 ? p2TieBreaks : p1TieBreaks;
+        for (const other of names) {
+          if (other !== name && !person.partners.includes(other.trim())) person.partners.push(other.trim());
+        }
+      }
+    }
+  }
+
+  return [...byName.values()].sort((a, b) => b.matchesWon - a.matchesWon || b.matchesPlayed - a.matchesPlayed || a.name.localeCompare(b.name));
+}
+
+// ----------------------------
+// Ladder movement
+// ----------------------------
+
+// What a result did to the ladder: "" (nothing), a winning challenger's "leapfrog"
+// or "swap", or "loserDrop" when a losing challenger went down one place.
+export const LADDER_MOVES = ["", "leapfrog", "swap", "loserDrop"];
+
+// Moves pid to pos; whoever held pos takes pid's old place.
+function swapPositions(players, pid, pos) {
+  const mover = players.find((p) => p.pid === pid);
+  if (!mover || mover.position === pos) return players;
+  const from = mover.position;
+  return players.map((p) => {
+    if (p.pid === pid) return { ...p, position: pos };
+    if (p.position === pos) return { ...p, position: from };
+    return p;
+  });
+}
+
+// Applies a challenge result under the division's rules and reports the move made.
+export function applyLadderMove(players, { challengerPid, winnerId, opponentPos }, rules, playerCount) {
+  const challenger = players.find((p) => p.pid === challengerPid);
+  if (!challenger) return { players, applied: false, move: "" };
+  const { moveMode, loserDrops } = normalizeDivisionRules(rules);
+  const challengerStartPos = challenger.position;
+
+  if (winnerId !== "p1") {
+    if (!loserDrops || challengerStartPos <= opponentPos || challengerStartPos >= playerCount) return { players, applied: false, move: "" };
+    return { players: swapPositions(players, challengerPid, challengerStartPos + 1), applied: true, move: "loserDrop" };
+  }
+
+  if (challengerStartPos <= opponentPos) return { players, applied: false, move: "" };
+  if (moveMode === "swap") return { players: swapPositions(players, challengerPid, opponentPos), applied: true, move: "swap" };
+
+  const moved = players.map((p) => ({ ...p }));
+
+  for (const p of moved) {
+    if (p.pid === challengerPid) continue;
+    if (p.position >= opponentPos && p.position < challengerStartPos) p.position += 1;
+  }
+
+  const ch = moved.find((p) => p.pid === challengerPid);
+  if (ch) ch.position = opponentPos;
+
+  return { players: moved, applied: true, move: "leapfrog" };
+}
+
+// Makes the move recorded on a match again, from wherever the two entries stand
+// now (see LADDER_MOVES). Nothing moves if the challenger is no longer below.
+export function replayLadderMove(players, match, opponentPos, playerCount) {
+  const move = match.ladderMove || (match.ladderMoveApplied ? "leapfrog" : "");
+  if (!move) return { players, applied: false, move: "" };
+  const rules = move === "loserDrop" ? { loserDrops: true } : { moveMode: move };
+  return applyLadderMove(players, { challengerPid: match.challengerPid, winnerId: match.winnerId, opponentPos }, rules, playerCount);
+}
+
+// Undoes the move recorded on a match (see LADDER_MOVES).
+export function reverseLadderMove(players, match) {
+  const { challengerPid, challengerStartPos, opponentStartPos } = match;
+  const move = match.ladderMove || (match.ladderMoveApplied ? "leapfrog" : "");
+  if (!move) return players;
+  if (move === "swap" || move === "loserDrop") return swapPositions(players, challengerPid, challengerStartPos);
+
+  const ch = players.find((p) => p.pid === challengerPid);
+  if (!ch) return players;
+
+  const next = players.map((p) => ({ ...p }));
+
+  for (const p of next) {
+    if (p.pid === challengerPid) continue;
+    if (p.position > opponentStartPos && p.position <= challengerStartPos) p.position -= 1;
+  }
+
+  const c = next.find((p) => p.pid === challengerPid);
+  if (c) c.position = challengerStartPos;
+
+  return next;
+}
+
+export function movePlayerDownByPlaces(sourcePlayers, pid, places, playerCount) {
+  const target = sourcePlayers.find((p) => p.pid === pid);
+  if (!target) return sourcePlayers;
+  const oldPos = target.position;
+  const newPos = clamp(oldPos + places, 1, playerCount);
+  if (newPos === oldPos) return sourcePlayers;
+
+  return sourcePlayers.map((p) => {
+    if (p.pid === pid) return { ...p, position: newPos };
+    if (p.position > oldPos && p.position <= newPos) return { ...p, position: p.position - 1 };
+    return p;
+  });
+}
+
+// Takes the player out of the order and slots them in at newPos, shifting everyone in between by one.
+export function movePlayerToPosition(sourcePlayers, pid, newPos) {
+  const target = sourcePlayers.find((p) => p.pid === pid);
+  if (!target || target.position === newPos) return sourcePlayers;
+  const oldPos = target.position;
+
+  return sourcePlayers.map((p) => {
+    if (p.pid === pid) return { ...p, position: newPos };
+    if (newPos < oldPos && p.position >= newPos && p.position < oldPos) return { ...p, position: p.position + 1 };
+    if (newPos > oldPos && p.position > oldPos && p.position <= newPos) return { ...p, position: p.position - 1 };
+    return p;
+  });
+}
+
+export function movePlayerToBottom(sourcePlayers, pid, playerCount) {
+  return movePlayerDownByPlaces(sourcePlayers, pid, playerCount, playerCount);
+}
+
+export function challengeStatusLabel(status) {
+  return CHALLENGE_STATUSES.find((st) => st.key === status)?.label || status;
+}
+
+export function isOpenChallenge(c) {
+  return c.status === "open" || c.status === "accepted";
+}
+
+// Open challenges whose deadline has passed by `todayISO`.
+export function overdueChallenges(divisionState, todayISO) {
+  return (divisionState.challenges || []).filter((c) => isOpenChallenge(c) && c.deadline && c.deadline < todayISO);
+}
+
+export function eventKindLabel(kind) {
+  return LADDER_EVENT_KINDS.find((k) => k.key === kind)?.label || kind;
+}
+
+export function makeLadderEvent(kind, player, toPos, reason, enteredBy, date = formatDateISO(new Date())) {
+  return {
+    id: `evt_${uid()}`,
+    division: player.division,
+    date,
+    kind,
+    pid: player.pid,
+    fromPos: player.position,
+    toPos,
+    reason,
+    enteredBy: String(enteredBy || ""),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// ----------------------------
+// Admin actions
+//
+// Each returns { ok: true, divisionState, ... } or { ok: false, message }.
+// ----------------------------
+
+function isActivePosition(p, playerCount) {
+  return p.position >= 1 && p.position <= playerCount;
+}
+
+function challengeRangeError(divisionState, p1, p2) {
+  const { maxChallengeDistance } = normalizeDivisionRules(divisionState.rules);
+  if (!maxChallengeDistance || p1.position - p2.position <= maxChallengeDistance) return "";
+  const places = maxChallengeDistance === 1 ? "place" : "places";
+  return `#${p1.position} can challenge at most ${maxChallengeDistance} ${places} above (#${Math.max(1, p1.position - maxChallengeDistance)} or lower).`;
+}
+
+// The open challenge a result is being entered for, checked against the match's players.
+function challengeForResult(divisionState, challengeId, p1, p2) {
+  if (!challengeId) return { ok: true, challenge: null };
+  const challenge = (divisionState.challenges || []).find((c) => c.id === challengeId);
+  if (!challenge || !isOpenChallenge(challenge)) return { ok: false, message: "That challenge is no longer open." };
+  if (challenge.challengerPid !== p1.pid || challenge.opponentPid !== p2.pid) {
+    return { ok: false, message: "The challenger and opponent don't match the challenge." };
+  }
+  return { ok: true, challenge };
+}
+
+// A challenge settled by a walkover is closed as one; any other result means it was played.
+function challengeStatusForMatch(match) {
+  return match.outcome === "walkover" ? "walkover" : "played";
+}
+
+function closeChallenge(challenges, id, status, matchId, closedBy) {
+  return (challenges || []).map((c) => (c.id === id ? { ...c, status, matchId: matchId || "", closedBy: String(closedBy || "") } : c));
+}
+
+export function applyAddMatch(divisionState, input) {
+  const { players, playerCount } = divisionState;
+  // A result sent again (e.g. replayed from an offline queue after the first send got through).
+  if (input.id && divisionState.matches.some((m) => m.id === input.id)) return { ok: false, message: "This result has already been saved." };
+
+  const p2 = players.find((p) => p.pid === input.opponentPid);
+  if (!p2 || !isActivePosition(p2, playerCount)) return { ok: false, message: "Invalid position selected." };
+  if (!String(p2.name || "").trim()) return { ok: false, message: `The player at position #${p2.position} has no name yet.` };
+  if (isWithdrawnPlayer(p2)) return { ok: false, message: `${p2.name} is withdrawn. Reinstate them first.` };
+
+  if (!input.challengerPid) return { ok: false, message: "Pick a Challenger." };
+  const p1 = players.find((p) => p.pid === input.challengerPid);
+  if (!p1 || !String(p1.name || "").trim()) return { ok: false, message: "Challenger is missing / has no name." };
+  if (p1.pid === p2.pid) return { ok: false, message: "Challenger can't play themselves." };
+  if (isWithdrawnPlayer(p1)) return { ok: false, message: `${p1.name} is withdrawn. Reinstate them first.` };
+
+  const rangeError = challengeRangeError(divisionState, p1, p2);
+  if (rangeError) return { ok: false, message: rangeError };
+
+  const doubles = isDoubles(divisionState);
+  if (doubles) {
+    for (const p of [p1, p2]) {
+      if (!String(p.partner || "").trim()) return { ok: false, message: `#${p.position} ${p.name} has no partner yet.` };
+    }
+  }
+
+  const linked = challengeForResult(divisionState, input.challengeId, p1, p2);
+  if (!linked.ok) return linked;
+
+  const winnerId = input.winnerId === "p1" ? "p1" : "p2";
+  const outcome = matchOutcome(input.outcome);
+  const score = outcome.score === "none" ? "" : String(input.score || "").trim();
+  const format = matchFormat(input.format || divisionState.rules.matchFormat).key;
+
+  const checked = validateMatchScore(outcome.key, score, format);
+  if (!checked.ok) return { ok: false, message: checked.message };
+
+  const challengerStartPos = p1.position;
+  const opponentStartPos = p2.position;
+  const moved = applyLadderMove(players, { challengerPid: p1.pid, winnerId, opponentPos: opponentStartPos }, divisionState.rules, playerCount);
+
+  const match = {
+    id: input.id || uid(),
+    division: p1.division,
+    date: String(input.date || formatDateISO(new Date())),
+    positionPlayedFor: opponentStartPos,
+    challengerPid: p1.pid,
+    opponentPid: p2.pid,
+    challengerNames: doubles ? [p1.name.trim(), p1.partner.trim()] : [],
+    opponentNames: doubles ? [p2.name.trim(), p2.partner.trim()] : [],
+    winnerId,
+    score,
+    surface: String(input.surface || ""),
+    challengerStartPos,
+    opponentStartPos,
+    ladderMoveApplied: moved.applied,
+    ladderMove: moved.move,
+    outcome: outcome.key,
+    format,
+    enteredBy: String(input.enteredBy || ""),
+    editedBy: "",
+    createdAt: new Date().toISOString(),
+  };
+
+  return {
+    ok: true,
+    match,
+    divisionState: {
+      ...divisionState,
+      matches: [match, ...divisionState.matches],
+      players: applyMatchStats(moved.players, match, +1, divisionState.calendar),
+      challenges: linked.challenge
+        ? closeChallenge(divisionState.challenges, linked.challenge.id, challengeStatusForMatch(match), match.id, match.enteredBy)
+        : divisionState.challenges,
+    },
+  };
+}
+
+export function applyEditMatch(divisionState, matchId, changes) {
+  const original = divisionState.matches.find((m) => m.id === matchId);
+  if (!original) return { ok: false, message: "Match not found." };
+
+  // Fields the edit leaves out keep their stored values.
+  const outcome = matchOutcome(changes.outcome || original.outcome);
+  const score = outcome.score === "none" ? "" : String(changes.score ?? original.score ?? "").trim();
+  const winnerId = changes.winnerId || original.winnerId;
+  if (winnerId !== "p1" && winnerId !== "p2") return { ok: false, message: "Winner must be the challenger or the opponent." };
+  const format = matchFormat(changes.format || original.format).key;
+  const checked = validateMatchScore(outcome.key, score, format);
+  if (!checked.ok) return { ok: false, message: checked.message };
+  if (matchOutcome(original.outcome).score === "full" && !matchTotals(original)) {
+    return { ok: false, message: "Stored score invalid; can't edit safely." };
+  }
+
+  let players = reverseLadderMove(divisionState.players, original);
+  players = applyMatchStats(players, original, -1, divisionState.calendar);
+
+  const edited = {
+    ...original,
+    date: String(changes.date || original.date),
+    surface: String(changes.surface || original.surface),
+    winnerId,
+    score,
+    outcome: outcome.key,
+    format,
+    editedBy: String(changes.editedBy || ""),
+  };
+
+  const p1 = players.find((p) => p.pid === edited.challengerPid);
+  const p2 = players.find((p) => p.pid === edited.opponentPid);
+  if (!p1 || !p2) return { ok: false, message: "Players missing." };
+
+  const challengerStartPos = p1.position;
+  const opponentStartPos = p2.position;
+  const moved = applyLadderMove(
+    players,
+    { challengerPid: p1.pid, winnerId: edited.winnerId, opponentPos: opponentStartPos },
+    divisionState.rules,
+    divisionState.playerCount
+  );
+
+  edited.challengerStartPos = challengerStartPos;
+  edited.opponentStartPos = opponentStartPos;
+  edited.positionPlayedFor = opponentStartPos;
+  edited.ladderMoveApplied = moved.applied;
+  edited.ladderMove = moved.move;
+
+  return {
+    ok: true,
+    match: edited,
+    divisionState: {
+      ...divisionState,
+      players: applyMatchStats(moved.players, edited, +1, divisionState.calendar),
+      matches: divisionState.matches.map((m) => (m.id === edited.id ? edited : m)),
+      challenges: (divisionState.challenges || []).map((c) => (c.matchId === edited.id ? { ...c, status: challengeStatusForMatch(edited) } : c)),
+    },
+  };
+}
+
+export function applyDeleteMatch(divisionState, matchId) {
+  const match = divisionState.matches.find((m) => m.id === matchId);
+  if (!match) return { ok: false, message: "Match not found." };
+
+  const players = reverseLadderMove(applyMatchStats(divisionState.players, match, -1, divisionState.calendar), match);
+
+  // A challenge settled by this match is open again.
+  const challenges = (divisionState.challenges || []).map((c) =>
+    c.matchId === matchId ? { ...c, status: c.acceptedDate ? "accepted" : "open", matchId: "", closedBy: "" } : c
+  );
+
+  return {
+    ok: true,
+    match,
+    divisionState: {
+      ...divisionState,
+      matches: divisionState.matches.filter((m) => m.id !== matchId),
+      players,
+      challenges,
+    },
+  };
+}
+
+export function applyDropPlayer(divisionState, pid, places, adminName, reason = "for not playing a game in 1 month", date) {
+  const { players, playerCount } = divisionState;
+  const player = players.find((p) => p.pid === pid);
+  if (!player) return { ok: false, message: `Choose a player to drop ${places} places.` };
+  if (player.position >= playerCount) return { ok: false, message: "That player is already at the bottom of the active ladder." };
+
+  const message = `${player.name || "Player"} moved down ${places} places ${reason}.`;
+  const moved = movePlayerDownByPlaces(players, player.pid, places, playerCount);
+  const toPos = moved.find((p) => p.pid === player.pid).position;
+  const event = makeLadderEvent("drop", player, toPos, message, adminName, date);
+
+  return {
+    ok: true,
+    event,
+    divisionState: {
+      ...divisionState,
+      players: moved,
+      events: [event, ...divisionState.events],
+    },
+  };
+}
+
+export function applyWithdrawPlayer(divisionState, pid, adminName) {
+  const { players, playerCount } = divisionState;
+  const player = players.find((p) => p.pid === pid);
+  if (!player) return { ok: false, message: "Choose a player to withdraw." };
+  if (isWithdrawnPlayer(player)) return { ok: false, message: `${player.name || "That player"} is already withdrawn.` };
+
+  const message = `${player.name || "Player"} withdrawn and moved to the bottom of the ladder.`;
+  const moved = movePlayerToBottom(players, player.pid, playerCount).map((p) => {
+    if (p.pid !== player.pid) return p;
+    return { ...p, withdrawn: true, withdrawnFrom: player.position };
+  });
+  const event = makeLadderEvent("withdraw", player, moved.find((p) => p.pid === player.pid).position, message, adminName);
+
+  // Their open challenges are called off, so none can later become a walkover.
+  let challenges = divisionState.challenges || [];
+  for (const c of challenges.filter((c) => isOpenChallenge(c) && (c.challengerPid === player.pid || c.opponentPid === player.pid))) {
+    challenges = closeChallenge(challenges, c.id, "cancelled", "", adminName);
+  }
+
+  return {
+    ok: true,
+    event,
+    divisionState: {
+      ...divisionState,
+      players: moved,
+      events: [event, ...divisionState.events],
+      challenges,
+    },
+  };
+}
+
+// Brings a withdrawn player back at toPos, or where they were when they withdrew if toPos is empty.
+export function applyReinstatePlayer(divisionState, pid, toPos, adminName) {
+  const { players, playerCount } = divisionState;
+  const player = players.find((p) => p.pid === pid);
+  if (!player) return { ok: false, message: "Choose a player to reinstate." };
+  if (!isWithdrawnPlayer(player)) return { ok: false, message: `${player.name || "That player"} is not withdrawn.` };
+
+  // Players withdrawn before the status existed have no withdrawnFrom; fall back to their withdraw event.
+  const lastWithdrawal = divisionState.events.find((e) => e.kind === "withdraw" && e.pid === pid);
+  const originalPos = player.withdrawnFrom || lastWithdrawal?.fromPos || player.position;
+  const requested = asNumber(toPos, 0);
+  const newPos = clamp(requested > 0 ? requested : originalPos, 1, playerCount);
+
+  const message = `${player.name || "Player"} reinstated at #${newPos}.`;
+  const moved = movePlayerToPosition(players, player.pid, newPos).map((p) => {
+    if (p.pid !== player.pid) return p;
+    return { ...p, withdrawn: false, withdrawnFrom: 0 };
+  });
+  const event = makeLadderEvent("reinstate", player, newPos, message, adminName);
+
+  return {
+    ok: true,
+    event,
+    divisionState: {
+      ...divisionState,
+      players: moved,
+      events: [event, ...divisionState.events],
+    },
+  };
+}
+
+export function applyDeleteEvent(divisionState, eventId) {
+  const event = divisionState.events.find((e) => e.id === eventId);
+  if (!event) return { ok: false, message: "Ladder event not found." };
+
+  return {
+    ok: true,
+    event,
+    divisionState: {
+      ...divisionState,
+      events: divisionState.events.filter((e) => e.id !== eventId),
+    },
+  };
+}
+
+// Table edits: a player's name (and doubles partner), their totals, and how many
+// positions are in play.
+export function applyRenamePlayer(divisionState, pid, { name, partner } = {}) {
+  if (!divisionState.players.some((p) => p.pid === pid)) return { ok: false, message: "Player not found" };
+  const players = divisionState.players.map((p) => {
+    if (p.pid !== pid) return p;
+    const next = { ...p, name: String(name ?? p.name) };
+    if (partner !== undefined) next.partner = String(partner || "");
+    return next;
+  });
+  return { ok: true, divisionState: { ...divisionState, players } };
+}
+
+export function applySetPlayerStats(divisionState, pid, stats = {}) {
+  if (!divisionState.players.some((p) => p.pid === pid)) return { ok: false, message: "Player not found" };
+  const players = divisionState.players.map((p) => {
+    if (p.pid !== pid) return p;
+    const next = { ...p };
+    for (const field of STAT_FIELDS) {
+      if (field in stats) next[field] = clampMin0(stats[field]);
+    }
+    if (stats.periodCounts && typeof stats.periodCounts === "object") {
+      next.periodCounts = { ...p.periodCounts };
+      for (const [key, n] of Object.entries(stats.periodCounts)) next.periodCounts[key] = clampMin0(n);
+    }
+    return next;
+  });
+  return { ok: true, divisionState: { ...divisionState, players } };
+}
+
+export function applySetPlayerCount(divisionState, playerCount) {
+  const count = clamp(asNumber(playerCount, DEFAULT_PLAYER_COUNT), 2, divisionState.capacity);
+  return { ok: true, playerCount: count, divisionState: { ...divisionState, playerCount: count } };
+}
+
+// Runs an admin action from the payload the app sends for it, for the actions that
+// can wait in its outbox. A queued change is re-run on top of every reload so it
+// stays in view until it has been sent; one that has since landed refuses (its
+// id is taken, or what it changes is gone) and is skipped.
+export function applyAdminAction(divisionState, action, payload, adminName) {
+  const id = (key) => String(payload[key] || "");
+  switch (action) {
+    case "addMatch":
+      return applyAddMatch(divisionState, { ...payload, enteredBy: adminName });
+    case "editMatch":
+      return applyEditMatch(divisionState, id("matchId"), { ...payload, editedBy: adminName });
+    case "deleteMatch":
+      return applyDeleteMatch(divisionState, id("matchId"));
+    case "deleteEvent":
+      return applyDeleteEvent(divisionState, id("eventId"));
+    case "withdrawPlayer":
+      return applyWithdrawPlayer(divisionState, id("pid"), adminName);
+    case "reinstatePlayer":
+      return applyReinstatePlayer(divisionState, id("pid"), payload.toPos, adminName);
+    case "renamePlayer":
+      return applyRenamePlayer(divisionState, id("pid"), payload);
+    case "setPlayerStats":
+      return applySetPlayerStats(divisionState, id("pid"), payload.stats);
+    case "setPlayerCount":
+      return applySetPlayerCount(divisionState, payload.playerCount);
+    case "issueChallenge":
+      return applyIssueChallenge(divisionState, { ...payload, issuedBy: adminName });
+    case "acceptChallenge":
+      return applyAcceptChallenge(divisionState, id("challengeId"), payload.date);
+    case "cancelChallenge":
+      return applyCancelChallenge(divisionState, id("challengeId"), adminName);
+    case "awardWalkover":
+      return applyChallengeWalkover(divisionState, id("challengeId"), { ...payload, enteredBy: adminName, force: payload.force === true });
+    default:
+      return { ok: false, message: `Unknown action: ${action}` };
+  }
+}
+
+// `state` (every division of one season) with the queued changes, oldest first,
+// run on top of it. `entries` are outbox entries: { action, payload, adminName }.
+export function applyQueuedChanges(state, entries, seasonId) {
+  let next = state;
+  for (const { action, payload, adminName } of entries) {
+    const current = payload.season === seasonId && next[payload.division];
+    if (!current) continue;
+    const result = applyAdminAction(current, action, payload, adminName);
+    if (result.ok) next = { ...next, [payload.division]: result.divisionState };
+  }
+  return next;
+}
+
+// ----------------------------
+// Inactivity
+//
+// A player's last activity is their latest match (one with no play, like a walkover,
+// counts only for the winner) or inactivity drop, or else the season start. Anyone whose last
+// activity is more than rules.inactivityDays before today is inactive.
+// ----------------------------
+
+export function findInactivePlayers(divisionState, todayISO) {
+  const { inactivityDays } = normalizeDivisionRules(divisionState.rules);
+  const cutoff = addDays(todayISO, -inactivityDays);
+  const lastPlayed = new Map();
+  const lastDropped = new Map();
+  const note = (map, pid, date) => {
+    if (date && !(map.get(pid) >= date)) map.set(pid, date);
+  };
+
+  for (const m of divisionState.matches) {
+    const played = Boolean(matchTotals(m));
+    if (played || m.winnerId === "p1") note(lastPlayed, m.challengerPid, m.date);
+    if (played || m.winnerId === "p2") note(lastPlayed, m.opponentPid, m.date);
+  }
+  for (const e of divisionState.events) {
+    if (e.kind === "drop") note(lastDropped, e.pid, e.date);
+  }
+
+  const seasonStart = normalizeCalendar(divisionState.calendar).start;
+  return divisionState.players
+    .filter((p) => isActivePosition(p, divisionState.playerCount) && String(p.name || "").trim() && !isWithdrawnPlayer(p))
+    .map((p) => {
+      const played = lastPlayed.get(p.pid) || "";
+      const since = [played, lastDropped.get(p.pid) || "", seasonStart].reduce((a, b) => (b > a ? b : a), "");
+      return { pid: p.pid, position: p.position, name: entryName(p), lastPlayed: played, since };
+    })
+    .filter((x) => x.since < cutoff)
+    .sort((a, b) => a.position - b.position);
+}
+
+// Drops every inactive player in `pids` (all of them when null) by rules.dropPlaces,
+// or to the bottom if that is closer. The lowest goes first, so each drop starts from
+// the player's position on the day; an inactive player passes anyone below, inactive
+// or not. Each drop is its own ladder event dated todayISO; their createdAt values
+// are a millisecond apart so a rebuild replays them in the same order. Nobody able
+// to move (e.g. everyone inactive is already at the bottom) is a no-op, not an error.
+export function applyInactivityDrops(divisionState, pids, { todayISO, adminName } = {}) {
+  const today = String(todayISO || formatDateISO(new Date()));
+  const { dropPlaces, inactivityDays } = normalizeDivisionRules(divisionState.rules);
+  const wanted = pids ? new Set(pids) : null;
+  const targets = findInactivePlayers(divisionState, today).filter((x) => !wanted || wanted.has(x.pid));
+
+  let next = divisionState;
+  const dropped = [];
+  const startedAt = Date.now();
+  for (const target of [...targets].reverse()) {
+    const places = Math.min(dropPlaces, divisionState.playerCount - target.position);
+    if (places <= 0) continue;
+
+    const reason = `for not playing since ${target.lastPlayed || "the season started"} (over ${inactivityDays} days)`;
+    const result = applyDropPlayer(next, target.pid, places, adminName, reason, today);
+    if (!result.ok) continue;
+    const event = { ...result.event, createdAt: new Date(startedAt + dropped.length).toISOString() };
+    next = { ...result.divisionState, events: [event, ...next.events] };
+    dropped.push(target);
+  }
+
+  return { ok: true, dropped: dropped.reverse(), divisionState: next };
+}
+
+// ----------------------------
+// Challenges
+//
+// A challenge is issued against someone above the challenger and within range;
+// the opponent then has rules.challengeDays to play it. Entering the result
+// closes it as "played"; an overdue one can be closed as a walkover instead.
+// ----------------------------
+
+export function applyIssueChallenge(divisionState, { id, challengerPid, opponentPid, date, issuedBy }) {
+  const { players, playerCount } = divisionState;
+  const p1 = players.find((p) => p.pid === challengerPid);
+  const p2 = players.find((p) => p.pid === opponentPid);
+  if (!p1 || !p2) return { ok: false, message: "Pick a challenger and an opponent." };
+
+  for (const p of [p1, p2]) {
+    if (!isActivePosition(p, playerCount) || !String(p.name || "").trim()) return { ok: false, message: `#${p.position} has no player.` };
+    if (isWithdrawnPlayer(p)) return { ok: false, message: `${p.name} is withdrawn. Reinstate them first.` };
+  }
+  if (p1.position <= p2.position) return { ok: false, message: "Challenges go up the ladder: pick an opponent above the challenger." };
+
+  const rangeError = challengeRangeError(divisionState, p1, p2);
+  if (rangeError) return { ok: false, message: rangeError };
+
+  const busy = [p1, p2].find((p) =>
+    (divisionState.challenges || []).some((c) => isOpenChallenge(c) && (c.challengerPid === p.pid || c.opponentPid === p.pid))
+  );
+  if (busy) return { ok: false, message: `${entryName(busy)} already has an open challenge.` };
+
+  const issuedDate = String(date || formatDateISO(new Date()));
+  const challenge = {
+    id: id || `chl_${uid()}`,
+    division: p1.division,
+    challengerPid: p1.pid,
+    opponentPid: p2.pid,
+    status: "open",
+    issuedDate,
+    deadline: addDays(issuedDate, normalizeDivisionRules(divisionState.rules).challengeDays),
+    acceptedDate: "",
+    matchId: "",
+    issuedBy: String(issuedBy || ""),
+    closedBy: "",
+    createdAt: new Date().toISOString(),
+  };
+
+  return {
+    ok: true,
+    challenge,
+    divisionState: { ...divisionState, challenges: [challenge, ...(divisionState.challenges || [])] },
+  };
+}
+
+function findOpenChallenge(divisionState, challengeId) {
+  const challenge = (divisionState.challenges || []).find((c) => c.id === challengeId);
+  if (!challenge) return { ok: false, message: "Challenge not found." };
+  if (!isOpenChallenge(challenge)) return { ok: false, message: `That challenge is already ${challengeStatusLabel(challenge.status).toLowerCase()}.` };
+  return { ok: true, challenge };
+}
+
+export function applyAcceptChallenge(divisionState, challengeId, date) {
+  const found = findOpenChallenge(divisionState, challengeId);
+  if (!found.ok) return found;
+  if (found.challenge.status === "accepted") return { ok: false, message: "That challenge is already accepted." };
+
+  const challenge = { ...found.challenge, status: "accepted", acceptedDate: String(date || formatDateISO(new Date())) };
+  return {
+    ok: true,
+    challenge,
+    divisionState: { ...divisionState, challenges: divisionState.challenges.map((c) => (c.id === challengeId ? challenge : c)) },
+  };
+}
+
+export function applyCancelChallenge(divisionState, challengeId, adminName) {
+  const found = findOpenChallenge(divisionState, challengeId);
+  if (!found.ok) return found;
+  return {
+    ok: true,
+    challenge: found.challenge,
+    divisionState: { ...divisionState, challenges: closeChallenge(divisionState.challenges, challengeId, "cancelled", "", adminName) },
+  };
+}
+
+// The challenger wins a challenge the opponent didn't play: the ladder moves as
+// for a win, and the walkover is kept as a match with no score. Only once the
+// deadline has passed (as overdueChallenges() sees it) unless `force` is set, and
+// never while either side is withdrawn.
+export function applyChallengeWalkover(divisionState, challengeId, { matchId, date, enteredBy, todayISO, force = false } = {}) {
+  const found = findOpenChallenge(divisionState, challengeId);
+  if (!found.ok) return found;
+  const { challenge } = found;
+  const today = todayISO || formatDateISO(new Date());
+  if (!force && !overdueChallenges({ challenges: [challenge] }, today).length) {
+    return { ok: false, message: `A walkover can only be awarded after the deadline (${challenge.deadline}).` };
+  }
+
+  const p1 = divisionState.players.find((p) => p.pid === challenge.challengerPid);
+  const p2 = divisionState.players.find((p) => p.pid === challenge.opponentPid);
+  if (!p1 || !p2) return { ok: false, message: "Players missing." };
+  const withdrawn = [p1, p2].find(isWithdrawnPlayer);
+  if (withdrawn) return { ok: false, message: `${entryName(withdrawn)} is withdrawn. Cancel the challenge instead.` };
+
+  const doubles = isDoubles(divisionState);
+  const moved = applyLadderMove(
+    divisionState.players,
+    { challengerPid: p1.pid, winnerId: "p1", opponentPos: p2.position },
+    divisionState.rules,
+    divisionState.playerCount
+  );
+
+  const match = {
+    id: matchId || uid(),
+    division: p1.division,
+    date: String(date || formatDateISO(new Date())),
+    positionPlayedFor: p2.position,
+    challengerPid: p1.pid,
+    opponentPid: p2.pid,
+    challengerNames: doubles ? [p1.name.trim(), p1.partner.trim()] : [],
+    opponentNames: doubles ? [p2.name.trim(), p2.partner.trim()] : [],
+    winnerId: "p1",
+    score: "",
+    surface: "",
+    challengerStartPos: p1.position,
+    opponentStartPos: p2.position,
+    ladderMoveApplied: moved.applied,
+    ladderMove: moved.move,
+    outcome: "walkover",
+    format: divisionState.rules.matchFormat,
+    enteredBy: String(enteredBy || ""),
+    editedBy: "",
+    createdAt: new Date().toISOString(),
+  };
+
+  return {
+    ok: true,
+    match,
+    divisionState: {
+      ...divisionState,
+      players: moved.players,
+      matches: [match, ...divisionState.matches],
+      challenges: closeChallenge(divisionState.challenges, challengeId, "walkover", match.id, enteredBy),
+    },
+  };
+}
+
+// Puts a list of records back to their `before` values, given diffById() output.
+function restoreById(list, changes) {
+  const restored = new Map(changes.map((c) => [c.id, c.before]));
+  const present = new Set(list.map((x) => x.id));
+  const reinstated = changes.filter((c) => c.before && !present.has(c.id)).map((c) => c.before);
+  const rest = list.filter((x) => !restored.has(x.id) || restored.get(x.id)).map((x) => restored.get(x.id) || x);
+  return [...reinstated, ...rest];
+}
+
+// Undoes one audited change (a diffDivisionStates() result) by putting every
+// row it touched back the way it was. Refuses if any of those rows has been
+// changed again since, because restoring them would throw the later change away.
+export function applyRevert(divisionState, changes) {
+  const conflict = { ok: false, message: "Later changes touched the same players, matches, events or challenges. Undo those first." };
+
+  const playersByPid = new Map(divisionState.players.map((p) => [p.pid, p]));
+  for (const c of changes.players || []) {
+    const now = playersByPid.get(c.pid);
+    if (!now || !c.before || changedPlayers([c.after], [now]).length > 0) return conflict;
+  }
+
+  for (const [list, changed] of [
+    [divisionState.matches, changes.matches || []],
+    [divisionState.events, changes.events || []],
+    [divisionState.challenges || [], changes.challenges || []],
+  ]) {
+    const byId = new Map(list.map((x) => [x.id, x]));
+    for (const c of changed) {
+      const now = byId.get(c.id) || null;
+      if (!c.after ? now !== null : !now || !sameRecord(now, c.after)) return conflict;
+    }
+  }
+
+  if (changes.playerCount && divisionState.playerCount !== changes.playerCount.after) return conflict;
+
+  const restoredPlayers = new Map((changes.players || []).map((c) => [c.pid, c.before]));
+  const players = divisionState.players
+    .map((p) => (restoredPlayers.has(p.pid) ? { ...p, ...restoredPlayers.get(p.pid) } : p))
+    .sort((a, b) => a.position - b.position);
+
+  return {
+    ok: true,
+    divisionState: {
+      ...divisionState,
+      playerCount: changes.playerCount ? changes.playerCount.before : divisionState.playerCount,
+      players,
+      matches: restoreById(divisionState.matches, changes.matches || []),
+      events: restoreById(divisionState.events, changes.events || []),
+      challenges: restoreById(divisionState.challenges || [], changes.challenges || []),
+    },
+  };
+}
+
+// Ladder moves happen when a result is entered, not on the date it was played,
+// so unwinding the current order goes back in entry order (played date only
+// breaks ties for old rows).
+function compareByEntry(a, b) {
+  return (
+    String(a.createdAt || "").localeCompare(String(b.createdAt || "")) ||
+    String(a.date).localeCompare(String(b.date)) ||
+    String(a.id).localeCompare(String(b.id))
+  );
+}
+
+// Matches and ladder events, in the order they were entered.
+function ladderHistory(divisionState) {
+  return [
+    ...divisionState.matches.map((m) => ({ ...m, type: "match" })),
+    ...divisionState.events.map((e) => ({ ...e, type: "event" })),
+  ].sort(compareByEntry);
+}
+
+// Walks the ladder back from `players` through `history` (oldest first) by undoing
+// each recorded move, and returns the order from before the first one. `onStep`
+// sees each item with the order as it stood just after that item.
+function unwindLadder(players, history, onStep = () => {}) {
+  for (const item of [...history].reverse()) {
+    onStep(item, players);
+    if (item.type === "match") {
+      players = reverseLadderMove(players, item);
+      continue;
+    }
+    players = movePlayerToPosition(players, item.pid, item.fromPos);
+    if (item.kind === "withdraw" || item.kind === "reinstate") {
+      players = players.map((p) => (p.pid === item.pid ? { ...p, withdrawn: item.kind === "reinstate" } : p));
+    }
+  }
+  return players;
+}
+
+// Each entry's position over the season, by pid: [{ date, position }] oldest
+// first, starting from where they stood at the season start and with one point
+// per day their position changed (where they ended that day). Positions are
+// recovered by unwinding the recorded moves from the current order, so the players
+// shifted by someone else's leapfrog or drop are covered too. Points follow entry
+// order; a result entered late takes the date of the latest point before it.
+export function positionTimelines(divisionState) {
+  const steps = [];
+  const start = unwindLadder(divisionState.players, ladderHistory(divisionState), (item, players) => steps.push({ date: item.date, players }));
+  steps.reverse();
+
+  const firstDate = [normalizeCalendar(divisionState.calendar).start, steps[0]?.date].filter(Boolean).sort()[0] || "";
+  const timelines = new Map(start.map((p) => [p.pid, [{ date: firstDate, position: p.position }]]));
+
+  let date = firstDate;
+  for (const step of steps) {
+    if (String(step.date || "") > date) date = step.date;
+    for (const p of step.players) {
+      const points = timelines.get(p.pid);
+      if (!points) continue;
+      const last = points[points.length - 1];
+      if (last.position === p.position) continue;
+      if (last.date !== date || points.length === 1) points.push({ date, position: p.position });
+      else if (points[points.length - 2].position === p.position) points.pop();
+      else last.position = p.position;
+    }
+  }
+  return timelines;
+}
+
+// Where a timeline had the entry at the end of `dateISO` (its first point if earlier).
+export function positionOn(points, dateISO) {
+  let position = points[0]?.position ?? 0;
+  for (const point of points) {
+    if (point.date > dateISO) break;
+    position = point.position;
+  }
+  return position;
+}
+
+// Highest and lowest position (1 is highest) and the biggest single climb, if any.
+export function positionSummary(points) {
+  const positions = points.map((x) => x.position);
+  let biggestClimb = null;
+  for (let i = 1; i < points.length; i += 1) {
+    const places = points[i - 1].position - points[i].position;
+    if (places > 0 && places > (biggestClimb?.places || 0)) {
+      biggestClimb = { places, from: points[i - 1].position, to: points[i].position, date: points[i].date };
+    }
+  }
+  return { highest: Math.min(...positions), lowest: Math.max(...positions), biggestClimb };
+}
+
+// The order the season started from: the one saved when it was created, with
+// entries added since then after it in their current order. Divisions without a
+// saved order (older seasons) recover it by unwinding the recorded movements.
+function startingOrder(divisionState, history) {
+  const saved = divisionState.startOrder || [];
+  if (!saved.length) return unwindLadder(divisionState.players, history);
+
+  const rank = new Map(saved.map((pid, i) => [pid, i]));
+  const ranked = (p) => rank.get(p.pid) ?? saved.length + p.position;
+  return [...divisionState.players]
+    .sort((a, b) => ranked(a) - ranked(b))
+    .map((p, i) => ({ ...p, position: i + 1, withdrawn: false, withdrawnFrom: 0 }));
+}
+
+// Recomputes every player's totals and position by replaying the division's history
+// from its starting order onto zeroed stats. Matches and ladder events replay by the
+// date they were played (entry order breaks ties), and each match makes the ladder
+// move it recorded rather than one under the current rules. Start positions recorded
+// on matches and events are corrected to what the replay saw. Refused while old
+// "ADMIN:" entries are unmigrated: their corrected copies would be saved as ladder
+// events next to the original match rows.
+export function rebuildDivisionFromHistory(divisionState) {
+  if (divisionState.events.some((e) => e.legacy)) {
+    return { ok: false, message: "Move old admin entries to ladder events before rebuilding." };
+  }
+  const history = ladderHistory(divisionState);
+  const byDate = [...history].sort((a, b) => String(a.date).localeCompare(String(b.date)) || compareByEntry(a, b));
+
+  let players = startingOrder(divisionState, history).map((p) => {
+    const zeroed = { ...p };
+    for (const field of STAT_FIELDS) zeroed[field] = 0;
+    zeroed.periodCounts = {};
+    return zeroed;
+  });
+
+  const matches = new Map();
+  const events = new Map();
+  const { playerCount } = divisionState;
+
+  for (const item of byDate) {
+    const { type, ...record } = item;
+
+    if (type === "match") {
+      const p1 = players.find((p) => p.pid === record.challengerPid);
+      const p2 = players.find((p) => p.pid === record.opponentPid);
+      if (!p1 || !p2) {
+        matches.set(record.id, record);
+        continue;
+      }
+      const challengerStartPos = p1.position;
+      const opponentStartPos = p2.position;
+      const moved = replayLadderMove(players, record, opponentStartPos, playerCount);
+      const match = {
+        ...record,
+        challengerStartPos,
+        opponentStartPos,
+        positionPlayedFor: opponentStartPos,
+        ladderMoveApplied: moved.applied,
+        ladderMove: moved.move,
+      };
+      players = applyMatchStats(moved.players, match, +1, divisionState.calendar);
+      matches.set(match.id, match);
+      continue;
+    }
+
+    const player = players.find((p) => p.pid === record.pid);
+    if (!player) {
+      events.set(record.id, record);
+      continue;
+    }
+    const fromPos = player.position;
+    if (record.kind === "withdraw") {
+      players = movePlayerToBottom(players, player.pid, playerCount).map((p) =>
+        p.pid === player.pid ? { ...p, withdrawn: true, withdrawnFrom: fromPos } : p
+      );
+    } else if (record.kind === "reinstate") {
+      players = movePlayerToPosition(players, player.pid, clamp(record.toPos, 1, playerCount)).map((p) =>
+        p.pid === player.pid ? { ...p, withdrawn: false, withdrawnFrom: 0 } : p
+      );
+    } else {
+      players = movePlayerDownByPlaces(players, player.pid, Math.max(0, record.toPos - record.fromPos), playerCount);
+    }
+    events.set(record.id, { ...record, fromPos, toPos: players.find((p) => p.pid === player.pid).position });
+  }
+
+  return {
+    ok: true,
+    divisionState: {
+      ...divisionState,
+      players: players.sort((a, b) => a.position - b.position),
+      matches: divisionState.matches.map((m) => matches.get(m.id) || m),
+      events: divisionState.events.map((e) => events.get(e.id) || e),
+    },
+  };
+}
@@ -0,0 +1,647 @@
+import { describe, expect, it } from "vitest";
+import {
+  MATCH_FORMATS,
+  applyAcceptChallenge,
+  applyAddMatch,
+  applyCancelChallenge,
+  applyChallengeWalkover,
+  applyDeleteMatch,
+  applyDropPlayer,
+  applyEditMatch,
+  applyInactivityDrops,
+  applyIssueChallenge,
+  applyQueuedChanges,
+  applyRevert,
+  applyWithdrawPlayer,
+  calendarPeriods,
+  computeFromSets,
+  createDivisionState,
+  diffDivisionStates,
+  formatScore,
+  headToHead,
+  normalizeCalendar,
+  overdueChallenges,
+  parseScore,
+  patchRows,
+  periodKeyForDate,
+  playerFromRow,
+  playerRecords,
+  positionOn,
+  positionSummary,
+  positionTimelines,
+  rebuildDivisionFromHistory,
+  tieBreakRecords,
+  validateCalendar,
+  validateMatchScore,
+} from "./ladder.js";
+
+// An eight-player singles ladder, P1 at the top.
+function ladder(rules = {}) {
+  const state = createDivisionState("mens", { capacity: 8, rules });
+  return { ...state, playerCount: 8, players: state.players.map((p) => ({ ...p, name: `P${p.position}` })) };
+}
+
+function ok(result) {
+  expect(result.message || "").toBe("");
+  expect(result.ok).toBe(true);
+  return result.divisionState;
+}
+
+function addMatch(state, id, challengerPid, opponentPid, winnerId, date, score = "6-3 6-4") {
+  return ok(applyAddMatch(state, { id, challengerPid, opponentPid, winnerId, date, score }));
+}
+
+function positions(state) {
+  return Object.fromEntries(state.players.map((p) => [p.pid, p.position]));
+}
+
+function expectSameLadder(actual, expected) {
+  const diff = diffDivisionStates(expected, actual);
+  expect(diff.players).toEqual([]);
+  expect(diff.matches).toEqual([]);
+  expect(diff.events).toEqual([]);
+  expect(diff.challenges).toEqual([]);
+}
+
+describe("match round-trips", () => {
+  // Scores are written from the challenger's side.
+  it("adding a challenger's win moves the ladder and credits both players", () => {
+    const after = addMatch(ladder(), "m1", "mens_p4", "mens_p2", "p1", "2026-05-01");
+    expect(positions(after)).toMatchObject({ mens_p1: 1, mens_p4: 2, mens_p2: 3, mens_p3: 4 });
+    const winner = after.players.find((p) => p.pid === "mens_p4");
+    expect(winner).toMatchObject({ matchesPlayed: 1, matchesWon: 1, setsWon: 2, gamesWon: 12, gamesLost: 7 });
+    expect(after.matches[0]).toMatchObject({ challengerStartPos: 4, opponentStartPos: 2, ladderMove: "leapfrog" });
+  });
+
+  it("deleting a match puts the ladder back as it was", () => {
+    const before = addMatch(ladder(), "m1", "mens_p3", "mens_p1", "p1", "2026-05-01");
+    const added = addMatch(before, "m2", "mens_p6", "mens_p4", "p1", "2026-05-02");
+    expectSameLadder(ok(applyDeleteMatch(added, "m2")), before);
+  });
+
+  it("editing a match and editing it back restores the ladder", () => {
+    const added = addMatch(ladder(), "m1", "mens_p5", "mens_p3", "p1", "2026-05-01");
+    const flipped = ok(applyEditMatch(added, "m1", { winnerId: "p2", score: "2-6 2-6" }));
+    expect(positions(flipped)).toEqual(positions(ladder()));
+    expect(flipped.players.find((p) => p.pid === "mens_p3")).toMatchObject({ matchesWon: 1, gamesWon: 12, gamesLost: 4 });
+
+    const restored = ok(applyEditMatch(flipped, "m1", { winnerId: "p1", score: "6-3 6-4" }));
+    expect(diffDivisionStates(added, restored).players).toEqual([]);
+  });
+
+  it("an edit that leaves out the winner and score keeps the stored ones", () => {
+    const added = addMatch(ladder(), "m1", "mens_p5", "mens_p3", "p1", "2026-05-01");
+    const edited = ok(applyEditMatch(added, "m1", { surface: "clay" }));
+    expect(edited.matches[0]).toMatchObject({ winnerId: "p1", score: "6-3 6-4", surface: "clay" });
+    expect(diffDivisionStates(added, edited).players).toEqual([]);
+  });
+
+  it("a walkover counts as played for both and won for the winner, with no sets or games", () => {
+    const before = ladder();
+    const after = ok(applyAddMatch(before, { id: "w1", challengerPid: "mens_p3", opponentPid: "mens_p2", winnerId: "p2", date: "2026-05-01", outcome: "walkover", score: "" }));
+    expect(after.players.find((p) => p.pid === "mens_p2")).toMatchObject({ matchesPlayed: 1, matchesWon: 1, setsWon: 0, gamesWon: 0 });
+    expect(after.players.find((p) => p.pid === "mens_p3")).toMatchObject({ matchesPlayed: 1, matchesWon: 0, setsLost: 0, gamesLost: 0 });
+    expectSameLadder(ok(applyDeleteMatch(after, "w1")), before);
+  });
+
+  it("turning a walkover into a scored win keeps one match played", () => {
+    const walkover = ok(applyAddMatch(ladder(), { id: "w1", challengerPid: "mens_p3", opponentPid: "mens_p2", winnerId: "p1", date: "2026-05-01", outcome: "walkover", score: "" }));
+    const scored = ok(applyEditMatch(walkover, "w1", { outcome: "completed", score: "6-3 6-4" }));
+    expect(scored.players.find((p) => p.pid === "mens_p3")).toMatchObject({ matchesPlayed: 1, matchesWon: 1, setsWon: 2, gamesWon: 12 });
+  });
+});
+
+describe("applyRevert", () => {
+  it("undoes an audited change", () => {
+    const before = addMatch(ladder(), "m1", "mens_p3", "mens_p2", "p1", "2026-05-01");
+    const after = addMatch(before, "m2", "mens_p5", "mens_p1", "p1", "2026-05-02");
+    expectSameLadder(ok(applyRevert(after, diffDivisionStates(before, after))), before);
+  });
+
+  it("refuses when a later change touched the same rows", () => {
+    const before = ladder();
+    const after = addMatch(before, "m1", "mens_p3", "mens_p2", "p1", "2026-05-01");
+    const later = ok(applyEditMatch(after, "m1", { score: "7-5 6-4" }));
+    expect(applyRevert(later, diffDivisionStates(before, after)).ok).toBe(false);
+  });
+});
+
+describe("rebuildDivisionFromHistory", () => {
+  it("changes nothing when the stored ladder matches its history", () => {
+    let state = ladder();
+    state = addMatch(state, "m1", "mens_p4", "mens_p2", "p1", "2026-05-01");
+    state = addMatch(state, "m2", "mens_p6", "mens_p5", "p2", "2026-05-03");
+    state = addMatch(state, "m3", "mens_p7", "mens_p4", "p1", "2026-05-05");
+    state = ok(applyDropPlayer(state, "mens_p1", 3, "Admin"));
+    state = ok(applyWithdrawPlayer(state, "mens_p3", "Admin"));
+    expectSameLadder(ok(rebuildDivisionFromHistory(state)), state);
+  });
+
+  it("refuses while old admin entries haven't been moved to ladder events", () => {
+    const state = ok(applyDropPlayer(ladder(), "mens_p1", 3, "Admin"));
+    const legacy = { ...state, events: state.events.map((e) => ({ ...e, legacy: true })) };
+    expect(rebuildDivisionFromHistory(legacy)).toMatchObject({ ok: false, message: "Move old admin entries to ladder events before rebuilding." });
+  });
+
+  it("replays each match's recorded move, not one under the current rules", () => {
+    const state = addMatch(ladder(), "m1", "mens_p4", "mens_p1", "p1", "2026-05-01");
+    const rebuilt = ok(rebuildDivisionFromHistory({ ...state, rules: { ...state.rules, moveMode: "swap" } }));
+    expect(positions(rebuilt)).toEqual(positions(state));
+  });
+
+  it("replays by the date played when results were entered out of order", () => {
+    let state = addMatch(ladder(), "m1", "mens_p3", "mens_p2", "p1", "2026-05-10");
+    state = addMatch(state, "m2", "mens_p2", "mens_p1", "p1", "2026-05-01");
+    // P2 beat P1 first, so P3's win over P2 took the top place.
+    expect(positions(state)).toMatchObject({ mens_p2: 1, mens_p1: 2, mens_p3: 3 });
+    const rebuilt = ok(rebuildDivisionFromHistory(state));
+    expect(positions(rebuilt)).toMatchObject({ mens_p3: 1, mens_p2: 2, mens_p1: 3 });
+  });
+});
+
+describe("validateMatchScore", () => {
+  it.each(MATCH_FORMATS)("accepts the $key example and rejects an unfinished set", (format) => {
+    expect(validateMatchScore("completed", format.example, format.key).ok).toBe(true);
+    expect(validateMatchScore("completed", "3-3", format.key).ok).toBe(false);
+    expect(validateMatchScore("completed", "", format.key).ok).toBe(false);
+  });
+
+  it.each(MATCH_FORMATS)("needs a score for a $key retirement but none for a walkover", (format) => {
+    expect(validateMatchScore("retired", "", format.key).ok).toBe(false);
+    expect(validateMatchScore("walkover", "", format.key).ok).toBe(true);
+    expect(validateMatchScore("defaulted", "", format.key).ok).toBe(true);
+  });
+
+  it.each(MATCH_FORMATS)("rejects a tied set in a $key match", (format) => {
+    const tied = format.tieBreakAt + 1;
+    const [, ...rest] = format.example.split(" ");
+    const checked = validateMatchScore("completed", [`${tied}-${tied}`, ...rest].join(" "), format.key);
+    expect(checked).toMatchObject({ ok: false, message: "A set can't be tied." });
+  });
+
+  it("takes a level unfinished set as a retirement score, but not a tied one past the tie-break", () => {
+    expect(validateMatchScore("retired", "6-3 6-6", "standard").ok).toBe(true);
+    expect(validateMatchScore("retired", "6-3 7-7", "standard").ok).toBe(false);
+  });
+
+  it("rejects a score that doesn't fit the format", () => {
+    const fiveSets = MATCH_FORMATS.find((f) => f.key === "fiveSets");
+    expect(validateMatchScore("completed", fiveSets.example, "standard").ok).toBe(false);
+    expect(validateMatchScore("completed", "6-4 6-4", "fiveSets").ok).toBe(false);
+  });
+});
+
+describe("tie-break points", () => {
+  it("reads the loser's points or both sides' after a set", () => {
+    const { sets } = parseScore("7-6(4) 6-7 (5-7), 10:8");
+    expect(sets).toEqual([
+      { p1: 7, p2: 6, tieBreakPoints: { loser: 4 } },
+      { p1: 6, p2: 7, tieBreakPoints: { p1: 5, p2: 7 } },
+      { p1: 10, p2: 8 },
+    ]);
+    expect(parseScore("7-6(x) 6-4")).toMatchObject({ valid: false, message: 'Couldn\'t read tie-break points: "7-6(x)"' });
+  });
+
+  it("accepts points that fit the set's tie-break", () => {
+    expect(validateMatchScore("completed", "7-6(5) 6-4", "standard").ok).toBe(true);
+    expect(validateMatchScore("completed", "6-7(12-14) 6-4 10-8", "standard").ok).toBe(true);
+    expect(validateMatchScore("completed", "4-3(4) 4-2", "fast4").ok).toBe(true);
+  });
+
+  it("rejects points on a set that had no tie-break", () => {
+    expect(validateMatchScore("completed", "6-4 6-3(5)", "standard")).toMatchObject({ ok: false, message: "Tie-break points only go with a 7-6 set." });
+  });
+
+  it("rejects an unfinished tie-break, or one the set's loser won", () => {
+    expect(validateMatchScore("completed", "7-6(7-6) 6-4", "standard")).toMatchObject({ ok: false, message: "A tie-break is first to 7 points, won by 2." });
+    expect(validateMatchScore("completed", "7-6(5-7) 6-4", "standard")).toMatchObject({ ok: false, message: "Tie-break points don't match the set: its winner must win the tie-break." });
+    expect(validateMatchScore("completed", "4-3(5) 4-2", "fast4")).toMatchObject({ ok: false, message: "A tie-break is first to 5 points, sudden death at 4-4." });
+  });
+
+  it("writes scores the standard way", () => {
+    expect(formatScore("7-6 (7-5), 3:6, 10-8", "standard")).toBe("7-6(5) 3-6 10-8 (MTB)");
+    expect(formatScore("6-7(12) 6-4 6-2", "threeSets")).toBe("6-7(12) 6-4 6-2");
+  });
+
+  it("counts set tie-breaks and the match tie-break, which is one game", () => {
+    const { sets } = parseScore("7-6(5) 3-6 10-8");
+    const totals = { p1Sets: 2, p2Sets: 1, p1Games: 11, p2Games: 12, p1TieBreaks: 2, p2TieBreaks: 0, decidingSet: "p1", matchTieBreak: "p1" };
+    expect(computeFromSets(sets, "standard")).toEqual(totals);
+  });
+
+  it("totals each entry's tie-breaks won and lost", () => {
+    const matches = [
+      { challengerPid: "a", opponentPid: "b", outcome: "completed", format: "standard", score: "7-6(5) 6-7(3) 10-8" },
+      { challengerPid: "c", opponentPid: "a", outcome: "completed", format: "standard", score: "7-6 6-4" },
+      { challengerPid: "a", opponentPid: "c", outcome: "walkover", format: "standard", score: "" },
+    ];
+    const records = tieBreakRecords(matches);
+    expect(records.get("a")).toEqual({ won: 2, lost: 2 });
+    expect(records.get("b")).toEqual({ won: 1, lost: 2 });
+    expect(records.get("c")).toEqual({ won: 1, lost: 0 });
+  });
+});
+
+describe("season calendar", () => {
+  const monthly = { start: "2026-04-15", end: "2026-06-10", cadence: "monthly" };
+
+  it("splits a monthly season at each month, trimming the first and last", () => {
+    expect(calendarPeriods(monthly)).toEqual([
+      { key: "2026-04-15", label: "Apr", start: "2026-04-15", end: "2026-04-30" },
+      { key: "2026-05-01", label: "May", start: "2026-05-01", end: "2026-05-31" },
+      { key: "2026-06-01", label: "Jun", start: "2026-06-01", end: "2026-06-10" },
+    ]);
+  });
+
+  it("counts weeks from the start date and uses names where given", () => {
+    const periods = calendarPeriods({ start: "2026-04-01", end: "2026-04-20", cadence: "weekly", names: ["Opening"] });
+    expect(periods.map((p) => [p.label, p.start, p.end])).toEqual([
+      ["Opening", "2026-04-01", "2026-04-07"],
+      ["Week 2", "2026-04-08", "2026-04-14"],
+      ["Week 3", "2026-04-15", "2026-04-20"],
+    ]);
+  });
+
+  it("finds the period a date falls in", () => {
+    expect(periodKeyForDate(monthly, "2026-05-31")).toBe("2026-05-01");
+    expect(periodKeyForDate(monthly, "2026-06-10T18:30:00Z")).toBe("2026-06-01");
+    expect(periodKeyForDate(monthly, "2026-04-14")).toBeNull();
+    expect(periodKeyForDate(monthly, "2026-06-11")).toBeNull();
+  });
+
+  it("refuses a calendar that is backwards, incomplete, of an unknown cadence or too long", () => {
+    expect(validateCalendar({ ...monthly, end: "2026-04-01" }).ok).toBe(false);
+    expect(validateCalendar({ ...monthly, start: "" }).ok).toBe(false);
+    expect(validateCalendar({ ...monthly, cadence: "daily" }).ok).toBe(false);
+    expect(validateCalendar({ start: "2026-01-01", end: "2027-12-31", cadence: "weekly" })).toMatchObject({ ok: false, message: "A season can have at most 60 periods." });
+  });
+
+  it("accepts a good calendar, tidied", () => {
+    expect(validateCalendar({ ...monthly, names: [" Spring ", null] })).toEqual({ ok: true, calendar: { ...monthly, names: ["Spring", ""] } });
+  });
+
+  it("falls back to the default calendar for a broken stored one", () => {
+    expect(normalizeCalendar({ start: "soon", end: "2026-06-10" }).cadence).toBe("monthly");
+    expect(normalizeCalendar(null).start).toMatch(/^\d{4}-04-01$/);
+  });
+
+  it("moves the old month columns into the calendar's periods", () => {
+    const calendar = { start: "2026-04-01", end: "2026-06-30", cadence: "monthly" };
+    const player = playerFromRow({ pid: "mens_p1", name: "Ann", apr: 2, may: 1, aug: 4 }, "mens", 1, calendar);
+    expect(player.periodCounts).toEqual({ "2026-04-01": 2, "2026-05-01": 1 });
+  });
+
+  it("counts a match in its period and takes it back when it is deleted", () => {
+    const state = { ...ladder(), calendar: monthly };
+    const added = addMatch(state, "m1", "mens_p2", "mens_p1", "p2", "2026-05-20");
+    expect(added.players.find((p) => p.pid === "mens_p1").periodCounts).toEqual({ "2026-05-01": 1 });
+    expect(ok(applyDeleteMatch(added, "m1")).players.find((p) => p.pid === "mens_p1").periodCounts).toEqual({ "2026-05-01": 0 });
+  });
+});
+
+describe("challenge rules", () => {
+  it("refuses a challenge further up than maxChallengeDistance", () => {
+    const state = ladder({ maxChallengeDistance: 2 });
+    const tooFar = applyAddMatch(state, { id: "m1", challengerPid: "mens_p5", opponentPid: "mens_p2", winnerId: "p1", date: "2026-05-01", score: "6-3 6-4" });
+    expect(tooFar).toMatchObject({ ok: false, message: "#5 can challenge at most 2 places above (#3 or lower)." });
+    expect(applyIssueChallenge(state, { id: "c1", challengerPid: "mens_p5", opponentPid: "mens_p2", date: "2026-05-01" }).ok).toBe(false);
+    expect(positions(addMatch(state, "m1", "mens_p5", "mens_p3", "p1", "2026-05-01"))).toMatchObject({ mens_p5: 3, mens_p3: 4, mens_p4: 5 });
+  });
+
+  it("lets anyone challenge anyone above when the distance is 0", () => {
+    const after = addMatch(ladder(), "m1", "mens_p8", "mens_p1", "p1", "2026-05-01");
+    expect(positions(after)).toMatchObject({ mens_p8: 1, mens_p1: 2, mens_p7: 8 });
+  });
+
+  it("swaps the winner with the opponent under moveMode swap, and swaps back on delete", () => {
+    const before = ladder({ moveMode: "swap" });
+    const after = addMatch(before, "m1", "mens_p5", "mens_p2", "p1", "2026-05-01");
+    expect(positions(after)).toEqual({ ...positions(before), mens_p5: 2, mens_p2: 5 });
+    expect(after.matches[0].ladderMove).toBe("swap");
+    expectSameLadder(ok(applyDeleteMatch(after, "m1")), before);
+  });
+
+  it("drops a losing challenger one place under loserDrops", () => {
+    const before = ladder({ loserDrops: true });
+    const after = addMatch(before, "m1", "mens_p5", "mens_p3", "p2", "2026-05-01", "3-6 4-6");
+    expect(positions(after)).toEqual({ ...positions(before), mens_p5: 6, mens_p6: 5 });
+    expect(after.matches[0].ladderMove).toBe("loserDrop");
+    expectSameLadder(ok(applyDeleteMatch(after, "m1")), before);
+  });
+
+  it("leaves a losing challenger at the bottom where they are", () => {
+    const before = ladder({ loserDrops: true });
+    const after = addMatch(before, "m1", "mens_p8", "mens_p7", "p2", "2026-05-01", "3-6 4-6");
+    expect(positions(after)).toEqual(positions(before));
+    expect(after.matches[0].ladderMove).toBe("");
+  });
+
+  it("keeps a losing challenger in place without loserDrops", () => {
+    const before = ladder();
+    expect(positions(addMatch(before, "m1", "mens_p5", "mens_p3", "p2", "2026-05-01", "3-6 4-6"))).toEqual(positions(before));
+  });
+});
+
+describe("challenges", () => {
+  // #5 challenges #3 on May 1st; the default 14 days make it due by May 15th.
+  function challenged(rules) {
+    return ok(applyIssueChallenge(ladder(rules), { id: "c1", challengerPid: "mens_p5", opponentPid: "mens_p3", date: "2026-05-01" }));
+  }
+
+  it("is open until the deadline, then overdue", () => {
+    const state = challenged();
+    expect(state.challenges[0]).toMatchObject({ status: "open", deadline: "2026-05-15" });
+    expect(overdueChallenges(state, "2026-05-15")).toEqual([]);
+    expect(overdueChallenges(state, "2026-05-16").map((c) => c.id)).toEqual(["c1"]);
+  });
+
+  it("can't be issued to a player who already has an open one", () => {
+    const state = challenged();
+    const again = applyIssueChallenge(state, { challengerPid: "mens_p4", opponentPid: "mens_p3", date: "2026-05-02" });
+    expect(again).toMatchObject({ ok: false, message: "P3 already has an open challenge." });
+  });
+
+  it("closes as played when its result is entered, and reopens if the result is deleted", () => {
+    const accepted = ok(applyAcceptChallenge(challenged(), "c1", "2026-05-02"));
+    expect(accepted.challenges[0]).toMatchObject({ status: "accepted", acceptedDate: "2026-05-02" });
+
+    const played = ok(
+      applyAddMatch(accepted, { id: "m1", challengeId: "c1", challengerPid: "mens_p5", opponentPid: "mens_p3", winnerId: "p2", date: "2026-05-08", score: "3-6 4-6" })
+    );
+    expect(played.challenges[0]).toMatchObject({ status: "played", matchId: "m1" });
+    expect(ok(applyDeleteMatch(played, "m1")).challenges[0]).toMatchObject({ status: "accepted", matchId: "" });
+  });
+
+  it("can be cancelled, and then takes no walkover", () => {
+    const cancelled = ok(applyCancelChallenge(challenged(), "c1", "Admin"));
+    expect(cancelled.challenges[0]).toMatchObject({ status: "cancelled", closedBy: "Admin" });
+    expect(applyChallengeWalkover(cancelled, "c1", { todayISO: "2026-05-20" }).ok).toBe(false);
+  });
+
+  it("awards a walkover only after the deadline unless forced", () => {
+    const state = challenged();
+    expect(applyChallengeWalkover(state, "c1", { todayISO: "2026-05-15" })).toMatchObject({ ok: false });
+
+    const forced = ok(applyChallengeWalkover(state, "c1", { matchId: "w1", todayISO: "2026-05-15", force: true }));
+    expect(forced.challenges[0]).toMatchObject({ status: "walkover", matchId: "w1" });
+
+    const overdue = ok(applyChallengeWalkover(state, "c1", { matchId: "w1", date: "2026-05-16", todayISO: "2026-05-16" }));
+    expect(overdue.matches[0]).toMatchObject({ outcome: "walkover", score: "", winnerId: "p1", ladderMove: "leapfrog" });
+    expect(positions(overdue)).toMatchObject({ mens_p5: 3, mens_p3: 4, mens_p4: 5 });
+  });
+
+  it("is cancelled when either player withdraws", () => {
+    for (const pid of ["mens_p5", "mens_p3"]) {
+      const withdrawn = ok(applyWithdrawPlayer(challenged(), pid, "Admin"));
+      expect(withdrawn.challenges[0]).toMatchObject({ status: "cancelled", closedBy: "Admin" });
+    }
+  });
+
+  it("takes no walkover while either side is withdrawn", () => {
+    const state = challenged();
+    const withdrawn = { ...state, players: state.players.map((p) => (p.pid === "mens_p5" ? { ...p, withdrawn: true } : p)) };
+    expect(applyChallengeWalkover(withdrawn, "c1", { todayISO: "2026-05-20" })).toMatchObject({
+      ok: false,
+      message: "P5 is withdrawn. Cancel the challenge instead.",
+    });
+  });
+});
+
+describe("inactivity drops", () => {
+  const today = "2026-06-15";
+  // Everyone but `idle` plays a match on June 1 that the opponent wins, so nobody moves.
+  function season(idle) {
+    let state = { ...ladder(), calendar: { start: "2026-04-01", end: "2026-08-31", cadence: "monthly" } };
+    const busy = state.players.filter((p) => !idle.includes(p.pid)).map((p) => p.pid);
+    for (let i = 1; i < busy.length; i += 1) {
+      state = addMatch(state, `m${i}`, busy[i], busy[i - 1], "p2", "2026-06-01", "3-6 4-6");
+    }
+    return state;
+  }
+  const order = (state) => [...state.players].sort((a, b) => a.position - b.position).map((p) => p.name);
+
+  it("dates each drop on the day it was checked", () => {
+    const result = applyInactivityDrops(season(["mens_p2"]), null, { todayISO: today, adminName: "Ann" });
+    const after = ok(result);
+    expect(result.dropped.map((x) => x.pid)).toEqual(["mens_p2"]);
+    expect(after.events).toHaveLength(1);
+    expect(after.events[0]).toMatchObject({ kind: "drop", pid: "mens_p2", date: today, fromPos: 2, toPos: 5, enteredBy: "Ann" });
+  });
+
+  it("lets an inactive player pass inactive players below", () => {
+    const result = applyInactivityDrops(season(["mens_p5", "mens_p6"]), null, { todayISO: today });
+    expect(order(ok(result))).toEqual(["P1", "P2", "P3", "P4", "P7", "P8", "P6", "P5"]);
+    expect(result.dropped.map((x) => x.pid)).toEqual(["mens_p5", "mens_p6"]);
+  });
+
+  it("lets an inactive player pass an inactive player who can't move", () => {
+    const result = applyInactivityDrops(season(["mens_p6", "mens_p8"]), null, { todayISO: today });
+    expect(order(ok(result))).toEqual(["P1", "P2", "P3", "P4", "P5", "P7", "P8", "P6"]);
+    expect(result.dropped.map((x) => x.pid)).toEqual(["mens_p6"]);
+  });
+
+  it("is a no-op when nobody inactive can move", () => {
+    const state = season(["mens_p8"]);
+    const result = applyInactivityDrops(state, null, { todayISO: today });
+    expect(result).toMatchObject({ ok: true, dropped: [] });
+    expect(result.divisionState).toBe(state);
+  });
+
+  it("drops only the players asked for", () => {
+    const result = applyInactivityDrops(season(["mens_p2", "mens_p5"]), ["mens_p5"], { todayISO: today });
+    expect(positions(ok(result))).toMatchObject({ mens_p2: 2, mens_p5: 8 });
+  });
+});
+
+describe("realtime patches", () => {
+  const season = { id: "2026" };
+  const settingKeys = ["2026:revision_mens"];
+  const rows = {
+    players: [{ season_id: "2026", pid: "mens_p1", name: "Ann" }],
+    matches: [
+      { season_id: "2026", id: "m2", created_at: "2026-05-02T10:00:00Z" },
+      { season_id: "2026", id: "m1", created_at: "2026-05-01T10:00:00Z" },
+    ],
+    events: [],
+    challenges: [],
+    settings: [{ key: "2026:revision_mens", value: 4 }],
+  };
+  const patch = (change) => patchRows(rows, change, season, settingKeys);
+
+  it("adds an inserted row, newest first", () => {
+    const next = patch({ table: "matches", eventType: "INSERT", new: { season_id: "2026", id: "m3", created_at: "2026-05-01T12:00:00Z" } });
+    expect(next.matches.map((m) => m.id)).toEqual(["m2", "m3", "m1"]);
+  });
+
+  it("replaces an updated row and drops a deleted one", () => {
+    const renamed = patch({ table: "players", eventType: "UPDATE", new: { season_id: "2026", pid: "mens_p1", name: "Anne" } });
+    expect(renamed.players).toEqual([{ season_id: "2026", pid: "mens_p1", name: "Anne" }]);
+    expect(patch({ table: "matches", eventType: "DELETE", old: { id: "m2" } }).matches.map((m) => m.id)).toEqual(["m1"]);
+  });
+
+  it("ignores other seasons, including a delete of the same pid there", () => {
+    expect(patch({ table: "matches", eventType: "INSERT", new: { season_id: "2025", id: "m9" } })).toBe(rows);
+    expect(patch({ table: "players", eventType: "DELETE", old: { season_id: "2025", pid: "mens_p1" } })).toBe(rows);
+  });
+
+  it("takes only the settings the season reads", () => {
+    expect(patch({ table: "settings", eventType: "UPDATE", new: { key: "2026:revision_mens", value: 5 } }).settings).toEqual([{ key: "2026:revision_mens", value: 5 }]);
+    expect(patch({ table: "settings", eventType: "UPDATE", new: { key: "2025:revision_mens", value: 9 } })).toBe(rows);
+  });
+
+  it("ignores tables it doesn't keep and rows without a key", () => {
+    expect(patch({ table: "audit_log", eventType: "INSERT", new: { id: "a1" } })).toBe(rows);
+    expect(patch({ table: "matches", eventType: "DELETE", old: {} })).toBe(rows);
+  });
+});
+
+describe("queued changes", () => {
+  const queued = (action, payload) => ({ action, payload: { season: "s1", division: "mens", ...payload }, adminName: "Ann" });
+  const outbox = [
+    queued("addMatch", { id: "m1", challengerPid: "mens_p4", opponentPid: "mens_p2", winnerId: "p1", date: "2026-05-01", score: "6-3 6-4" }),
+    queued("renamePlayer", { pid: "mens_p8", name: "Newcomer" }),
+    queued("withdrawPlayer", { pid: "mens_p1" }),
+  ];
+
+  it("run on top of freshly loaded rows, in order", () => {
+    const state = applyQueuedChanges({ mens: ladder() }, outbox, "s1").mens;
+    expect(state.matches.map((m) => m.id)).toEqual(["m1"]);
+    expect(state.matches[0].enteredBy).toBe("Ann");
+    expect(state.players.find((p) => p.pid === "mens_p8").name).toBe("Newcomer");
+    expect(positions(state)).toMatchObject({ mens_p4: 1, mens_p2: 2, mens_p1: 8 });
+  });
+
+  it("skip a change the loaded rows already have", () => {
+    const once = applyQueuedChanges({ mens: ladder() }, outbox, "s1");
+    expectSameLadder(applyQueuedChanges(once, outbox, "s1").mens, once.mens);
+  });
+
+  it("leave other seasons alone", () => {
+    const state = { mens: ladder() };
+    expect(applyQueuedChanges(state, outbox, "s2")).toBe(state);
+  });
+});
+
+describe("head to head", () => {
+  const m1 = { id: "m1", challengerPid: "a", opponentPid: "b", winnerId: "p1", outcome: "completed", format: "standard", score: "6-4 7-6(5)", surface: "Clay" };
+  const m2 = { id: "m2", challengerPid: "b", opponentPid: "a", winnerId: "p1", outcome: "completed", format: "standard", score: "6-3 6-2", surface: "Clay" };
+  const m3 = { id: "m3", challengerPid: "a", opponentPid: "b", winnerId: "p1", outcome: "walkover", format: "standard", score: "", surface: "" };
+  const other = { id: "m4", challengerPid: "a", opponentPid: "c", winnerId: "p1", outcome: "completed", format: "standard", score: "6-0 6-0", surface: "Clay" };
+  const matches = [m1, m2, other, m3];
+
+  it("totals every meeting from the first entry's side", () => {
+    expect(headToHead(matches, "a", "b")).toEqual({
+      played: 3,
+      aWins: 2,
+      bWins: 1,
+      aSets: 2,
+      bSets: 2,
+      aGames: 18,
+      bGames: 22,
+      aTieBreaks: 1,
+      bTieBreaks: 0,
+      surfaces: [
+        { surface: "Clay", played: 2, aWins: 1, bWins: 1 },
+        { surface: "", played: 1, aWins: 1, bWins: 0 },
+      ],
+      matches: [m1, m2, m3],
+    });
+  });
+
+  it("is the same record the other way round", () => {
+    expect(headToHead(matches, "b", "a")).toMatchObject({ played: 3, aWins: 1, bWins: 2, aSets: 2, bSets: 2, aGames: 22, bGames: 18, aTieBreaks: 0, bTieBreaks: 1 });
+  });
+
+  it("is empty for entries who never met", () => {
+    expect(headToHead(matches, "b", "c")).toMatchObject({ played: 0, aWins: 0, bWins: 0, surfaces: [], matches: [] });
+  });
+});
+
+describe("position timelines", () => {
+  const calendar = { start: "2026-04-01", end: "2026-08-31", cadence: "monthly" };
+  function season() {
+    let state = { ...ladder(), calendar };
+    state = addMatch(state, "m1", "mens_p4", "mens_p2", "p1", "2026-05-01");
+    state = addMatch(state, "m2", "mens_p5", "mens_p1", "p1", "2026-05-10");
+    return ok(applyDropPlayer(state, "mens_p1", 3, "Admin", undefined, "2026-05-20"));
+  }
+
+  it("follows each entry from the season start, including moves made by others", () => {
+    const timelines = positionTimelines(season());
+    expect(timelines.get("mens_p4")).toEqual([
+      { date: "2026-04-01", position: 4 },
+      { date: "2026-05-01", position: 2 },
+      { date: "2026-05-10", position: 3 },
+      { date: "2026-05-20", position: 2 },
+    ]);
+    expect(timelines.get("mens_p1")).toEqual([
+      { date: "2026-04-01", position: 1 },
+      { date: "2026-05-10", position: 2 },
+      { date: "2026-05-20", position: 5 },
+    ]);
+    expect(timelines.get("mens_p8")).toEqual([{ date: "2026-04-01", position: 8 }]);
+  });
+
+  it("keeps one point per day, and none for a day that ended where it began", () => {
+    let state = addMatch({ ...ladder(), calendar }, "m1", "mens_p3", "mens_p2", "p1", "2026-05-01");
+    state = addMatch(state, "m2", "mens_p2", "mens_p3", "p1", "2026-05-01");
+    state = addMatch(state, "m3", "mens_p6", "mens_p4", "p1", "2026-05-01");
+    state = addMatch(state, "m4", "mens_p6", "mens_p3", "p1", "2026-05-01");
+    const timelines = positionTimelines(state);
+    expect(timelines.get("mens_p2")).toEqual([{ date: "2026-04-01", position: 2 }]);
+    expect(timelines.get("mens_p6")).toEqual([
+      { date: "2026-04-01", position: 6 },
+      { date: "2026-05-01", position: 3 },
+    ]);
+  });
+
+  it("reads a position on a date and sums up a timeline", () => {
+    const points = positionTimelines(season()).get("mens_p5");
+    expect(positionOn(points, "2026-03-01")).toBe(5);
+    expect(positionOn(points, "2026-05-09")).toBe(5);
+    expect(positionOn(points, "2026-06-01")).toBe(1);
+    expect(positionSummary(points)).toEqual({ highest: 1, lowest: 5, biggestClimb: { places: 4, from: 5, to: 1, date: "2026-05-10" } });
+  });
+});
+
+describe("player records", () => {
+  const match = (id, date, challengerPid, opponentPid, winnerId, score, surface, outcome = "completed") => ({ id, date, challengerPid, opponentPid, winnerId, score, surface, outcome, format: "standard" });
+  const matches = [
+    match("r3", "2026-05-05", "a", "c", "p1", "6-1 6-1", "Indoor"),
+    match("r1", "2026-05-01", "a", "b", "p1", "6-4 3-6 10-8", "Clay"),
+    match("r4", "2026-05-07", "a", "c", "p1", "6-2 6-2", ""),
+    match("r2", "2026-05-03", "b", "a", "p1", "", "Clay", "walkover"),
+  ];
+
+  it("works out streaks, roles, surfaces, deciders and games in date order", () => {
+    expect(playerRecords(matches).get("a")).toEqual({
+      streak: 2,
+      longestWinStreak: 2,
+      surfaces: { Clay: { played: 1, won: 1 }, Indoor: { played: 1, won: 1 } },
+      asChallenger: { played: 3, won: 3 },
+      asDefender: { played: 1, won: 0 },
+      decidingSets: { won: 1, lost: 0 },
+      matchTieBreaks: { won: 1, lost: 0 },
+      scoredMatches: 3,
+      games: 50,
+    });
+  });
+
+  it("counts a walkover towards streaks and roles but not surfaces or games", () => {
+    expect(playerRecords(matches).get("b")).toEqual({
+      streak: 1,
+      longestWinStreak: 1,
+      surfaces: { Clay: { played: 1, won: 0 } },
+      asChallenger: { played: 1, won: 1 },
+      asDefender: { played: 1, won: 0 },
+      decidingSets: { won: 0, lost: 1 },
+      matchTieBreaks: { won: 0, lost: 1 },
+      scoredMatches: 1,
+      games: 20,
+    });
+  });
+
+  it("keeps a losing run as a negative streak", () => {
+    expect(playerRecords(matches).get("c")).toMatchObject({ streak: -2, longestWinStreak: 0, asDefender: { played: 2, won: 0 } });
+  });
+});